@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+// Headless backtester for batch runs, e.g.
+//
+//   node bin/ict-backtest.mjs backtest --m5 EURUSD_M5.csv --h1 EURUSD_H1.csv \
+//     --h4 EURUSD_H4.csv --daily EURUSD_Daily.csv --settings eurusd.json \
+//     --format csv --out results/eurusd
+//
+// Exit codes: 0 checks passed, 1 checks failed (or no trades), 2 bad input.
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { basename, join } from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+  importCSV,
+  describeRejected,
+  DATE_FORMATS,
+  DEFAULT_SOURCE_TIMEZONE,
+  resolveTimeZone,
+  detectInstrument,
+  resolveSettings,
+  withDerivedTimeframes,
+  validateTimeframe,
+  describeValidation,
+  TIMEFRAME_MS,
+  DATA_FIXES,
+  checkDataQuality,
+  applyFixes,
+  tradesWeekends,
+  describeQuality,
+  runBacktest,
+  buildCombos,
+  runCombos,
+  rankResults,
+  checkResults,
+  checkForwardTest,
+  tradesToCsv,
+  metricsToCsv,
+  optimizationToCsv
+} from '../src/engine/index.js';
+
+const USAGE = `Usage: ict-backtest <backtest|forward|optimize> --m5 <file> [options]
+
+Data (MT5 tab-separated exports):
+  --m5 <file>         M5 candles (required)
+  --h1 <file>         H1 candles (FVGs for the combined strategy)
+  --h4 <file>         H4 candles (order blocks for the combined strategy)
+  --daily <file>      Daily candles
+                      H1/H4/Daily files that are left out are built from M5
+  --m1 <file>         M1 candles open trades are managed on
+  --ticks <file>      Bid/ask ticks (MT5 or Dukascopy exports) open trades are
+                      managed and filled on; preferred over M1 where both exist
+  --date-format <fmt> ymd, dmy, mdy, unix or unixMs when it cannot be detected
+  --timezone <zone>   Time zone of the data files: a preset (UTC, brokerNY,
+                      brokerEU, fixedGMT2, fixedGMT3, newYork, london) or an
+                      IANA name such as Europe/Berlin (default UTC)
+  --fix <list>        Comma-separated data fixes applied to every file before
+                      the run: sort, dedupe, dropWeekend, dropZeroRange,
+                      dropInvalid, dropOutliers, fillGaps
+
+Delimiter, header and column order are detected, so MT5, TradingView,
+Dukascopy, NinjaTrader and cTrader exports can be used as they are.
+
+Options:
+  --settings <file>   JSON with any of: instrument, strategy, intrabarPolicy,
+                      params, costs, sizing, exposure, exits, bias,
+                      structure, orderBlocks, imbalances, liquidity,
+                      dealingRange, resample, optimizationRanges
+  --format <json|csv> Output format (default json)
+  --out <dir>         Write files into <dir> instead of printing to stdout
+  --quiet             No progress output on stderr
+  --help              Show this message`;
+
+const EXIT_PASSED = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+class UsageError extends Error {}
+
+// Import issues the file format sniffing could not settle, and rejected
+// rows, are reported through `warn`; a file without any valid candle (or
+// tick, with `kind: 'ticks'`) is an input error. Files parsed in more than
+// one chunk show their progress.
+const readCandles = async (path, { isDaily = false, kind = 'bars', dateFormat, timeZone, warn, quiet }) => {
+  if (!path) return null;
+  const text = await readFile(path, 'utf8');
+  let shown = false;
+  const onProgress = (loaded, total) => {
+    if (quiet || (!shown && loaded >= total)) return;
+    process.stderr.write(`\rreading ${path} (${Math.floor((loaded / total) * 100)}%)`);
+    shown = true;
+  };
+  let result = await importCSV(text, { isDaily, kind, timeZone, onProgress });
+  if (shown) process.stderr.write('\n');
+  if (dateFormat) result = await importCSV(text, { isDaily, kind, timeZone, mapping: { ...result.mapping, dateFormat } });
+
+  const rejected = describeRejected(result.rejected);
+  const series = kind === 'ticks' ? result.ticks : result.candles;
+  if (series.length === 0) {
+    throw new UsageError(`No valid ${kind === 'ticks' ? 'ticks' : 'candles'} in ${path}: ${[...result.issues, rejected].filter(Boolean).join('; ')}`);
+  }
+  if (!dateFormat) {
+    result.issues.forEach(issue => warn(`${path}: ${issue}, assuming ${DATE_FORMATS[result.mapping.dateFormat]} (see --date-format)`));
+  }
+  if (rejected) warn(`${path}: ${rejected}`);
+  return series;
+};
+
+const readSettings = async (path) => {
+  if (!path) return {};
+  try {
+    return JSON.parse(await readFile(path, 'utf8'));
+  } catch (error) {
+    throw new UsageError(`Cannot read settings ${path}: ${error.message}`);
+  }
+};
+
+const parseCli = (argv) => {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      m5: { type: 'string' },
+      h1: { type: 'string' },
+      h4: { type: 'string' },
+      daily: { type: 'string' },
+      m1: { type: 'string' },
+      ticks: { type: 'string' },
+      'date-format': { type: 'string' },
+      timezone: { type: 'string', default: DEFAULT_SOURCE_TIMEZONE },
+      fix: { type: 'string', default: '' },
+      settings: { type: 'string' },
+      format: { type: 'string', default: 'json' },
+      out: { type: 'string' },
+      quiet: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  });
+  const [mode] = positionals;
+  if (values.help) return { help: true };
+  if (!['backtest', 'forward', 'optimize'].includes(mode)) throw new UsageError(`Unknown mode "${mode || ''}"`);
+  if (!values.m5) throw new UsageError('--m5 is required');
+  if (!['json', 'csv'].includes(values.format)) throw new UsageError(`Unknown format "${values.format}"`);
+  const dateFormat = values['date-format'];
+  if (dateFormat && !DATE_FORMATS[dateFormat]) throw new UsageError(`Unknown date format "${dateFormat}"`);
+  try {
+    resolveTimeZone(values.timezone);
+  } catch (error) {
+    throw new UsageError(`Unknown time zone "${values.timezone}"`);
+  }
+  const fixes = values.fix.split(',').map(f => f.trim()).filter(Boolean);
+  const unknownFix = fixes.find(f => !DATA_FIXES[f]);
+  if (unknownFix) throw new UsageError(`Unknown fix "${unknownFix}"`);
+  return { mode, ...values, dateFormat, fixes };
+};
+
+const runBacktestMode = (files, params, context) => {
+  const result = runBacktest(files, params, context);
+  if (!result) return null;
+  const checks = checkResults(result.metrics);
+  return {
+    passed: checks.passed,
+    redFlags: checks.redFlags,
+    report: { mode: 'backtest', params, metrics: result.metrics, checks },
+    outputs: { metrics: result.metrics, trades: result.trades }
+  };
+};
+
+const runForwardMode = (files, params, context) => {
+  const backtest = runBacktest(files, params, context);
+  const forward = runBacktest(files, params, context, true);
+  if (!backtest || !forward) return null;
+  const checks = checkResults(forward.metrics);
+  const comparison = checkForwardTest(backtest.metrics, forward.metrics);
+  return {
+    passed: checks.passed && comparison.passed,
+    redFlags: comparison.passed
+      ? checks.redFlags
+      : [...checks.redFlags, `Forward test diverged (win rate ${comparison.wrDiff.toFixed(1)} points off, PF ${comparison.fwPF})`],
+    report: { mode: 'forward', params, backtestMetrics: backtest.metrics, metrics: forward.metrics, checks, comparison },
+    outputs: { metrics: forward.metrics, trades: forward.trades }
+  };
+};
+
+const runOptimizeMode = async (files, context, ranges, quiet) => {
+  const combos = buildCombos(ranges);
+  let lastPct = -1;
+  const passing = await runCombos(files, context, combos, {
+    batchSize: 100,
+    onProgress: (done, total) => {
+      const pct = Math.floor((done / total) * 100);
+      if (!quiet && pct !== lastPct) process.stderr.write(`\roptimizing ${done}/${total} (${pct}%)`);
+      lastPct = pct;
+    }
+  });
+  if (!quiet) process.stderr.write('\n');
+
+  const results = rankResults(passing);
+  if (results.length === 0) return null;
+  const checks = checkResults(results[0]);
+  return {
+    passed: checks.passed,
+    redFlags: checks.redFlags,
+    report: { mode: 'optimize', tested: combos.length, passing: passing.length, best: results[0], checks },
+    outputs: { results }
+  };
+};
+
+const formatOutputs = (mode, report, outputs, format) => {
+  if (format === 'json') {
+    return mode === 'optimize'
+      ? { 'optimize.json': { ...report, results: outputs.results } }
+      : { [`${mode}.json`]: { ...report, trades: outputs.trades } };
+  }
+  return mode === 'optimize'
+    ? { 'optimize-results.csv': optimizationToCsv(outputs.results) }
+    : {
+      [`${mode}-metrics.csv`]: metricsToCsv(outputs.metrics),
+      [`${mode}-trades.csv`]: tradesToCsv(outputs.trades)
+    };
+};
+
+const writeOutputs = async (files, out) => {
+  const serialize = (content) => (typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+  if (!out) {
+    process.stdout.write(`${Object.values(files).map(serialize).join('\n\n')}\n`);
+    return;
+  }
+  await mkdir(out, { recursive: true });
+  for (const [name, content] of Object.entries(files)) {
+    await writeFile(join(out, name), `${serialize(content)}\n`);
+  }
+};
+
+const main = async (argv) => {
+  const cli = parseCli(argv);
+  if (cli.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return EXIT_PASSED;
+  }
+
+  const warn = (message) => { if (!cli.quiet) process.stderr.write(`${message}\n`); };
+  const importOptions = { dateFormat: cli.dateFormat, timeZone: cli.timezone, warn, quiet: cli.quiet };
+  const [m5, h1, h4, daily, m1, ticks, rawSettings] = await Promise.all([
+    readCandles(cli.m5, importOptions),
+    readCandles(cli.h1, importOptions),
+    readCandles(cli.h4, importOptions),
+    readCandles(cli.daily, { ...importOptions, isDaily: true }),
+    readCandles(cli.m1, importOptions),
+    readCandles(cli.ticks, { ...importOptions, kind: 'ticks' }),
+    readSettings(cli.settings)
+  ]);
+  let resolved;
+  try {
+    resolved = resolveSettings(rawSettings, detectInstrument(basename(cli.m5), m5));
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const { params, context, resample, ranges } = resolved;
+
+  // Data quality is reported after the requested fixes, so what is left is
+  // what the run will see.
+  const uploaded = { m5, h1, h4, daily, m1 };
+  const weekendClosed = !tradesWeekends(context.instrument);
+  Object.keys(uploaded).forEach(tf => {
+    if (!uploaded[tf]) return;
+    if (cli.fixes.length > 0) uploaded[tf] = applyFixes(uploaded[tf], cli.fixes, TIMEFRAME_MS[tf], { weekendClosed });
+    const quality = checkDataQuality(uploaded[tf], TIMEFRAME_MS[tf], { weekendClosed });
+    if (!quality.ok) warn(`${cli[tf]}: ${describeQuality(quality).join(', ')} (see --fix)`);
+  });
+  ['h1', 'h4', 'daily'].forEach(tf => {
+    if (!uploaded[tf]) return;
+    const report = validateTimeframe(uploaded[tf], uploaded.m5, tf, { ...resample, instrument: context.instrument });
+    if (!report.ok) warn(`${cli[tf]}: ${describeValidation(report)}`);
+  });
+  const { files, derived } = withDerivedTimeframes({ ...uploaded, ticks }, resample);
+  if (derived.length > 0) warn(`Built ${derived.join(', ')} candles from M5`);
+
+  const run = cli.mode === 'optimize'
+    ? await runOptimizeMode(files, context, ranges, cli.quiet)
+    : (cli.mode === 'forward' ? runForwardMode : runBacktestMode)(files, params, context);
+
+  if (!run) {
+    process.stderr.write(cli.mode === 'optimize'
+      ? 'No parameter set passed the optimizer filters\n'
+      : 'No trades (at least 200 M5 candles are required)\n');
+    return EXIT_FAILED;
+  }
+
+  await writeOutputs(formatOutputs(cli.mode, run.report, run.outputs, cli.format), cli.out);
+  if (!cli.quiet) {
+    process.stderr.write(run.passed ? 'Checks passed\n' : `Checks failed: ${run.redFlags.join('; ')}\n`);
+  }
+  return run.passed ? EXIT_PASSED : EXIT_FAILED;
+};
+
+main(process.argv.slice(2)).then(
+  (code) => { process.exitCode = code; },
+  (error) => {
+    const usage = error instanceof UsageError || error.code === 'ENOENT' || String(error.code).startsWith('ERR_PARSE_ARGS');
+    process.stderr.write(`${error.message}\n${usage ? `\n${USAGE}\n` : ''}`);
+    process.exitCode = usage ? EXIT_USAGE : EXIT_FAILED;
+  }
+);
@@ -1,9 +1,72 @@
-import React, { useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { Play, TrendingUp, Award, Bell, Target, BarChart3, Zap, AlertTriangle, CheckCircle, XCircle } from 'lucide-react';
-import Papa from 'papaparse';
+import {
+  INSTRUMENTS,
+  DEFAULT_INSTRUMENT,
+  getInstrument,
+  detectInstrument
+} from './engine/instruments.js';
+import { DEFAULT_COSTS } from './engine/costs.js';
+import { SIZING_MODES, DEFAULT_SIZING } from './engine/sizing.js';
+import {
+  OPPOSITE_SIGNAL_MODES,
+  DEFAULT_EXPOSURE,
+  DEFAULT_EXIT_RULES,
+  EXIT_REASONS
+} from './engine/simulator.js';
+import { INTRABAR_POLICIES, DEFAULT_INTRABAR_POLICY } from './engine/intrabar.js';
+import { COLUMN_ROLES, TICK_COLUMN_ROLES, DATE_FORMATS, importCSV, describeRejected } from './engine/parser.js';
+import { TIMEZONE_PRESETS, DEFAULT_SOURCE_TIMEZONE, NEW_YORK } from './engine/timezones.js';
+import { KILL_ZONES } from './engine/sessions.js';
+import {
+  SESSION_ANCHORS,
+  DEFAULT_RESAMPLE,
+  withDerivedTimeframes,
+  validateTimeframe,
+  describeValidation
+} from './engine/resample.js';
+import { TIMEFRAME_MS } from './engine/timeframes.js';
+import {
+  DATA_FIXES,
+  checkDataQuality,
+  hasBlockingIssues,
+  applicableFixes,
+  applyFixes,
+  tradesWeekends,
+  describeQuality
+} from './engine/quality.js';
+import { DAILY_BIAS_MODES, DEFAULT_BIAS } from './engine/bias.js';
+import { DEFAULT_STRUCTURE, STRUCTURE_BREAKS, STRUCTURE_ENTRY_MODES, STRUCTURE_TIMEFRAMES } from './engine/structure.js';
+import { DEFAULT_ORDER_BLOCKS, ORDER_BLOCK_DEFINITIONS } from './engine/orderBlocks.js';
+import { DEFAULT_IMBALANCES, FVG_EXPIRY } from './engine/imbalances.js';
+import { DEFAULT_LIQUIDITY } from './engine/liquidity.js';
+import { DEFAULT_DEALING_RANGE, DEALING_RANGE_TIMEFRAMES } from './engine/dealingRange.js';
+import { checkResults, checkForwardTest } from './engine/checks.js';
+import { DEFAULT_PARAMS, generateLiveSignals } from './engine/backtest.js';
+import { buildCombos } from './engine/optimizer.js';
+import { runBacktestInWorker, startOptimization } from './workers/enginePool.js';
+import {
+  LAST_SESSION_ID,
+  isStorageAvailable,
+  saveDataset,
+  listDatasets,
+  loadDataset,
+  deleteDataset,
+  saveSession,
+  listSessions,
+  loadSession,
+  deleteSession
+} from './storage/sessionStore.js';
+
+// The last session is written at most this often while state changes.
+const AUTOSAVE_MS = 2000;
+
+const importKind = (tf) => (tf === 'ticks' ? 'ticks' : 'bars');
+
+const EMPTY_FILES = { m5: null, h1: null, h4: null, daily: null, m1: null, ticks: null };
 
 const CompleteTradingSystem = () => {
-  const [files, setFiles] = useState({ m5: null, h1: null, h4: null, daily: null });
+  const [files, setFiles] = useState(EMPTY_FILES);
   const [mode, setMode] = useState('backtest');
   const [strategy, setStrategy] = useState('combined');
   const [optimizing, setOptimizing] = useState(false);
@@ -13,557 +76,447 @@ const CompleteTradingSystem = () => {
   const [forwardTest, setForwardTest] = useState(null);
   const [backtestResult, setBacktestResult] = useState(null);
   const [loading, setLoading] = useState(false);
+  const optimizationRef = useRef(null);
+  const [instrument, setInstrument] = useState(DEFAULT_INSTRUMENT);
+  const profile = getInstrument(instrument);
+  const [costSettings, setCostSettings] = useState(DEFAULT_COSTS);
+  const [sizingSettings, setSizingSettings] = useState(DEFAULT_SIZING);
+  const [exposureSettings, setExposureSettings] = useState(DEFAULT_EXPOSURE);
+  const [intrabarPolicy, setIntrabarPolicy] = useState(DEFAULT_INTRABAR_POLICY);
+  const [exitRules, setExitRules] = useState(DEFAULT_EXIT_RULES);
+  const [biasSettings, setBiasSettings] = useState(DEFAULT_BIAS);
+  const [structureSettings, setStructureSettings] = useState(DEFAULT_STRUCTURE);
+  const [orderBlockSettings, setOrderBlockSettings] = useState(DEFAULT_ORDER_BLOCKS);
+  const [imbalanceSettings, setImbalanceSettings] = useState(DEFAULT_IMBALANCES);
+  const [liquiditySettings, setLiquiditySettings] = useState(DEFAULT_LIQUIDITY);
+  const [dealingRangeSettings, setDealingRangeSettings] = useState(DEFAULT_DEALING_RANGE);
   
-  const [settings, setSettings] = useState({
-    strongBodyMin: 0.5,
-    lookbackPeriod: 20,
-    wickMinPercent: 0.6,
-    minConfluence: 2.0,
-    fvgMinPips: 10,
-    stopLossPips: 15,
-    riskRewardRatio: 2,
-    useTrailingStop: true,
-    trailingStopPips: 15,
-    useKillZones: false,
-    maxTradesPerDay: 5,
-    forwardTestDays: 30,
-    optimizeFrom: 70,
-    optimizeTo: 100
+  const [settings, setSettings] = useState(DEFAULT_PARAMS);
+  const [resampleSettings, setResampleSettings] = useState(DEFAULT_RESAMPLE);
+  const [importReports, setImportReports] = useState({});
+  const [pendingImport, setPendingImport] = useState(null);
+  // Fraction of each file parsed so far while it is being imported.
+  const [importProgress, setImportProgress] = useState({});
+  const [selectedFixes, setSelectedFixes] = useState({});
+  // Stored dataset behind each loaded timeframe, saved sessions and the
+  // last optimizer checkpoint (see startOptimization).
+  const [datasetIds, setDatasetIds] = useState({});
+  const [savedDatasets, setSavedDatasets] = useState([]);
+  const [savedSessions, setSavedSessions] = useState([]);
+  const [sessionName, setSessionName] = useState('');
+  const [storageError, setStorageError] = useState(null);
+  const [checkpoint, setCheckpoint] = useState(null);
+  const restoredRef = useRef(false);
+  const autosaveRef = useRef({ timer: null, session: null });
+  const [sourceTimeZones, setSourceTimeZones] = useState({
+    m5: DEFAULT_SOURCE_TIMEZONE,
+    h1: DEFAULT_SOURCE_TIMEZONE,
+    h4: DEFAULT_SOURCE_TIMEZONE,
+    daily: DEFAULT_SOURCE_TIMEZONE,
+    m1: DEFAULT_SOURCE_TIMEZONE,
+    ticks: DEFAULT_SOURCE_TIMEZONE
   });
+  // Last imported file and mapping per timeframe, to re-import when its
+  // time zone changes.
+  const uploadsRef = useRef({});
 
-  const parseCSV = (file, isDaily = false) => {
-    return new Promise((resolve, reject) => {
-      Papa.parse(file, {
-        header: false,
-        skipEmptyLines: true,
-        delimiter: '\t',
-        complete: (results) => {
-          try {
-            const parsed = [];
-            for (let i = 1; i < results.data.length; i++) {
-              const row = results.data[i];
-              if (!row || row.length === 0) continue;
-              
-              let parts;
-              if (typeof row[0] === 'string' && row.length === 1) {
-                parts = row[0].split('\t');
-              } else if (Array.isArray(row)) {
-                parts = row;
-              } else continue;
-              
-              parts = parts.map(p => String(p).replace(/[<>]/g, '').trim()).filter(p => p);
-              if (parts.length < 5) continue;
-              
-              let candle;
-              if (isDaily) {
-                candle = {
-                  date: parts[0],
-                  time: '00:00',
-                  open: parseFloat(parts[1]),
-                  high: parseFloat(parts[2]),
-                  low: parseFloat(parts[3]),
-                  close: parseFloat(parts[4]),
-                  volume: parseFloat(parts[5] || 0),
-                  timestamp: new Date(parts[0])
-                };
-              } else {
-                candle = {
-                  date: parts[0],
-                  time: parts[1],
-                  open: parseFloat(parts[2]),
-                  high: parseFloat(parts[3]),
-                  low: parseFloat(parts[4]),
-                  close: parseFloat(parts[5]),
-                  volume: parseFloat(parts[6] || 0),
-                  timestamp: new Date(`${parts[0]} ${parts[1]}`)
-                };
-              }
-              
-              const isValid = 
-                !isNaN(candle.open) && candle.open > 0 &&
-                !isNaN(candle.high) && candle.high > 0 &&
-                !isNaN(candle.low) && candle.low > 0 &&
-                !isNaN(candle.close) && candle.close > 0 &&
-                candle.high >= candle.low &&
-                !isNaN(candle.timestamp.getTime()) &&
-                candle.timestamp.getFullYear() > 2000;
-              
-              if (isValid) parsed.push(candle);
-            }
-            resolve(parsed);
-          } catch (error) {
-            reject(error);
-          }
-        },
-        error: reject
-      });
-    });
+  const importFile = async (file, tf, mapping = null, timeZone = sourceTimeZones[tf]) => {
+    const onProgress = (loaded, total) => setImportProgress(prev => ({ ...prev, [tf]: total > 0 ? loaded / total : 0 }));
+    setImportProgress(prev => ({ ...prev, [tf]: 0 }));
+    let result;
+    try {
+      result = await importCSV(file, { isDaily: tf === 'daily', mapping, timeZone, onProgress, kind: importKind(tf) });
+    } finally {
+      setImportProgress(prev => ({ ...prev, [tf]: undefined }));
+    }
+    if (!mapping && result.needsMapping) {
+      setPendingImport({ tf, file, result, mapping: result.mapping });
+      return;
+    }
+    const series = tf === 'ticks' ? result.ticks : result.candles;
+    if (series.length === 0) {
+      alert(`No valid ${tf === 'ticks' ? 'ticks' : 'candles'} in ${file.name}. ${describeRejected(result.rejected)}`);
+      setPendingImport({ tf, file, result, mapping: result.mapping });
+      return;
+    }
+    setPendingImport(null);
+    uploadsRef.current[tf] = { file, mapping: result.mapping };
+    setFiles(prev => ({ ...prev, [tf]: series }));
+    setImportReports(prev => ({ ...prev, [tf]: { rowCount: result.rowCount, rejected: result.rejected } }));
+    setSelectedFixes(prev => ({ ...prev, [tf]: undefined }));
+    const symbol = tf === 'm5' ? detectInstrument(file.name, series) : instrument;
+    if (tf === 'm5') setInstrument(symbol);
+    persistDataset(tf, series, { symbol, name: file.name, timeZone });
+  };
+
+  // Storage is best effort: a failed write only costs the restore after a
+  // reload, so it is reported without interrupting the import.
+  const persistDataset = async (tf, candles, meta) => {
+    if (!isStorageAvailable()) return;
+    try {
+      const record = await saveDataset(candles, { timeframe: tf, ...meta });
+      setDatasetIds(prev => ({ ...prev, [tf]: record.id }));
+      setSavedDatasets(await listDatasets());
+    } catch (error) {
+      setDatasetIds(prev => ({ ...prev, [tf]: undefined }));
+      setStorageError(`Could not store ${tf.toUpperCase()} data: ${error.message}`);
+    }
   };
 
   const handleFileUpload = async (e, tf) => {
     const file = e.target.files[0];
     if (!file) return;
-    const isDaily = tf === 'daily';
-    const data = await parseCSV(file, isDaily);
-    setFiles(prev => ({ ...prev, [tf]: data }));
+    await importFile(file, tf);
   };
 
-  const detectPriceAction = (data, params) => {
-    const signals = [];
-    const { strongBodyMin, lookbackPeriod, wickMinPercent } = params;
-    
-    for (let i = lookbackPeriod; i < data.length; i++) {
-      const c = data[i];
-      const body = Math.abs(c.close - c.open);
-      const range = c.high - c.low;
-      const bodyPercent = range > 0 ? body / range : 0;
-      
-      const isGreen = c.close > c.open;
-      const isRed = c.close < c.open;
-      
-      const recentHigh = Math.max(...data.slice(i - lookbackPeriod, i).map(d => d.high));
-      const recentLow = Math.min(...data.slice(i - lookbackPeriod, i).map(d => d.low));
-      const momentum = i >= 3 ? c.close - data[i - 3].close : 0;
-      
-      const momentumLong = isGreen && bodyPercent >= strongBodyMin && momentum > 0;
-      const momentumShort = isRed && bodyPercent >= strongBodyMin && momentum < 0;
-      
-      const breakoutLong = isGreen && bodyPercent >= strongBodyMin && c.high > recentHigh;
-      const breakoutShort = isRed && bodyPercent >= strongBodyMin && c.low < recentLow;
-      
-      const lowerWick = Math.min(c.open, c.close) - c.low;
-      const upperWick = c.high - Math.max(c.open, c.close);
-      const lowerWickPct = range > 0 ? lowerWick / range : 0;
-      const upperWickPct = range > 0 ? upperWick / range : 0;
-      
-      const rejectionLong = isGreen && lowerWickPct >= wickMinPercent && c.low <= recentLow * 1.001;
-      const rejectionShort = isRed && upperWickPct >= wickMinPercent && c.high >= recentHigh * 0.999;
-      
-      if (momentumLong || breakoutLong || rejectionLong) {
-        signals.push({
-          index: i,
-          type: 'long',
-          setup: momentumLong ? 'momentum' : breakoutLong ? 'breakout' : 'rejection',
-          price: c.close,
-          timestamp: c.timestamp,
-          bodyPercent: (bodyPercent * 100).toFixed(1)
-        });
-      }
-      
-      if (momentumShort || breakoutShort || rejectionShort) {
-        signals.push({
-          index: i,
-          type: 'short',
-          setup: momentumShort ? 'momentum' : breakoutShort ? 'breakout' : 'rejection',
-          price: c.close,
-          timestamp: c.timestamp,
-          bodyPercent: (bodyPercent * 100).toFixed(1)
-        });
-      }
-    }
-    
-    return signals;
+  const changeSourceTimeZone = async (tf, timeZone) => {
+    setSourceTimeZones(prev => ({ ...prev, [tf]: timeZone }));
+    const upload = uploadsRef.current[tf];
+    if (upload) await importFile(upload.file, tf, upload.mapping, timeZone);
   };
 
-  const findOrderBlocks = (data, lookback = 20) => {
-    const obs = [];
-    for (let i = lookback; i < data.length - 1; i++) {
-      const avgMove = data.slice(i - lookback, i).reduce((sum, d, idx, arr) => {
-        if (idx === 0) return 0;
-        return sum + Math.abs(arr[idx].close - arr[idx - 1].close);
-      }, 0) / lookback;
-      
-      const move = Math.abs(data[i + 1].close - data[i].close);
-      if (move > avgMove * 1.5) {
-        obs.push({
-          index: i,
-          type: data[i + 1].close > data[i].close ? 'bullish' : 'bearish',
-          high: data[i].high,
-          low: data[i].low,
-          timestamp: data[i].timestamp
-        });
-      }
-    }
-    return obs.slice(-50);
+  const updatePendingMapping = (changes) => {
+    setPendingImport(prev => ({ ...prev, mapping: { ...prev.mapping, ...changes } }));
   };
 
-  const findFVG = (data, minPips = 10) => {
-    const fvgs = [];
-    const pipSize = 0.0001;
-    
-    for (let i = 1; i < data.length - 1; i++) {
-      const bullGap = data[i + 1].low - data[i - 1].high;
-      if (bullGap > minPips * pipSize && bullGap < 0.01) {
-        fvgs.push({
-          type: 'bullish',
-          top: data[i + 1].low,
-          bottom: data[i - 1].high,
-          timestamp: data[i].timestamp
-        });
-      }
-      
-      const bearGap = data[i - 1].low - data[i + 1].high;
-      if (bearGap > minPips * pipSize && bearGap < 0.01) {
-        fvgs.push({
-          type: 'bearish',
-          top: data[i - 1].low,
-          bottom: data[i + 1].high,
-          timestamp: data[i].timestamp
+  const updatePendingColumn = (role, value) => {
+    setPendingImport(prev => ({
+      ...prev,
+      mapping: { ...prev.mapping, columns: { ...prev.mapping.columns, [role]: value === '' ? null : Number(value) } }
+    }));
+  };
+
+  // Re-split the preview when the delimiter is changed by hand.
+  const changePendingDelimiter = async (delimiter) => {
+    const { tf, file, mapping } = pendingImport;
+    const result = await importCSV(file, {
+      isDaily: tf === 'daily',
+      mapping: { ...mapping, delimiter },
+      timeZone: sourceTimeZones[tf],
+      kind: importKind(tf)
+    });
+    setPendingImport(prev => ({ ...prev, result, mapping: { ...prev.mapping, delimiter } }));
+  };
+
+  // Higher timeframes that were not uploaded are built from M5; uploaded
+  // ones are checked against it.
+  const { files: engineFiles, derived: derivedTimeframes } = useMemo(
+    () => withDerivedTimeframes(files, resampleSettings),
+    [files, resampleSettings]
+  );
+
+  const timeframeChecks = useMemo(() => {
+    if (!files.m5) return {};
+    const checks = {};
+    ['h1', 'h4', 'daily'].forEach(tf => {
+      if (files[tf]) {
+        checks[tf] = validateTimeframe(files[tf], files.m5, tf, {
+          anchor: resampleSettings.anchor,
+          instrument: profile,
+          tolerancePips: resampleSettings.tolerancePips
         });
       }
-    }
-    return fvgs.slice(-30);
+    });
+    return checks;
+  }, [files, resampleSettings, profile]);
+
+  const weekendClosed = !tradesWeekends(profile);
+
+  const dataQuality = useMemo(() => {
+    const reports = {};
+    Object.keys(files).forEach(tf => {
+      if (files[tf] && TIMEFRAME_MS[tf]) reports[tf] = checkDataQuality(files[tf], TIMEFRAME_MS[tf], { weekendClosed });
+    });
+    return reports;
+  }, [files, weekendClosed]);
+
+  // Sorting and de-duplicating are ticked by default; the other fixes
+  // change the data and are left to the user.
+  const fixesFor = (tf) => selectedFixes[tf]
+    ?? applicableFixes(dataQuality[tf]).filter(fix => fix === 'sort' || fix === 'dedupe');
+
+  const toggleFix = (tf, fix, checked) => {
+    const current = fixesFor(tf);
+    setSelectedFixes(prev => ({ ...prev, [tf]: checked ? [...current, fix] : current.filter(f => f !== fix) }));
   };
 
-  const calculateConfluence = (signal, h4OBs, h1FVGs) => {
-    let score = 0;
-    const tolerance = 0.002;
-    
-    const nearOB = h4OBs.filter(ob => 
-      ob.type === signal.type && 
-      signal.price >= ob.low - tolerance && 
-      signal.price <= ob.high + tolerance
-    );
-    score += nearOB.length * 1.5;
-    
-    const nearFVG = h1FVGs.filter(fvg => 
-      fvg.type === signal.type && 
-      signal.price >= fvg.bottom - tolerance && 
-      signal.price <= fvg.top + tolerance
+  const applyDataFixes = (tf) => {
+    const fixed = applyFixes(files[tf], fixesFor(tf), TIMEFRAME_MS[tf], { weekendClosed });
+    const stored = savedDatasets.find(d => d.id === datasetIds[tf]);
+    setFiles(prev => ({ ...prev, [tf]: fixed }));
+    setSelectedFixes(prev => ({ ...prev, [tf]: undefined }));
+    persistDataset(tf, fixed, {
+      symbol: stored ? stored.symbol : instrument,
+      name: stored ? stored.name : tf.toUpperCase(),
+      timeZone: sourceTimeZones[tf]
+    });
+  };
+
+  const confirmDataQuality = () => {
+    const blocking = Object.keys(dataQuality).filter(tf => hasBlockingIssues(dataQuality[tf]));
+    if (blocking.length === 0) return true;
+    return window.confirm(
+      `${blocking.map(tf => tf.toUpperCase()).join(', ')} data has unsorted or duplicate bars. Results will be unreliable. Run anyway?`
     );
-    score += nearFVG.length;
-    
-    return score;
   };
 
-  const runBacktest = (params, isForward = false) => {
-    const data = files.m5;
-    if (!data || data.length < 200) return null;
-    
-    const splitIdx = Math.floor(data.length * (params.optimizeFrom / 100));
-    const testData = isForward ? data.slice(splitIdx) : data.slice(0, splitIdx);
-    
-    let balance = 10000;
-    const initialBalance = 10000;
-    let trades = [];
-    let peak = 10000;
-    let maxDD = 0;
-    
-    let h4OBs = [], h1FVGs = [];
-    if (strategy === 'combined' && files.h4 && files.h1) {
-      h4OBs = findOrderBlocks(files.h4, 20);
-      h1FVGs = findFVG(files.h1, params.fvgMinPips);
-    }
-    
-    let signals = detectPriceAction(testData, params);
-    
-    if (strategy === 'combined') {
-      signals = signals.map(sig => ({
-        ...sig,
-        confluence: calculateConfluence(sig, h4OBs, h1FVGs)
-      })).filter(sig => sig.confluence >= params.minConfluence);
-    }
-    
-    let tradesThisDay = 0;
-    let lastDate = '';
-    
-    for (const signal of signals) {
-      const candle = testData[signal.index];
-      const currentDate = candle.date;
-      
-      if (currentDate !== lastDate) {
-        tradesThisDay = 0;
-        lastDate = currentDate;
-      }
-      
-      if (tradesThisDay >= params.maxTradesPerDay) continue;
-      
-      if (params.useKillZones) {
-        const hour = candle.timestamp.getUTCHours();
-        if (!((hour >= 7 && hour < 10) || (hour >= 12 && hour < 15))) continue;
-      }
-      
-      const entry = signal.price;
-      let outcome = 'none';
-      let exitPrice = entry;
-      let exitReason = '';
-      let pnl = 0;
-      
-      if (signal.type === 'long') {
-        let sl = entry - (params.stopLossPips * 0.0001);
-        const tp = entry + (params.stopLossPips * params.riskRewardRatio * 0.0001);
-        
-        for (let j = signal.index + 1; j < Math.min(signal.index + 100, testData.length); j++) {
-          const c = testData[j];
-          
-          if (params.useTrailingStop) {
-            const newSL = c.close - (params.trailingStopPips * 0.0001);
-            if (newSL > sl) sl = newSL;
-          }
-          
-          if (c.low <= sl) {
-            outcome = 'loss';
-            exitPrice = sl;
-            exitReason = 'SL';
-            pnl = (sl - entry) / 0.0001 * 0.10;
-            balance += pnl;
-            break;
-          }
-          if (c.high >= tp) {
-            outcome = 'win';
-            exitPrice = tp;
-            exitReason = 'TP';
-            pnl = (tp - entry) / 0.0001 * 0.10;
-            balance += pnl;
-            break;
-          }
-        }
-      } else {
-        let sl = entry + (params.stopLossPips * 0.0001);
-        const tp = entry - (params.stopLossPips * params.riskRewardRatio * 0.0001);
-        
-        for (let j = signal.index + 1; j < Math.min(signal.index + 100, testData.length); j++) {
-          const c = testData[j];
-          
-          if (params.useTrailingStop) {
-            const newSL = c.close + (params.trailingStopPips * 0.0001);
-            if (newSL < sl) sl = newSL;
-          }
-          
-          if (c.high >= sl) {
-            outcome = 'loss';
-            exitPrice = sl;
-            exitReason = 'SL';
-            pnl = (entry - sl) / 0.0001 * 0.10;
-            balance += pnl;
-            break;
-          }
-          if (c.low <= tp) {
-            outcome = 'win';
-            exitPrice = tp;
-            exitReason = 'TP';
-            pnl = (entry - tp) / 0.0001 * 0.10;
-            balance += pnl;
-            break;
-          }
-        }
-      }
-      
-      if (outcome !== 'none') {
-        trades.push({
-          timestamp: signal.timestamp,
-          type: signal.type,
-          setup: signal.setup,
-          entry,
-          exitPrice,
-          outcome,
-          pnl,
-          balance,
-          confluence: signal.confluence || 0,
-          bodyPercent: signal.bodyPercent,
-          reason: exitReason
-        });
-        tradesThisDay++;
-        
-        if (balance > peak) peak = balance;
-        const dd = ((peak - balance) / peak) * 100;
-        if (dd > maxDD) maxDD = dd;
-      }
-    }
-    
-    if (trades.length === 0) return null;
-    
-    const wins = trades.filter(t => t.outcome === 'win').length;
-    const losses = trades.filter(t => t.outcome === 'loss').length;
-    const winRate = (wins / trades.length) * 100;
-    const totalProfit = trades.filter(t => t.outcome === 'win').reduce((sum, t) => sum + t.pnl, 0);
-    const totalLoss = Math.abs(trades.filter(t => t.outcome === 'loss').reduce((sum, t) => sum + t.pnl, 0));
-    const profitFactor = totalLoss > 0 ? totalProfit / totalLoss : 0;
-    const netProfit = balance - initialBalance;
-    const returnPct = (netProfit / initialBalance) * 100;
-    const avgWin = wins > 0 ? totalProfit / wins : 0;
-    const avgLoss = losses > 0 ? totalLoss / losses : 0;
-    const expectancy = (wins / trades.length) * avgWin - (losses / trades.length) * avgLoss;
-    
-    return {
-      trades,
-      metrics: {
-        totalTrades: trades.length,
-        wins,
-        losses,
-        winRate: winRate.toFixed(2),
-        profitFactor: profitFactor.toFixed(2),
-        netProfit: netProfit.toFixed(2),
-        returnPct: returnPct.toFixed(2),
-        maxDrawdown: maxDD.toFixed(2),
-        finalBalance: balance.toFixed(2),
-        avgWin: avgWin.toFixed(2),
-        avgLoss: avgLoss.toFixed(2),
-        expectancy: expectancy.toFixed(2)
-      }
-    };
+  const engineContext = {
+    strategy,
+    instrument: profile,
+    costs: costSettings,
+    sizing: sizingSettings,
+    exposure: exposureSettings,
+    exits: exitRules,
+    bias: biasSettings,
+    structure: structureSettings,
+    orderBlocks: orderBlockSettings,
+    imbalances: imbalanceSettings,
+    liquidity: liquiditySettings,
+    dealingRange: dealingRangeSettings,
+    intrabarPolicy
   };
 
-  const runOptimization = async () => {
+  // A checkpoint can only be resumed against the same data and settings.
+  const optimizationKey = JSON.stringify({
+    datasetIds, strategy, instrument, costSettings, sizingSettings, exposureSettings, exitRules, biasSettings, structureSettings, intrabarPolicy,
+    orderBlockSettings, imbalanceSettings, liquiditySettings, dealingRangeSettings, resampleSettings
+  });
+  const canResume = checkpoint && checkpoint.key === optimizationKey && !optimizing;
+
+  const runOptimization = async (resume = null) => {
     if (!files.m5) {
       alert('Upload M5 data first!');
       return;
     }
+    if (!confirmDataQuality()) return;
     
     setOptimizing(true);
-    setProgress(0);
-    await new Promise(r => setTimeout(r, 100));
+    setProgress(resume ? (checkpoint.done / checkpoint.total) * 100 : 0);
+    setResults(resume && resume.results.length > 0 ? resume.results : null);
+    if (!resume) setCheckpoint(null);
     
-    const combos = [];
-    const ranges = {
-      strongBodyMin: [0.4, 0.5, 0.6, 0.7],
-      lookbackPeriod: [15, 20, 25],
-      wickMinPercent: [0.5, 0.6, 0.7],
-      minConfluence: [1.5, 2.0, 2.5, 3.0],
-      fvgMinPips: [8, 10, 12, 15],
-      stopLossPips: [15, 20, 25],
-      riskRewardRatio: [2, 2.5, 3],
-      useKillZones: [true, false],
-      maxTradesPerDay: [3, 5, 7]
-    };
+    const run = startOptimization({
+      files: engineFiles,
+      context: engineContext,
+      combos: buildCombos(),
+      resume,
+      onProgress: (done, total, doneByWorker) => {
+        setProgress((done / total) * 100);
+        if (doneByWorker) setCheckpoint({ key: optimizationKey, doneByWorker, done, total });
+      },
+      onPartial: (top) => setResults(top)
+    });
+    optimizationRef.current = run;
     
-    for (const strongBody of ranges.strongBodyMin) {
-      for (const lookback of ranges.lookbackPeriod) {
-        for (const wick of ranges.wickMinPercent) {
-          for (const conf of ranges.minConfluence) {
-            for (const fvg of ranges.fvgMinPips) {
-              for (const sl of ranges.stopLossPips) {
-                for (const rr of ranges.riskRewardRatio) {
-                  for (const kz of ranges.useKillZones) {
-                    for (const maxTrades of ranges.maxTradesPerDay) {
-                      combos.push({
-                        strongBodyMin: strongBody,
-                        lookbackPeriod: lookback,
-                        wickMinPercent: wick,
-                        minConfluence: conf,
-                        fvgMinPips: fvg,
-                        stopLossPips: sl,
-                        riskRewardRatio: rr,
-                        useTrailingStop: true,
-                        trailingStopPips: sl,
-                        useKillZones: kz,
-                        maxTradesPerDay: maxTrades,
-                        optimizeFrom: 70,
-                        optimizeTo: 100
-                      });
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }
+    try {
+      const { results: top, cancelled } = await run.promise;
+      setResults(top.length > 0 ? top : null);
+      if (!cancelled) {
+        setProgress(100);
+        setCheckpoint(null);
       }
+    } catch (error) {
+      alert(`Optimization failed: ${error.message}`);
+    } finally {
+      optimizationRef.current = null;
+      setOptimizing(false);
     }
-    
-    const allResults = [];
-    for (let i = 0; i < combos.length; i++) {
-      const result = runBacktest(combos[i], false);
-      if (result && result.metrics.totalTrades >= 10 && parseFloat(result.metrics.profitFactor) > 1.0) {
-        allResults.push({
-          params: combos[i],
-          ...result.metrics
-        });
+  };
+
+  const stopOptimization = () => {
+    if (optimizationRef.current) optimizationRef.current.cancel();
+  };
+
+  const resumeOptimization = () => runOptimization({ doneByWorker: checkpoint.doneByWorker, results: results || [] });
+
+  // Everything a session restores besides the data itself.
+  const sessionSetters = useMemo(() => ({
+    instrument: setInstrument,
+    strategy: setStrategy,
+    mode: setMode,
+    settings: setSettings,
+    costSettings: setCostSettings,
+    sizingSettings: setSizingSettings,
+    exposureSettings: setExposureSettings,
+    intrabarPolicy: setIntrabarPolicy,
+    exitRules: setExitRules,
+    biasSettings: setBiasSettings,
+    structureSettings: setStructureSettings,
+    orderBlockSettings: setOrderBlockSettings,
+    imbalanceSettings: setImbalanceSettings,
+    liquiditySettings: setLiquiditySettings,
+    dealingRangeSettings: setDealingRangeSettings,
+    resampleSettings: setResampleSettings,
+    // Sessions saved before a timeframe existed keep its default zone.
+    sourceTimeZones: (zones) => setSourceTimeZones(prev => ({ ...prev, ...zones })),
+    results: setResults,
+    backtestResult: setBacktestResult,
+    forwardTest: setForwardTest,
+    checkpoint: setCheckpoint
+  }), []);
+
+  const sessionState = useMemo(() => ({
+    instrument,
+    strategy,
+    mode,
+    settings,
+    costSettings,
+    sizingSettings,
+    exposureSettings,
+    intrabarPolicy,
+    exitRules,
+    biasSettings,
+    structureSettings,
+    orderBlockSettings,
+    imbalanceSettings,
+    liquiditySettings,
+    dealingRangeSettings,
+    resampleSettings,
+    sourceTimeZones,
+    results,
+    backtestResult,
+    forwardTest,
+    checkpoint
+  }), [
+    instrument, strategy, mode, settings, costSettings, sizingSettings, exposureSettings, intrabarPolicy, exitRules,
+    biasSettings, structureSettings, orderBlockSettings, imbalanceSettings, liquiditySettings, dealingRangeSettings,
+    resampleSettings, sourceTimeZones, results, backtestResult, forwardTest, checkpoint
+  ]);
+
+  const restoreSession = useCallback(async (session) => {
+    Object.entries(session.state).forEach(([key, value]) => {
+      if (sessionSetters[key]) sessionSetters[key](value);
+    });
+    const loaded = { ...EMPTY_FILES };
+    const ids = {};
+    for (const [tf, id] of Object.entries(session.datasetIds)) {
+      const candles = id ? await loadDataset(id) : null;
+      if (candles) {
+        loaded[tf] = candles;
+        ids[tf] = id;
       }
-      
-      if (i % 50 === 0) {
-        setProgress((i / combos.length) * 100);
-        await new Promise(r => setTimeout(r, 0));
+    }
+    uploadsRef.current = {};
+    setFiles(loaded);
+    setDatasetIds(ids);
+    setImportReports({});
+    setSelectedFixes({});
+    const { checkpoint: saved, results: savedResults } = session.state;
+    setProgress(saved ? (saved.done / saved.total) * 100 : savedResults ? 100 : 0);
+  }, [sessionSetters]);
+
+  const refreshStorageLists = useCallback(async () => {
+    const [sessions, datasets] = await Promise.all([listSessions(), listDatasets()]);
+    setSavedSessions(sessions.filter(session => session.id !== LAST_SESSION_ID));
+    setSavedDatasets(datasets);
+  }, []);
+
+  const storageAction = async (action) => {
+    try {
+      await action();
+      await refreshStorageLists();
+      setStorageError(null);
+    } catch (error) {
+      setStorageError(error.message);
+    }
+  };
+
+  const saveNamedSession = () => storageAction(async () => {
+    const name = sessionName.trim();
+    if (!name) return;
+    await saveSession(`session:${name}`, { name, datasetIds, state: sessionState });
+    setSessionName('');
+  });
+
+  const openSession = (id) => storageAction(async () => {
+    const session = await loadSession(id);
+    if (session) await restoreSession(session);
+  });
+
+  const openDataset = (record) => storageAction(async () => {
+    const candles = await loadDataset(record.id);
+    if (!candles) return;
+    const tf = record.timeframe;
+    delete uploadsRef.current[tf];
+    setFiles(prev => ({ ...prev, [tf]: candles }));
+    setDatasetIds(prev => ({ ...prev, [tf]: record.id }));
+    setSourceTimeZones(prev => ({ ...prev, [tf]: record.timeZone }));
+    setImportReports(prev => ({ ...prev, [tf]: undefined }));
+    setSelectedFixes(prev => ({ ...prev, [tf]: undefined }));
+    if (tf === 'm5') setInstrument(record.symbol);
+  });
+
+  // Restore the last session once on load.
+  useEffect(() => {
+    if (!isStorageAvailable()) return;
+    (async () => {
+      try {
+        const last = await loadSession(LAST_SESSION_ID);
+        if (last) await restoreSession(last);
+        await refreshStorageLists();
+      } catch (error) {
+        setStorageError(`Could not restore the last session: ${error.message}`);
+      } finally {
+        restoredRef.current = true;
       }
+    })();
+  }, [restoreSession, refreshStorageLists]);
+
+  // Writes the pending autosave now, if there is one.
+  const flushAutosave = useCallback(() => {
+    const autosave = autosaveRef.current;
+    if (!autosave.timer) return;
+    clearTimeout(autosave.timer);
+    autosave.timer = null;
+    saveSession(LAST_SESSION_ID, autosave.session).catch(error => setStorageError(`Autosave failed: ${error.message}`));
+  }, []);
+
+  // Autosave the last session when it changes, throttled so a running
+  // optimization writes its checkpoint every few seconds rather than on
+  // every batch.
+  useEffect(() => {
+    if (!restoredRef.current) return;
+    const autosave = autosaveRef.current;
+    autosave.session = { name: 'Last session', datasetIds, state: sessionState };
+    if (!autosave.timer) autosave.timer = setTimeout(flushAutosave, AUTOSAVE_MS);
+  }, [datasetIds, sessionState, flushAutosave]);
+
+  // Leaving the page saves what is still pending instead of dropping it.
+  useEffect(() => {
+    window.addEventListener('pagehide', flushAutosave);
+    return () => {
+      window.removeEventListener('pagehide', flushAutosave);
+      flushAutosave();
+    };
+  }, [flushAutosave]);
+
+  const runBacktest = async (params, isForward = false) => {
+    if (!confirmDataQuality()) return null;
+    try {
+      return await runBacktestInWorker(engineFiles, params, engineContext, isForward);
+    } catch (error) {
+      alert(`Backtest failed: ${error.message}`);
+      return null;
     }
-    
-    allResults.sort((a, b) => parseFloat(b.returnPct) - parseFloat(a.returnPct));
-    
-    setResults(allResults.slice(0, 20));
-    setProgress(100);
-    setOptimizing(false);
   };
 
-  const runForwardTest = () => {
+  const runForwardTest = async () => {
     if (!files.m5) {
       alert('Upload M5 data!');
       return;
     }
     
-    const result = runBacktest(settings, true);
+    const result = await runBacktest(settings, true);
     setForwardTest(result);
   };
 
-  const generateLiveSignals = () => {
+  const refreshLiveSignals = () => {
     if (!files.m5) return;
-    
-    const data = files.m5;
-    const lastCandles = data.slice(-100);
-    
-    let h4OBs = [], h1FVGs = [];
-    if (strategy === 'combined' && files.h4 && files.h1) {
-      h4OBs = findOrderBlocks(files.h4, 20);
-      h1FVGs = findFVG(files.h1, settings.fvgMinPips);
-    }
-    
-    let signals = detectPriceAction(lastCandles, settings);
-    
-    if (strategy === 'combined') {
-      signals = signals.map(sig => ({
-        ...sig,
-        confluence: calculateConfluence(sig, h4OBs, h1FVGs)
-      })).filter(sig => sig.confluence >= settings.minConfluence);
-    }
-    
-    const recentSignals = signals.slice(-10).map(sig => {
-      const entry = sig.price;
-      const sl = sig.type === 'long' 
-        ? entry - (settings.stopLossPips * 0.0001)
-        : entry + (settings.stopLossPips * 0.0001);
-      const tp = sig.type === 'long'
-        ? entry + (settings.stopLossPips * settings.riskRewardRatio * 0.0001)
-        : entry - (settings.stopLossPips * settings.riskRewardRatio * 0.0001);
-      
-      return {
-        ...sig,
-        entry: entry.toFixed(5),
-        sl: sl.toFixed(5),
-        tp: tp.toFixed(5),
-        slPips: settings.stopLossPips,
-        tpPips: (settings.stopLossPips * settings.riskRewardRatio).toFixed(0),
-        timeframe: 'M5',
-        trailingStop: settings.useTrailingStop ? `${settings.trailingStopPips} pips` : 'No'
-      };
-    });
-    
-    setLiveSignals(recentSignals);
+    setLiveSignals(generateLiveSignals(engineFiles, settings, engineContext));
   };
 
-  const filesLoaded = Object.values(files).filter(f => f !== null).length;
+  const filesLoaded = ['m5', 'h1', 'h4', 'daily'].filter(tf => files[tf] !== null).length;
   
-  const checkResults = (metrics) => {
-    const redFlags = [];
-    const greenFlags = [];
-    
-    if (parseFloat(metrics.winRate) > 70) redFlags.push("Win rate >70% (overfitting risk)");
-    else if (parseFloat(metrics.winRate) >= 40) greenFlags.push("Win rate in healthy range (40-70%)");
-    else redFlags.push("Win rate <40% (too low)");
-    
-    if (parseFloat(metrics.profitFactor) < 1.5) redFlags.push("Profit Factor <1.5 (weak edge)");
-    else greenFlags.push("Profit Factor ≥1.5 (good edge)");
-    
-    if (parseFloat(metrics.maxDrawdown) > 30) redFlags.push("Max Drawdown >30% (too risky)");
-    else greenFlags.push("Max Drawdown ≤30% (acceptable risk)");
-    
-    if (metrics.totalTrades < 50) redFlags.push("Less than 50 trades (not enough data)");
-    else greenFlags.push("Sufficient trade sample");
-    
-    if (parseFloat(metrics.expectancy) < 0) redFlags.push("Negative expectancy (mathematical loser)");
-    else greenFlags.push("Positive expectancy");
-    
-    return { redFlags, greenFlags, passed: redFlags.length === 0 };
-  };
-
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-900 via-blue-900 to-purple-900 p-4">
       <div className="max-w-7xl mx-auto">
@@ -625,6 +578,67 @@ const CompleteTradingSystem = () => {
           </div>
         </div>
 
+        {/* Saved sessions and datasets */}
+        {isStorageAvailable() && (
+          <div className="bg-slate-800 rounded-lg p-6 mb-6 border border-slate-700">
+            <h2 className="text-xl font-bold text-white mb-4">💾 Sessions</h2>
+            <div className="flex flex-wrap items-center gap-3">
+              <input
+                type="text"
+                value={sessionName}
+                onChange={(e) => setSessionName(e.target.value)}
+                placeholder="Session name"
+                className="bg-slate-700 text-white rounded px-3 py-2 text-sm"
+              />
+              <button
+                onClick={saveNamedSession}
+                disabled={!sessionName.trim()}
+                className="bg-green-600 hover:bg-green-700 disabled:bg-slate-600 disabled:opacity-50 text-white px-4 py-2 rounded-lg font-bold text-sm"
+              >
+                Save session
+              </button>
+              <p className="text-slate-400 text-xs">Data, settings and results are also kept for the next visit automatically.</p>
+            </div>
+            {storageError && <p className="text-yellow-400 text-xs mt-2">⚠️ {storageError}</p>}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+              <div>
+                <h3 className="text-slate-300 font-bold text-sm mb-2">Saved sessions</h3>
+                {savedSessions.length === 0 && <p className="text-slate-500 text-xs">None yet</p>}
+                {savedSessions.map(session => (
+                  <div key={session.id} className="flex items-center justify-between gap-2 text-sm text-white py-1">
+                    <span>
+                      {session.name} <span className="text-slate-500 text-xs">{session.savedAt.toLocaleString()}</span>
+                    </span>
+                    <span className="flex gap-2">
+                      <button onClick={() => openSession(session.id)} className="text-blue-400 hover:text-blue-300 text-xs">Load</button>
+                      <button onClick={() => storageAction(() => deleteSession(session.id))} className="text-red-400 hover:text-red-300 text-xs">Delete</button>
+                    </span>
+                  </div>
+                ))}
+              </div>
+              <div>
+                <h3 className="text-slate-300 font-bold text-sm mb-2">Stored datasets</h3>
+                {savedDatasets.length === 0 && <p className="text-slate-500 text-xs">None yet</p>}
+                {savedDatasets.map(dataset => (
+                  <div key={dataset.id} className="flex items-center justify-between gap-2 text-sm text-white py-1">
+                    <span title={dataset.name}>
+                      {dataset.symbol} {dataset.timeframe.toUpperCase()}{' '}
+                      <span className="text-slate-500 text-xs">
+                        {dataset.from.toISOString().slice(0, 10)} → {dataset.to.toISOString().slice(0, 10)} ({dataset.bars.toLocaleString()} bars)
+                      </span>
+                      {datasetIds[dataset.timeframe] === dataset.id && <span className="text-green-400 text-xs"> ✓ loaded</span>}
+                    </span>
+                    <span className="flex gap-2">
+                      <button onClick={() => openDataset(dataset)} className="text-blue-400 hover:text-blue-300 text-xs">Load</button>
+                      <button onClick={() => storageAction(() => deleteDataset(dataset.id))} className="text-red-400 hover:text-red-300 text-xs">Delete</button>
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* File Upload */}
         <div className="bg-slate-800 rounded-lg p-6 mb-6 border border-purple-500/30">
           <h2 className="text-xl font-bold text-white mb-4">📂 Step 1: Upload Data ({filesLoaded}/4)</h2>
@@ -633,16 +647,287 @@ const CompleteTradingSystem = () => {
               <div key={tf}>
                 <label className={`block bg-gradient-to-r ${tf === 'm5' ? 'from-green-600 to-green-700' : 'from-blue-600 to-blue-700'} hover:opacity-90 text-white px-4 py-3 rounded-lg cursor-pointer transition text-center font-bold`}>
                   {tf.toUpperCase()} {tf === 'm5' ? '(REQUIRED)' : '(Optional)'}
-                  <input type="file" accept=".csv" onChange={(e) => handleFileUpload(e, tf)} className="hidden" />
+                  <input type="file" accept=".csv,.txt" onChange={(e) => handleFileUpload(e, tf)} className="hidden" />
                 </label>
+                <select
+                  value={sourceTimeZones[tf]}
+                  onChange={(e) => changeSourceTimeZone(tf, e.target.value)}
+                  title="Time zone of the timestamps in this file"
+                  className="w-full mt-2 bg-slate-700 text-white text-xs rounded px-2 py-1"
+                >
+                  {Object.entries(TIMEZONE_PRESETS).map(([key, preset]) => (
+                    <option key={key} value={key}>{preset.label}</option>
+                  ))}
+                </select>
+                {importProgress[tf] !== undefined && (
+                  <p className="text-blue-300 text-xs mt-2 text-center">
+                    ⏳ Parsing {(importProgress[tf] * 100).toFixed(0)}%
+                  </p>
+                )}
                 {files[tf] && (
                   <p className="text-green-400 text-xs mt-2 text-center font-bold">
                     ✓ {files[tf].length.toLocaleString()} bars
                   </p>
                 )}
+                {!files[tf] && derivedTimeframes.includes(tf) && (
+                  <p className="text-blue-300 text-xs mt-2 text-center">
+                    ↻ Built from M5 ({engineFiles[tf].length.toLocaleString()} bars)
+                  </p>
+                )}
+                {timeframeChecks[tf] && (
+                  <p
+                    className={`text-xs mt-1 text-center ${timeframeChecks[tf].ok ? 'text-green-400' : 'text-yellow-400'}`}
+                    title={timeframeChecks[tf].samples.map(r => `${r.timestamp.toISOString()}: ${r.issue}`).join('\n')}
+                  >
+                    {timeframeChecks[tf].ok ? '✓' : '⚠️'} {describeValidation(timeframeChecks[tf])}
+                  </p>
+                )}
+                {importReports[tf] && importReports[tf].rejected.total > 0 && (
+                  <p
+                    className="text-yellow-400 text-xs mt-1 text-center"
+                    title={importReports[tf].rejected.samples.map(r => `Line ${r.line}: ${r.text}`).join('\n')}
+                  >
+                    ⚠️ {describeRejected(importReports[tf].rejected)} (of {importReports[tf].rowCount.toLocaleString()})
+                  </p>
+                )}
               </div>
             ))}
           </div>
+          <div className="mt-4 flex flex-wrap items-center gap-3">
+            <label className="bg-slate-700 hover:bg-slate-600 text-white px-4 py-2 rounded-lg cursor-pointer transition text-sm font-bold">
+              M1 (Optional, intrabar replay)
+              <input type="file" accept=".csv,.txt" onChange={(e) => handleFileUpload(e, 'm1')} className="hidden" />
+            </label>
+            <select
+              value={sourceTimeZones.m1}
+              onChange={(e) => changeSourceTimeZone('m1', e.target.value)}
+              title="Time zone of the timestamps in this file"
+              className="bg-slate-700 text-white text-xs rounded px-2 py-2"
+            >
+              {Object.entries(TIMEZONE_PRESETS).map(([key, preset]) => (
+                <option key={key} value={key}>{preset.label}</option>
+              ))}
+            </select>
+            {importProgress.m1 !== undefined && (
+              <p className="text-blue-300 text-xs">⏳ Parsing {(importProgress.m1 * 100).toFixed(0)}%</p>
+            )}
+            {files.m1 && (
+              <p className="text-green-400 text-xs font-bold">✓ {files.m1.length.toLocaleString()} M1 bars</p>
+            )}
+            {importReports.m1 && importReports.m1.rejected.total > 0 && (
+              <p className="text-yellow-400 text-xs">⚠️ {describeRejected(importReports.m1.rejected)}</p>
+            )}
+          </div>
+          <div className="mt-3 flex flex-wrap items-center gap-3">
+            <label className="bg-slate-700 hover:bg-slate-600 text-white px-4 py-2 rounded-lg cursor-pointer transition text-sm font-bold">
+              Ticks (Optional, bid/ask replay)
+              <input type="file" accept=".csv,.txt" onChange={(e) => handleFileUpload(e, 'ticks')} className="hidden" />
+            </label>
+            <select
+              value={sourceTimeZones.ticks}
+              onChange={(e) => changeSourceTimeZone('ticks', e.target.value)}
+              title="Time zone of the timestamps in this file"
+              className="bg-slate-700 text-white text-xs rounded px-2 py-2"
+            >
+              {Object.entries(TIMEZONE_PRESETS).map(([key, preset]) => (
+                <option key={key} value={key}>{preset.label}</option>
+              ))}
+            </select>
+            {importProgress.ticks !== undefined && (
+              <p className="text-blue-300 text-xs">⏳ Parsing {(importProgress.ticks * 100).toFixed(0)}%</p>
+            )}
+            {files.ticks && (
+              <p className="text-green-400 text-xs font-bold">✓ {files.ticks.length.toLocaleString()} ticks</p>
+            )}
+            {importReports.ticks && importReports.ticks.rejected.total > 0 && (
+              <p className="text-yellow-400 text-xs">⚠️ {describeRejected(importReports.ticks.rejected)}</p>
+            )}
+          </div>
+          {pendingImport && (
+            <div className="mt-4 p-4 bg-slate-900 border border-yellow-500 rounded-lg">
+              <h3 className="text-yellow-300 font-bold mb-1">
+                Column mapping for {pendingImport.file.name} ({pendingImport.tf.toUpperCase()})
+              </h3>
+              {pendingImport.result.issues.map(issue => (
+                <p key={issue} className="text-yellow-400 text-xs">⚠️ {issue}</p>
+              ))}
+              <div className="overflow-x-auto my-3">
+                <table className="text-xs text-slate-300">
+                  <thead>
+                    <tr>
+                      {(pendingImport.result.preview[0] || []).map((_, col) => (
+                        <th key={col} className="px-2 py-1 text-left text-slate-500">#{col + 1}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {pendingImport.result.preview.map((row, i) => (
+                      <tr key={i} className={i === 0 && pendingImport.mapping.hasHeader ? 'text-slate-500' : ''}>
+                        {row.map((cell, col) => <td key={col} className="px-2 py-1 font-mono">{cell}</td>)}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <div className="grid grid-cols-2 md:grid-cols-6 gap-3 text-sm">
+                {(pendingImport.tf === 'ticks' ? TICK_COLUMN_ROLES : COLUMN_ROLES).map(role => (
+                  <div key={role}>
+                    <label className="text-slate-400 block mb-1 capitalize">{role}</label>
+                    <select
+                      value={pendingImport.mapping.columns[role] ?? ''}
+                      onChange={(e) => updatePendingColumn(role, e.target.value)}
+                      className="w-full bg-slate-700 text-white rounded px-2 py-1"
+                    >
+                      <option value="">—</option>
+                      {(pendingImport.result.preview[0] || []).map((_, col) => (
+                        <option key={col} value={col}>Column {col + 1}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+                <div>
+                  <label className="text-slate-400 block mb-1">Date format</label>
+                  <select
+                    value={pendingImport.mapping.dateFormat}
+                    onChange={(e) => updatePendingMapping({ dateFormat: e.target.value })}
+                    className="w-full bg-slate-700 text-white rounded px-2 py-1"
+                  >
+                    {Object.entries(DATE_FORMATS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="text-slate-400 block mb-1">Delimiter</label>
+                  <select
+                    value={pendingImport.mapping.delimiter}
+                    onChange={(e) => changePendingDelimiter(e.target.value)}
+                    className="w-full bg-slate-700 text-white rounded px-2 py-1"
+                  >
+                    <option value={','}>Comma</option>
+                    <option value={'\t'}>Tab</option>
+                    <option value={';'}>Semicolon</option>
+                    <option value={'|'}>Pipe</option>
+                  </select>
+                </div>
+                <label className="flex items-center gap-2 text-slate-300 mt-6">
+                  <input
+                    type="checkbox"
+                    checked={pendingImport.mapping.hasHeader}
+                    onChange={(e) => updatePendingMapping({ hasHeader: e.target.checked })}
+                  />
+                  First row is a header
+                </label>
+              </div>
+              <div className="flex gap-3 mt-4">
+                <button
+                  onClick={() => importFile(pendingImport.file, pendingImport.tf, pendingImport.mapping)}
+                  className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg font-bold text-sm"
+                >
+                  Import with this mapping
+                </button>
+                <button
+                  onClick={() => setPendingImport(null)}
+                  className="bg-slate-700 hover:bg-slate-600 text-white px-4 py-2 rounded-lg font-bold text-sm"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+          <div className="mt-4 flex flex-wrap items-center gap-3">
+            <label className="text-sm text-slate-400">Instrument</label>
+            <select
+              value={instrument}
+              onChange={(e) => setInstrument(e.target.value)}
+              className="bg-slate-700 text-white rounded px-3 py-2"
+            >
+              {Object.keys(INSTRUMENTS).map(symbol => (
+                <option key={symbol} value={symbol}>{symbol}</option>
+              ))}
+            </select>
+            <p className="text-slate-400 text-xs">
+              Pip {profile.pipSize} | Contract {profile.contractSize.toLocaleString()} | {profile.quoteCurrency} quote | {profile.digits} digits
+              {files.m5 && ' (auto-detected from M5 upload, change if wrong)'}
+            </p>
+          </div>
+          <div className="mt-4 flex flex-wrap items-center gap-3">
+            <label className="flex items-center text-white text-sm">
+              <input
+                type="checkbox"
+                checked={resampleSettings.deriveMissing}
+                onChange={(e) => setResampleSettings({...resampleSettings, deriveMissing: e.target.checked})}
+                className="mr-2"
+              />
+              Build missing H1/H4/Daily from M5
+            </label>
+            <label className="text-sm text-slate-400">Session anchor</label>
+            <select
+              value={resampleSettings.anchor}
+              onChange={(e) => setResampleSettings({...resampleSettings, anchor: e.target.value})}
+              className="bg-slate-700 text-white rounded px-3 py-2 text-sm"
+            >
+              {Object.entries(SESSION_ANCHORS).map(([key, anchor]) => (
+                <option key={key} value={key}>{anchor.label}</option>
+              ))}
+            </select>
+          </div>
+          <p className="mt-2 text-slate-400 text-xs">
+            Pick the time zone each export was written in (MT4/MT5 server time is usually GMT+2/+3). Candles are
+            converted to UTC; kill zones, sessions and the 17:00 trading-day rollover use New York time.
+          </p>
+          {Object.entries(dataQuality).some(([, report]) => !report.ok) && (
+            <div className="mt-4 p-4 bg-slate-900 border border-slate-600 rounded-lg">
+              <h3 className="text-white font-bold mb-2">Data quality</h3>
+              {Object.entries(dataQuality).filter(([, report]) => !report.ok).map(([tf, report]) => (
+                <div key={tf} className="mb-3">
+                  <p className={`text-sm font-bold ${hasBlockingIssues(report) ? 'text-red-400' : 'text-yellow-400'}`}>
+                    {tf.toUpperCase()}: {describeQuality(report).join(' | ')}
+                  </p>
+                  {report.gapList.length > 0 && (
+                    <details className="text-xs text-slate-400 mt-1">
+                      <summary className="cursor-pointer">Gaps{report.gaps > report.gapList.length ? ` (first ${report.gapList.length})` : ''}</summary>
+                      {report.gapList.map(gap => (
+                        <p key={gap.from.getTime()} className="font-mono">
+                          {gap.from.toISOString()} → {gap.to.toISOString()} ({gap.missingBars} bars)
+                        </p>
+                      ))}
+                    </details>
+                  )}
+                  {report.outlierList.length > 0 && (
+                    <details className="text-xs text-slate-400 mt-1">
+                      <summary className="cursor-pointer">Outliers{report.outliers > report.outlierList.length ? ` (first ${report.outlierList.length})` : ''}</summary>
+                      {report.outlierList.map(o => (
+                        <p key={o.index} className="font-mono">
+                          {o.timestamp.toISOString()} {o.reason} {o.size.toFixed(1)}× average range
+                        </p>
+                      ))}
+                    </details>
+                  )}
+                  <div className="flex flex-wrap items-center gap-3 mt-2">
+                    {applicableFixes(report).map(fix => (
+                      <label key={fix} className="flex items-center text-slate-300 text-xs">
+                        <input
+                          type="checkbox"
+                          checked={fixesFor(tf).includes(fix)}
+                          onChange={(e) => toggleFix(tf, fix, e.target.checked)}
+                          className="mr-1"
+                        />
+                        {DATA_FIXES[fix]}
+                      </label>
+                    ))}
+                    <button
+                      onClick={() => applyDataFixes(tf)}
+                      disabled={fixesFor(tf).length === 0}
+                      className="bg-blue-600 hover:bg-blue-700 disabled:bg-slate-600 disabled:opacity-50 text-white px-3 py-1 rounded text-xs font-bold"
+                    >
+                      Apply fixes
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
           {!files.m5 && (
             <div className="mt-4 p-3 bg-yellow-900/30 border border-yellow-500 rounded text-center">
               <p className="text-yellow-300 text-sm font-bold">⚠️ M5 data is REQUIRED to start testing</p>
@@ -650,101 +935,667 @@ const CompleteTradingSystem = () => {
           )}
         </div>
 
-        {/* Mode Selection */}
+        {/* Mode Selection */}
+        <div className="bg-slate-800 rounded-lg p-6 mb-6 border border-slate-700">
+          <h2 className="text-xl font-bold text-white mb-4">🎯 Select Testing Mode</h2>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <button
+              onClick={() => setMode('backtest')}
+              disabled={!files.m5}
+              className={`p-4 rounded-lg border-2 transition ${mode === 'backtest' ? 'border-green-500 bg-green-900/30' : 'border-slate-600 hover:border-green-500/50'} ${!files.m5 ? 'opacity-50 cursor-not-allowed' : ''}`}
+            >
+              <BarChart3 className="mx-auto mb-2 text-green-400" size={32} />
+              <h3 className="text-white font-bold">Backtest</h3>
+              <p className="text-slate-400 text-sm mt-1">Test on 70% historical</p>
+            </button>
+            
+            <button
+              onClick={() => setMode('optimize')}
+              disabled={!files.m5}
+              className={`p-4 rounded-lg border-2 transition ${mode === 'optimize' ? 'border-purple-500 bg-purple-900/30' : 'border-slate-600 hover:border-purple-500/50'} ${!files.m5 ? 'opacity-50 cursor-not-allowed' : ''}`}
+            >
+              <Zap className="mx-auto mb-2 text-purple-400" size={32} />
+              <h3 className="text-white font-bold">Auto-Optimize</h3>
+              <p className="text-slate-400 text-sm mt-1">Find best settings</p>
+            </button>
+            
+            <button
+              onClick={() => setMode('forward')}
+              disabled={!files.m5}
+              className={`p-4 rounded-lg border-2 transition ${mode === 'forward' ? 'border-blue-500 bg-blue-900/30' : 'border-slate-600 hover:border-blue-500/50'} ${!files.m5 ? 'opacity-50 cursor-not-allowed' : ''}`}
+            >
+              <Target className="mx-auto mb-2 text-blue-400" size={32} />
+              <h3 className="text-white font-bold">Forward Test</h3>
+              <p className="text-slate-400 text-sm mt-1">Validate on 30%</p>
+            </button>
+            
+            <button
+              onClick={() => setMode('live')}
+              disabled={!files.m5}
+              className={`p-4 rounded-lg border-2 transition ${mode === 'live' ? 'border-yellow-500 bg-yellow-900/30' : 'border-slate-600 hover:border-yellow-500/50'} ${!files.m5 ? 'opacity-50 cursor-not-allowed' : ''}`}
+            >
+              <Bell className="mx-auto mb-2 text-yellow-400" size={32} />
+              <h3 className="text-white font-bold">Live Signals</h3>
+              <p className="text-slate-400 text-sm mt-1">Get trade alerts</p>
+            </button>
+          </div>
+        </div>
+
+        {/* Parameters */}
+        <div className="bg-slate-800 rounded-lg p-6 mb-6 border border-slate-700">
+          <h2 className="text-xl font-bold text-white mb-4">⚙️ Parameters</h2>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+            <div>
+              <label className="text-sm text-slate-400">Strong Body %</label>
+              <input
+                type="number"
+                step="0.1"
+                value={settings.strongBodyMin * 100}
+                onChange={(e) => setSettings({...settings, strongBodyMin: +e.target.value / 100})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">Lookback</label>
+              <input
+                type="number"
+                value={settings.lookbackPeriod}
+                onChange={(e) => setSettings({...settings, lookbackPeriod: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">Stop Loss (pips)</label>
+              <input
+                type="number"
+                value={settings.stopLossPips}
+                onChange={(e) => setSettings({...settings, stopLossPips: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">Risk:Reward</label>
+              <input
+                type="number"
+                step="0.5"
+                value={settings.riskRewardRatio}
+                onChange={(e) => setSettings({...settings, riskRewardRatio: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">Min Confluence</label>
+              <input
+                type="number"
+                step="0.5"
+                value={settings.minConfluence}
+                onChange={(e) => setSettings({...settings, minConfluence: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+            <div className="flex items-end">
+              <label className="flex items-center text-white text-sm">
+                <input
+                  type="checkbox"
+                  checked={settings.useTrailingStop}
+                  onChange={(e) => setSettings({...settings, useTrailingStop: e.target.checked})}
+                  className="mr-2"
+                />
+                Trailing Stop
+              </label>
+            </div>
+            <div className="flex items-end">
+              <label className="flex items-center text-white text-sm">
+                <input
+                  type="checkbox"
+                  checked={settings.useKillZones}
+                  onChange={(e) => setSettings({...settings, useKillZones: e.target.checked})}
+                  className="mr-2"
+                />
+                Kill Zones Only ({Object.values(KILL_ZONES).map(zone => `${zone.start}-${zone.end}`).join(', ')} NY)
+              </label>
+            </div>
+          </div>
+        </div>
+
+        {/* Position Sizing */}
+        <div className="bg-slate-800 rounded-lg p-6 mb-6 border border-slate-700">
+          <h2 className="text-xl font-bold text-white mb-4">📐 Position Sizing</h2>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+            <div>
+              <label className="text-sm text-slate-400">Starting Balance</label>
+              <input
+                type="number"
+                step="1000"
+                value={sizingSettings.initialBalance}
+                onChange={(e) => setSizingSettings({...sizingSettings, initialBalance: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">Sizing Mode</label>
+              <select
+                value={sizingSettings.mode}
+                onChange={(e) => setSizingSettings({...sizingSettings, mode: e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              >
+                {Object.entries(SIZING_MODES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            {sizingSettings.mode === 'fixedLots' && (
+              <div>
+                <label className="text-sm text-slate-400">Lots</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  value={sizingSettings.lots}
+                  onChange={(e) => setSizingSettings({...sizingSettings, lots: +e.target.value})}
+                  className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+                />
+              </div>
+            )}
+            {(sizingSettings.mode === 'riskPercent' || sizingSettings.mode === 'kelly') && (
+              <div>
+                <label className="text-sm text-slate-400">{sizingSettings.mode === 'kelly' ? 'Risk % (warm-up)' : 'Risk %'}</label>
+                <input
+                  type="number"
+                  step="0.25"
+                  value={sizingSettings.riskPercent}
+                  onChange={(e) => setSizingSettings({...sizingSettings, riskPercent: +e.target.value})}
+                  className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+                />
+              </div>
+            )}
+            {sizingSettings.mode === 'fixedRisk' && (
+              <div>
+                <label className="text-sm text-slate-400">Risk $ per trade</label>
+                <input
+                  type="number"
+                  step="10"
+                  value={sizingSettings.riskAmount}
+                  onChange={(e) => setSizingSettings({...sizingSettings, riskAmount: +e.target.value})}
+                  className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+                />
+              </div>
+            )}
+            {sizingSettings.mode === 'kelly' && (
+              <>
+                <div>
+                  <label className="text-sm text-slate-400">Kelly Fraction</label>
+                  <input
+                    type="number"
+                    step="0.05"
+                    value={sizingSettings.kellyFraction}
+                    onChange={(e) => setSizingSettings({...sizingSettings, kellyFraction: +e.target.value})}
+                    className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+                  />
+                </div>
+                <div>
+                  <label className="text-sm text-slate-400">Kelly Lookback (trades)</label>
+                  <input
+                    type="number"
+                    value={sizingSettings.kellyLookback}
+                    onChange={(e) => setSizingSettings({...sizingSettings, kellyLookback: +e.target.value})}
+                    className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+                  />
+                </div>
+                <div>
+                  <label className="text-sm text-slate-400">Max Risk %</label>
+                  <input
+                    type="number"
+                    step="0.5"
+                    value={sizingSettings.kellyMaxPercent}
+                    onChange={(e) => setSizingSettings({...sizingSettings, kellyMaxPercent: +e.target.value})}
+                    className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+                  />
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+
+        {/* Exit Rules */}
+        <div className="bg-slate-800 rounded-lg p-6 mb-6 border border-slate-700">
+          <h2 className="text-xl font-bold text-white mb-4">🚪 Exit Rules</h2>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+            <div>
+              <label className="text-sm text-slate-400">Max Hold (bars, 0 = off)</label>
+              <input
+                type="number"
+                min="0"
+                value={exitRules.maxHoldingBars}
+                onChange={(e) => setExitRules({...exitRules, maxHoldingBars: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">Session End (New York hour)</label>
+              <input
+                type="number"
+                min="0"
+                max="23"
+                value={exitRules.sessionEndHourNY}
+                onChange={(e) => setExitRules({...exitRules, sessionEndHourNY: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">Friday Close (New York hour)</label>
+              <input
+                type="number"
+                min="0"
+                max="23"
+                value={exitRules.fridayCloseHourNY}
+                onChange={(e) => setExitRules({...exitRules, fridayCloseHourNY: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+            <div className="flex items-end">
+              <label className="flex items-center text-white text-sm">
+                <input
+                  type="checkbox"
+                  checked={exitRules.closeAtSessionEnd}
+                  onChange={(e) => setExitRules({...exitRules, closeAtSessionEnd: e.target.checked})}
+                  className="mr-2"
+                />
+                Flat at Session End
+              </label>
+            </div>
+            <div className="flex items-end">
+              <label className="flex items-center text-white text-sm">
+                <input
+                  type="checkbox"
+                  checked={exitRules.closeOnFriday}
+                  onChange={(e) => setExitRules({...exitRules, closeOnFriday: e.target.checked})}
+                  className="mr-2"
+                />
+                Flat on Friday
+              </label>
+            </div>
+          </div>
+        </div>
+
+        {/* Daily Bias */}
+        <div className="bg-slate-800 rounded-lg p-6 mb-6 border border-slate-700">
+          <h2 className="text-xl font-bold text-white mb-4">🧭 Daily Bias & Levels</h2>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+            <div>
+              <label className="text-sm text-slate-400">Counter-bias signals</label>
+              <select
+                value={biasSettings.mode}
+                onChange={(e) => setBiasSettings({...biasSettings, mode: e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              >
+                {Object.entries(DAILY_BIAS_MODES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">Counter-bias penalty</label>
+              <input
+                type="number"
+                step="0.5"
+                min="0"
+                value={biasSettings.penalty}
+                onChange={(e) => setBiasSettings({...biasSettings, penalty: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">Swing strength (days)</label>
+              <input
+                type="number"
+                min="1"
+                value={biasSettings.swingStrength}
+                onChange={(e) => setBiasSettings({...biasSettings, swingStrength: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">PDH/PDL/PWH/PWL weight</label>
+              <input
+                type="number"
+                step="0.25"
+                min="0"
+                value={biasSettings.levelWeight}
+                onChange={(e) => setBiasSettings({...biasSettings, levelWeight: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">Level tolerance (pips)</label>
+              <input
+                type="number"
+                min="0"
+                value={biasSettings.levelTolerancePips}
+                onChange={(e) => setBiasSettings({...biasSettings, levelTolerancePips: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+          </div>
+          <p className="text-slate-500 text-xs mt-2">
+            Bias flips on a daily close beyond the last daily swing. Level weights and the penalty apply to the combined strategy's confluence.
+          </p>
+        </div>
+
+        {/* Market Structure */}
+        <div className="bg-slate-800 rounded-lg p-6 mb-6 border border-slate-700">
+          <h2 className="text-xl font-bold text-white mb-4">📐 Market Structure (BOS / CHoCH)</h2>
+          <div className="grid grid-cols-2 md:grid-cols-7 gap-4">
+            <div>
+              <label className="text-sm text-slate-400">M5 entries</label>
+              <select
+                value={structureSettings.entries}
+                onChange={(e) => setStructureSettings({...structureSettings, entries: e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              >
+                {Object.entries(STRUCTURE_ENTRY_MODES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">Break on</label>
+              <select
+                value={structureSettings.breakOn}
+                onChange={(e) => setStructureSettings({...structureSettings, breakOn: e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              >
+                {Object.entries(STRUCTURE_BREAKS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">Swing strength (candles)</label>
+              <input
+                type="number"
+                min="1"
+                value={structureSettings.swingStrength}
+                onChange={(e) => setStructureSettings({...structureSettings, swingStrength: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">Confluence timeframe</label>
+              <select
+                value={structureSettings.timeframe}
+                onChange={(e) => setStructureSettings({...structureSettings, timeframe: e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              >
+                {STRUCTURE_TIMEFRAMES.map(tf => (
+                  <option key={tf} value={tf}>{tf.toUpperCase()}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">BOS weight</label>
+              <input
+                type="number"
+                step="0.25"
+                min="0"
+                value={structureSettings.bosWeight}
+                onChange={(e) => setStructureSettings({...structureSettings, bosWeight: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">CHoCH weight</label>
+              <input
+                type="number"
+                step="0.25"
+                min="0"
+                value={structureSettings.chochWeight}
+                onChange={(e) => setStructureSettings({...structureSettings, chochWeight: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">Counter-structure penalty</label>
+              <input
+                type="number"
+                step="0.25"
+                min="0"
+                value={structureSettings.penalty}
+                onChange={(e) => setStructureSettings({...structureSettings, penalty: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+          </div>
+          <p className="text-slate-500 text-xs mt-2">
+            A break beyond the last swing is a BOS with the trend or a CHoCH against it. Weights and the penalty use the latest break on the confluence timeframe (combined strategy).
+          </p>
+        </div>
+
+        {/* Order Blocks */}
+        <div className="bg-slate-800 rounded-lg p-6 mb-6 border border-slate-700">
+          <h2 className="text-xl font-bold text-white mb-4">🧱 Order Blocks (H4)</h2>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div>
+              <label className="text-sm text-slate-400">Definition</label>
+              <select
+                value={orderBlockSettings.definition}
+                onChange={(e) => setOrderBlockSettings({...orderBlockSettings, definition: e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              >
+                {Object.entries(ORDER_BLOCK_DEFINITIONS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">Swing strength (candles)</label>
+              <input
+                type="number"
+                min="1"
+                value={orderBlockSettings.swingStrength}
+                onChange={(e) => setOrderBlockSettings({...orderBlockSettings, swingStrength: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">Displacement (× avg move)</label>
+              <input
+                type="number"
+                step="0.1"
+                min="0"
+                value={orderBlockSettings.displacement}
+                onChange={(e) => setOrderBlockSettings({...orderBlockSettings, displacement: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">Average move lookback</label>
+              <input
+                type="number"
+                min="1"
+                value={orderBlockSettings.lookback}
+                onChange={(e) => setOrderBlockSettings({...orderBlockSettings, lookback: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">Max candles before break</label>
+              <input
+                type="number"
+                min="1"
+                value={orderBlockSettings.maxLegCandles}
+                onChange={(e) => setOrderBlockSettings({...orderBlockSettings, maxLegCandles: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+            <div className="flex items-end">
+              <label className="flex items-center text-white text-sm">
+                <input
+                  type="checkbox"
+                  checked={orderBlockSettings.meanThreshold}
+                  onChange={(e) => setOrderBlockSettings({...orderBlockSettings, meanThreshold: e.target.checked})}
+                  className="mr-2"
+                />
+                Mean threshold (50%)
+              </label>
+            </div>
+            <div className="flex items-end">
+              <label className="flex items-center text-white text-sm">
+                <input
+                  type="checkbox"
+                  checked={orderBlockSettings.breakers}
+                  onChange={(e) => setOrderBlockSettings({...orderBlockSettings, breakers: e.target.checked})}
+                  className="mr-2"
+                />
+                Breaker blocks
+              </label>
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">Breaker weight</label>
+              <input
+                type="number"
+                step="0.25"
+                min="0"
+                value={orderBlockSettings.breakerWeight}
+                onChange={(e) => setOrderBlockSettings({...orderBlockSettings, breakerWeight: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+          </div>
+          <p className="text-slate-500 text-xs mt-2">
+            ICT blocks are the last opposing candle before a displacement that breaks an H4 swing. They count for confluence until price trades through them (or their 50% level); a close beyond turns them into breakers the other way.
+          </p>
+        </div>
+
+        {/* Imbalances */}
         <div className="bg-slate-800 rounded-lg p-6 mb-6 border border-slate-700">
-          <h2 className="text-xl font-bold text-white mb-4">🎯 Select Testing Mode</h2>
-          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
-            <button
-              onClick={() => setMode('backtest')}
-              disabled={!files.m5}
-              className={`p-4 rounded-lg border-2 transition ${mode === 'backtest' ? 'border-green-500 bg-green-900/30' : 'border-slate-600 hover:border-green-500/50'} ${!files.m5 ? 'opacity-50 cursor-not-allowed' : ''}`}
-            >
-              <BarChart3 className="mx-auto mb-2 text-green-400" size={32} />
-              <h3 className="text-white font-bold">Backtest</h3>
-              <p className="text-slate-400 text-sm mt-1">Test on 70% historical</p>
-            </button>
-            
-            <button
-              onClick={() => setMode('optimize')}
-              disabled={!files.m5}
-              className={`p-4 rounded-lg border-2 transition ${mode === 'optimize' ? 'border-purple-500 bg-purple-900/30' : 'border-slate-600 hover:border-purple-500/50'} ${!files.m5 ? 'opacity-50 cursor-not-allowed' : ''}`}
-            >
-              <Zap className="mx-auto mb-2 text-purple-400" size={32} />
-              <h3 className="text-white font-bold">Auto-Optimize</h3>
-              <p className="text-slate-400 text-sm mt-1">Find best settings</p>
-            </button>
-            
-            <button
-              onClick={() => setMode('forward')}
-              disabled={!files.m5}
-              className={`p-4 rounded-lg border-2 transition ${mode === 'forward' ? 'border-blue-500 bg-blue-900/30' : 'border-slate-600 hover:border-blue-500/50'} ${!files.m5 ? 'opacity-50 cursor-not-allowed' : ''}`}
-            >
-              <Target className="mx-auto mb-2 text-blue-400" size={32} />
-              <h3 className="text-white font-bold">Forward Test</h3>
-              <p className="text-slate-400 text-sm mt-1">Validate on 30%</p>
-            </button>
-            
-            <button
-              onClick={() => setMode('live')}
-              disabled={!files.m5}
-              className={`p-4 rounded-lg border-2 transition ${mode === 'live' ? 'border-yellow-500 bg-yellow-900/30' : 'border-slate-600 hover:border-yellow-500/50'} ${!files.m5 ? 'opacity-50 cursor-not-allowed' : ''}`}
-            >
-              <Bell className="mx-auto mb-2 text-yellow-400" size={32} />
-              <h3 className="text-white font-bold">Live Signals</h3>
-              <p className="text-slate-400 text-sm mt-1">Get trade alerts</p>
-            </button>
+          <h2 className="text-xl font-bold text-white mb-4">🕳️ Imbalances (H1 FVG / BPR / VI)</h2>
+          <div className="grid grid-cols-2 md:grid-cols-6 gap-4">
+            <div>
+              <label className="text-sm text-slate-400">Counts until</label>
+              <select
+                value={imbalanceSettings.expireOn}
+                onChange={(e) => setImbalanceSettings({...imbalanceSettings, expireOn: e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              >
+                {Object.entries(FVG_EXPIRY).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">Inversion FVG weight</label>
+              <input
+                type="number"
+                step="0.25"
+                min="0"
+                value={imbalanceSettings.inversionWeight}
+                onChange={(e) => setImbalanceSettings({...imbalanceSettings, inversionWeight: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">BPR weight</label>
+              <input
+                type="number"
+                step="0.25"
+                min="0"
+                value={imbalanceSettings.bprWeight}
+                onChange={(e) => setImbalanceSettings({...imbalanceSettings, bprWeight: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">Volume imbalance weight</label>
+              <input
+                type="number"
+                step="0.25"
+                min="0"
+                value={imbalanceSettings.volumeImbalanceWeight}
+                onChange={(e) => setImbalanceSettings({...imbalanceSettings, volumeImbalanceWeight: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">Volume imbalance min (pips)</label>
+              <input
+                type="number"
+                step="0.1"
+                min="0"
+                value={imbalanceSettings.volumeImbalanceMinPips}
+                onChange={(e) => setImbalanceSettings({...imbalanceSettings, volumeImbalanceMinPips: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+            <div className="flex items-end">
+              <label className="flex items-center text-white text-sm">
+                <input
+                  type="checkbox"
+                  checked={imbalanceSettings.ceEntries}
+                  onChange={(e) => setImbalanceSettings({...imbalanceSettings, ceEntries: e.target.checked})}
+                  className="mr-2"
+                />
+                M5 entries at FVG CE
+              </label>
+            </div>
           </div>
+          <p className="text-slate-500 text-xs mt-2">
+            H1 gaps add confluence until filled as chosen; a close through a gap inverts it. CE entries are limit orders at a gap's 50% level.
+          </p>
         </div>
 
-        {/* Parameters */}
+        {/* Liquidity */}
         <div className="bg-slate-800 rounded-lg p-6 mb-6 border border-slate-700">
-          <h2 className="text-xl font-bold text-white mb-4">⚙️ Parameters</h2>
-          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+          <h2 className="text-xl font-bold text-white mb-4">💧 Liquidity Pools & Sweeps</h2>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
             <div>
-              <label className="text-sm text-slate-400">Strong Body %</label>
+              <label className="text-sm text-slate-400">Equal highs/lows tolerance (pips)</label>
               <input
                 type="number"
-                step="0.1"
-                value={settings.strongBodyMin * 100}
-                onChange={(e) => setSettings({...settings, strongBodyMin: +e.target.value / 100})}
+                step="0.5"
+                min="0"
+                value={liquiditySettings.equalTolerancePips}
+                onChange={(e) => setLiquiditySettings({...liquiditySettings, equalTolerancePips: +e.target.value})}
                 className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
               />
             </div>
             <div>
-              <label className="text-sm text-slate-400">Lookback</label>
+              <label className="text-sm text-slate-400">Swing strength (M5 candles)</label>
               <input
                 type="number"
-                value={settings.lookbackPeriod}
-                onChange={(e) => setSettings({...settings, lookbackPeriod: +e.target.value})}
+                min="1"
+                value={liquiditySettings.swingStrength}
+                onChange={(e) => setLiquiditySettings({...liquiditySettings, swingStrength: +e.target.value})}
                 className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
               />
             </div>
             <div>
-              <label className="text-sm text-slate-400">Stop Loss (pips)</label>
+              <label className="text-sm text-slate-400">Pool lifetime (M5 candles)</label>
               <input
                 type="number"
-                value={settings.stopLossPips}
-                onChange={(e) => setSettings({...settings, stopLossPips: +e.target.value})}
+                min="1"
+                value={liquiditySettings.maxAgeCandles}
+                onChange={(e) => setLiquiditySettings({...liquiditySettings, maxAgeCandles: +e.target.value})}
                 className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
               />
             </div>
             <div>
-              <label className="text-sm text-slate-400">Risk:Reward</label>
+              <label className="text-sm text-slate-400">Sweep window (M5 candles)</label>
               <input
                 type="number"
-                step="0.5"
-                value={settings.riskRewardRatio}
-                onChange={(e) => setSettings({...settings, riskRewardRatio: +e.target.value})}
+                min="0"
+                value={liquiditySettings.sweepWindow}
+                onChange={(e) => setLiquiditySettings({...liquiditySettings, sweepWindow: +e.target.value})}
                 className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
               />
             </div>
             <div>
-              <label className="text-sm text-slate-400">Min Confluence</label>
+              <label className="text-sm text-slate-400">Sweep weight</label>
               <input
                 type="number"
-                step="0.5"
-                value={settings.minConfluence}
-                onChange={(e) => setSettings({...settings, minConfluence: +e.target.value})}
+                step="0.25"
+                min="0"
+                value={liquiditySettings.weight}
+                onChange={(e) => setLiquiditySettings({...liquiditySettings, weight: +e.target.value})}
                 className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
               />
             </div>
@@ -752,34 +1603,281 @@ const CompleteTradingSystem = () => {
               <label className="flex items-center text-white text-sm">
                 <input
                   type="checkbox"
-                  checked={settings.useTrailingStop}
-                  onChange={(e) => setSettings({...settings, useTrailingStop: e.target.checked})}
+                  checked={liquiditySettings.entries}
+                  onChange={(e) => setLiquiditySettings({...liquiditySettings, entries: e.target.checked})}
                   className="mr-2"
                 />
-                Trailing Stop
+                Sweep entries
               </label>
             </div>
             <div className="flex items-end">
               <label className="flex items-center text-white text-sm">
                 <input
                   type="checkbox"
-                  checked={settings.useKillZones}
-                  onChange={(e) => setSettings({...settings, useKillZones: e.target.checked})}
+                  checked={liquiditySettings.sessions}
+                  onChange={(e) => setLiquiditySettings({...liquiditySettings, sessions: e.target.checked})}
+                  className="mr-2"
+                />
+                Session highs/lows
+              </label>
+            </div>
+            <div className="flex items-end">
+              <label className="flex items-center text-white text-sm">
+                <input
+                  type="checkbox"
+                  checked={liquiditySettings.dailyLevels}
+                  onChange={(e) => setLiquiditySettings({...liquiditySettings, dailyLevels: e.target.checked})}
+                  className="mr-2"
+                />
+                Previous day/week highs/lows
+              </label>
+            </div>
+          </div>
+          <p className="text-slate-500 text-xs mt-2">
+            A sweep is a wick beyond a pool with a close back inside. Entries add a 'sweep' setup; the weight scores signals shortly after a sweep in their favour (combined strategy).
+          </p>
+        </div>
+
+        {/* Dealing Range */}
+        <div className="bg-slate-800 rounded-lg p-6 mb-6 border border-slate-700">
+          <h2 className="text-xl font-bold text-white mb-4">⚖️ Dealing Range (Premium / Discount / OTE)</h2>
+          <div className="grid grid-cols-2 md:grid-cols-7 gap-4">
+            <div>
+              <label className="text-sm text-slate-400">Timeframe</label>
+              <select
+                value={dealingRangeSettings.timeframe}
+                onChange={(e) => setDealingRangeSettings({...dealingRangeSettings, timeframe: e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              >
+                {DEALING_RANGE_TIMEFRAMES.map(tf => (
+                  <option key={tf} value={tf}>{tf.toUpperCase()}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">Swing strength (candles)</label>
+              <input
+                type="number"
+                min="1"
+                value={dealingRangeSettings.swingStrength}
+                onChange={(e) => setDealingRangeSettings({...dealingRangeSettings, swingStrength: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">Premium/discount weight</label>
+              <input
+                type="number"
+                step="0.25"
+                min="0"
+                value={dealingRangeSettings.weight}
+                onChange={(e) => setDealingRangeSettings({...dealingRangeSettings, weight: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">OTE weight</label>
+              <input
+                type="number"
+                step="0.25"
+                min="0"
+                value={dealingRangeSettings.oteWeight}
+                onChange={(e) => setDealingRangeSettings({...dealingRangeSettings, oteWeight: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">OTE from</label>
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                max="1"
+                value={dealingRangeSettings.oteLow}
+                onChange={(e) => setDealingRangeSettings({...dealingRangeSettings, oteLow: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">OTE to</label>
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                max="1"
+                value={dealingRangeSettings.oteHigh}
+                onChange={(e) => setDealingRangeSettings({...dealingRangeSettings, oteHigh: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">Wrong-side penalty</label>
+              <input
+                type="number"
+                step="0.25"
+                min="0"
+                value={dealingRangeSettings.penalty}
+                onChange={(e) => setDealingRangeSettings({...dealingRangeSettings, penalty: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+          </div>
+          <p className="text-slate-500 text-xs mt-2">
+            The range runs between the latest swing high and low. Longs score in discount, shorts in premium, and both in the OTE retracement of a leg their way (combined strategy).
+          </p>
+        </div>
+
+        {/* Exposure Rules */}
+        <div className="bg-slate-800 rounded-lg p-6 mb-6 border border-slate-700">
+          <h2 className="text-xl font-bold text-white mb-4">🧮 Exposure Rules</h2>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+            <div>
+              <label className="text-sm text-slate-400">Max Open Positions</label>
+              <input
+                type="number"
+                min="1"
+                value={exposureSettings.maxOpenPositions}
+                onChange={(e) => setExposureSettings({...exposureSettings, maxOpenPositions: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">Opposite Signal</label>
+              <select
+                value={exposureSettings.oppositeSignal}
+                onChange={(e) => setExposureSettings({...exposureSettings, oppositeSignal: e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              >
+                {Object.entries(OPPOSITE_SIGNAL_MODES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">Leverage (1:x)</label>
+              <input
+                type="number"
+                min="1"
+                value={exposureSettings.leverage}
+                onChange={(e) => setExposureSettings({...exposureSettings, leverage: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+            <div className="flex items-end">
+              <label className="flex items-center text-white text-sm">
+                <input
+                  type="checkbox"
+                  checked={exposureSettings.onePerDirection}
+                  onChange={(e) => setExposureSettings({...exposureSettings, onePerDirection: e.target.checked})}
                   className="mr-2"
                 />
-                Kill Zones Only
+                One Position per Direction
               </label>
             </div>
           </div>
         </div>
 
+        {/* Execution Costs */}
+        <div className="bg-slate-800 rounded-lg p-6 mb-6 border border-slate-700">
+          <h2 className="text-xl font-bold text-white mb-4">💸 Execution Costs</h2>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+            <div>
+              <label className="text-sm text-slate-400">Spread</label>
+              <select
+                value={costSettings.spreadMode}
+                onChange={(e) => setCostSettings({...costSettings, spreadMode: e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              >
+                <option value="fixed">Fixed</option>
+                <option value="bar">Per bar (&lt;SPREAD&gt;)</option>
+              </select>
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">Spread (pips)</label>
+              <input
+                type="number"
+                step="0.1"
+                value={costSettings.spreadPips}
+                onChange={(e) => setCostSettings({...costSettings, spreadPips: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">Commission / lot</label>
+              <input
+                type="number"
+                step="0.5"
+                value={costSettings.commissionPerLot}
+                onChange={(e) => setCostSettings({...costSettings, commissionPerLot: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">Swap long / lot</label>
+              <input
+                type="number"
+                step="0.5"
+                value={costSettings.swapLongPerLot}
+                onChange={(e) => setCostSettings({...costSettings, swapLongPerLot: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">Swap short / lot</label>
+              <input
+                type="number"
+                step="0.5"
+                value={costSettings.swapShortPerLot}
+                onChange={(e) => setCostSettings({...costSettings, swapShortPerLot: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">Slippage</label>
+              <select
+                value={costSettings.slippageMode}
+                onChange={(e) => setCostSettings({...costSettings, slippageMode: e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              >
+                <option value="none">None</option>
+                <option value="fixed">Fixed</option>
+                <option value="random">Random</option>
+              </select>
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">Slippage (pips)</label>
+              <input
+                type="number"
+                step="0.1"
+                value={costSettings.slippagePips}
+                onChange={(e) => setCostSettings({...costSettings, slippagePips: +e.target.value})}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              />
+            </div>
+            <div>
+              <label className="text-sm text-slate-400">Same-bar SL/TP</label>
+              <select
+                value={intrabarPolicy}
+                onChange={(e) => setIntrabarPolicy(e.target.value)}
+                className="w-full bg-slate-700 text-white rounded px-3 py-2 mt-1"
+              >
+                {Object.entries(INTRABAR_POLICIES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              {(files.ticks || files.m1) && (
+                <p className="text-slate-500 text-xs mt-1">Trades replayed on {files.ticks ? 'ticks' : 'M1'} where covered</p>
+              )}
+            </div>
+          </div>
+        </div>
+
         {/* Action Buttons */}
         <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
           <button
             onClick={async () => {
               setLoading(true);
-              await new Promise(r => setTimeout(r, 100)); // Small delay for UI update
-              const result = runBacktest(settings, false);
+              const result = await runBacktest(settings, false);
               setBacktestResult(result);
               setLoading(false);
               
@@ -796,7 +1894,7 @@ const CompleteTradingSystem = () => {
           </button>
           
           <button
-            onClick={runOptimization}
+            onClick={() => runOptimization()}
             disabled={!files.m5 || optimizing || mode !== 'optimize'}
             className="bg-purple-600 hover:bg-purple-700 disabled:bg-slate-600 disabled:opacity-50 disabled:cursor-not-allowed text-white px-6 py-4 rounded-lg font-bold text-lg transition"
           >
@@ -806,8 +1904,7 @@ const CompleteTradingSystem = () => {
           <button
             onClick={async () => {
               setLoading(true);
-              await new Promise(r => setTimeout(r, 100));
-              runForwardTest();
+              await runForwardTest();
               setLoading(false);
               
               setTimeout(() => {
@@ -825,7 +1922,7 @@ const CompleteTradingSystem = () => {
             onClick={async () => {
               setLoading(true);
               await new Promise(r => setTimeout(r, 100));
-              generateLiveSignals();
+              refreshLiveSignals();
               setLoading(false);
               
               setTimeout(() => {
@@ -840,6 +1937,21 @@ const CompleteTradingSystem = () => {
           </button>
         </div>
 
+        {canResume && (
+          <div className="bg-slate-800 rounded-lg p-4 mb-6 border border-purple-500 flex flex-wrap items-center gap-4">
+            <p className="text-slate-300 text-sm">
+              Optimization stopped at {checkpoint.done.toLocaleString()} of {checkpoint.total.toLocaleString()} combinations.
+            </p>
+            <button
+              onClick={resumeOptimization}
+              disabled={!files.m5}
+              className="bg-purple-600 hover:bg-purple-700 disabled:bg-slate-600 disabled:opacity-50 text-white px-4 py-2 rounded-lg font-bold text-sm"
+            >
+              ▶ Resume optimization
+            </button>
+          </div>
+        )}
+
         {optimizing && (
           <div className="bg-slate-800 rounded-lg p-6 mb-6 border border-purple-500">
             <h3 className="text-white font-bold mb-4">⏳ Optimizing...</h3>
@@ -850,6 +1962,12 @@ const CompleteTradingSystem = () => {
               />
             </div>
             <p className="text-slate-400 text-center mt-2">{progress.toFixed(0)}% Complete</p>
+            <button
+              onClick={stopOptimization}
+              className="mt-4 w-full bg-red-600 hover:bg-red-700 text-white font-bold py-2 rounded-lg"
+            >
+              ⏹ Stop (keep results so far)
+            </button>
           </div>
         )}
 
@@ -914,6 +2032,17 @@ const CompleteTradingSystem = () => {
                 </div>
               </div>
               
+              <p className="text-slate-400 text-xs mb-1">
+                Gross ${backtestResult.metrics.grossProfit} → Net ${backtestResult.metrics.netProfit} |
+                Costs ${backtestResult.metrics.totalCosts} (commission ${backtestResult.metrics.commission},
+                swap ${backtestResult.metrics.swap}, spread/slippage ${backtestResult.metrics.executionCost}) |
+                Max open {backtestResult.metrics.maxConcurrent} | Peak margin ${backtestResult.metrics.maxMarginUsed} |
+                Same-bar SL/TP {backtestResult.metrics.ambiguousTrades}
+              </p>
+              <p className="text-slate-400 text-xs mb-4">
+                Exits: {Object.entries(backtestResult.metrics.exitReasons).map(([reason, count]) => `${EXIT_REASONS[reason] || reason} ${count}`).join(' | ')}
+              </p>
+              
               {check.passed && (
                 <div className="mt-4 p-4 bg-blue-900/30 border border-blue-500 rounded-lg text-center">
                   <p className="text-blue-300 font-bold mb-2">📍 NEXT STEP</p>
@@ -927,7 +2056,7 @@ const CompleteTradingSystem = () => {
         {/* OPTIMIZATION RESULTS */}
         {mode === 'optimize' && results && results.length > 0 && (
           <div className="bg-slate-800 rounded-lg p-6 mb-6 border border-purple-500">
-            <h2 className="text-2xl font-bold text-white mb-4">🏆 Top 20 Optimized Results</h2>
+            <h2 className="text-2xl font-bold text-white mb-4">🏆 Top 20 Optimized Results{optimizing && ' (so far)'}</h2>
             
             <div className="mb-6 p-4 bg-gradient-to-r from-yellow-900/30 to-orange-900/30 border border-yellow-500/50 rounded-lg">
               <h3 className="text-xl font-bold text-yellow-400 mb-3">🥇 #1 Best Settings</h3>
@@ -1007,13 +2136,7 @@ const CompleteTradingSystem = () => {
             <h2 className="text-2xl font-bold text-white mb-4">🎯 Forward Test (30% Unseen Data)</h2>
             
             {backtestResult && (() => {
-              const btWR = parseFloat(backtestResult.metrics.winRate);
-              const fwWR = parseFloat(forwardTest.metrics.winRate);
-              const wrDiff = Math.abs(btWR - fwWR);
-              const fwProfit = parseFloat(forwardTest.metrics.netProfit);
-              const fwPF = parseFloat(forwardTest.metrics.profitFactor);
-              
-              const passed = wrDiff <= 15 && fwProfit > 0 && fwPF >= 1.3;
+              const { btWR, fwWR, wrDiff, fwProfit, fwPF, passed } = checkForwardTest(backtestResult.metrics, forwardTest.metrics);
               
               return (
                 <>
@@ -1104,6 +2227,17 @@ const CompleteTradingSystem = () => {
               </div>
             </div>
             
+            <p className="text-slate-400 text-xs mb-1">
+              Gross ${forwardTest.metrics.grossProfit} → Net ${forwardTest.metrics.netProfit} |
+              Costs ${forwardTest.metrics.totalCosts} (commission ${forwardTest.metrics.commission},
+              swap ${forwardTest.metrics.swap}, spread/slippage ${forwardTest.metrics.executionCost}) |
+              Max open {forwardTest.metrics.maxConcurrent} | Peak margin ${forwardTest.metrics.maxMarginUsed} |
+              Same-bar SL/TP {forwardTest.metrics.ambiguousTrades}
+            </p>
+            <p className="text-slate-400 text-xs mb-4">
+              Exits: {Object.entries(forwardTest.metrics.exitReasons).map(([reason, count]) => `${EXIT_REASONS[reason] || reason} ${count}`).join(' | ')}
+            </p>
+            
             {backtestResult && parseFloat(forwardTest.metrics.netProfit) > 0 && (
               <div className="mt-4 p-4 bg-blue-900/30 border border-blue-500 rounded-lg text-center">
                 <p className="text-blue-300 font-bold mb-2">📍 NEXT STEP</p>
@@ -1123,7 +2257,7 @@ const CompleteTradingSystem = () => {
                   <div className="grid grid-cols-2 md:grid-cols-6 gap-4">
                     <div>
                       <p className="text-slate-400 text-xs">TIME</p>
-                      <p className="text-white font-bold text-sm">{new Date(sig.timestamp).toLocaleString()}</p>
+                      <p className="text-white font-bold text-sm">{new Date(sig.timestamp).toLocaleString('en-US', { timeZone: NEW_YORK })} NY</p>
                     </div>
                     <div>
                       <p className="text-slate-400 text-xs">DIRECTION</p>
@@ -1134,6 +2268,7 @@ const CompleteTradingSystem = () => {
                     <div>
                       <p className="text-slate-400 text-xs">SETUP</p>
                       <p className="text-white font-bold text-sm capitalize">{sig.setup}</p>
+                      {sig.dailyBias && <p className="text-slate-500 text-xs capitalize">Daily bias: {sig.dailyBias}</p>}
                     </div>
                     <div>
                       <p className="text-slate-400 text-xs">ENTRY</p>
@@ -1,8 +1,12 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+// Worker creation relies on import.meta, which Jest cannot parse.
+jest.mock('./workers/createEngineWorker.js', () => ({ createEngineWorker: jest.fn() }));
+
+test('renders the trading system with runs disabled until M5 data is loaded', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByText('Complete Trading System')).toBeInTheDocument();
+  expect(screen.getByText('M5 CSV Required')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: /Run Backtest/ })).toBeDisabled();
 });
@@ -0,0 +1,86 @@
+import { TIMEFRAME_MS } from '../timeframes.js';
+import { INSTRUMENTS } from '../instruments.js';
+import { ZERO_COSTS } from '../costs.js';
+import { DEFAULT_SIZING } from '../sizing.js';
+import { DEFAULT_EXPOSURE, DEFAULT_EXIT_RULES } from '../simulator.js';
+import { toSeries, toCandles } from '../series.js';
+
+// Monday 2024-01-01 00:00 UTC.
+export const START = Date.UTC(2024, 0, 1);
+
+const pad = (n) => String(n).padStart(2, '0');
+
+export const makeCandle = (time, open, high, low, close) => {
+  const d = new Date(time);
+  return {
+    date: `${d.getUTCFullYear()}.${pad(d.getUTCMonth() + 1)}.${pad(d.getUTCDate())}`,
+    time: `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}`,
+    open,
+    high,
+    low,
+    close,
+    volume: 0,
+    spread: null,
+    timestamp: d
+  };
+};
+
+// Series (see series.js) with one candle per close; each opens at the
+// previous close and carries a fixed wick on both sides.
+export const candlesFromCloses = (closes, { start = START, barMs = TIMEFRAME_MS.m5, wick = 0.0002 } = {}) =>
+  toSeries(closes.map((close, i) => {
+    const open = i === 0 ? close : closes[i - 1];
+    return makeCandle(start + i * barMs, open, Math.max(open, close) + wick, Math.min(open, close) - wick, close);
+  }));
+
+// Series from [open, high, low, close] rows given in pips above 1.1000.
+export const pipCandles = (bars, { start = START, barMs = TIMEFRAME_MS.m5 } = {}) =>
+  toSeries(bars.map((prices, i) => {
+    const [open, high, low, close] = prices.map(p => 1.1 + p / 10000);
+    return makeCandle(start + i * barMs, open, high, low, close);
+  }));
+
+export const flatCandles = (count, price = 1.1, options) =>
+  candlesFromCloses(new Array(count).fill(price), options);
+
+// Deterministic oscillating series, long enough for backtests (>= 200 bars).
+export const waveCandles = (count, { base = 1.1, amplitude = 0.004, period = 60, ...options } = {}) =>
+  candlesFromCloses(
+    Array.from({ length: count }, (_, i) =>
+      Number((base + amplitude * Math.sin((2 * Math.PI * i) / period) + 0.0003 * Math.sin(i)).toFixed(5))
+    ),
+    options
+  );
+
+export const toMt5Csv = (candles) => [
+  '<DATE>\t<TIME>\t<OPEN>\t<HIGH>\t<LOW>\t<CLOSE>\t<TICKVOL>\t<VOL>\t<SPREAD>',
+  ...toCandles(candles).map(c => [c.date, c.time, c.open, c.high, c.low, c.close, 100, 0, 12].join('\t'))
+].join('\n');
+
+export const EURUSD = INSTRUMENTS.EURUSD;
+
+export const PARAMS = {
+  strongBodyMin: 0.5,
+  lookbackPeriod: 20,
+  wickMinPercent: 0.6,
+  minConfluence: 0,
+  fvgMinPips: 10,
+  stopLossPips: 10,
+  riskRewardRatio: 2,
+  useTrailingStop: false,
+  trailingStopPips: 10,
+  useKillZones: false,
+  maxTradesPerDay: 100,
+  optimizeFrom: 70,
+  optimizeTo: 100
+};
+
+export const CONTEXT = {
+  strategy: 'priceAction',
+  instrument: EURUSD,
+  costs: ZERO_COSTS,
+  sizing: DEFAULT_SIZING,
+  exposure: DEFAULT_EXPOSURE,
+  exits: { ...DEFAULT_EXIT_RULES, closeOnFriday: false },
+  intrabarPolicy: 'pessimistic'
+};
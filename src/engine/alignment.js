@@ -0,0 +1,62 @@
+import { TIMEFRAME_MS, barCloseTime } from './timeframes.js';
+
+// Point-in-time view of the higher timeframes from an M5 series: for every
+// M5 bar, the index of the last H1, H4 and Daily bar that had closed when
+// that M5 bar closed (-1 before the first one). Built once per run in
+// O(n + m), so signals look bars up instead of scanning by time.
+
+export const ALIGNED_TIMEFRAMES = ['h1', 'h4', 'daily'];
+
+// Both series must be time-ordered.
+export const alignTimeframe = (base, baseMs, higher, higherMs) => {
+  const aligned = new Int32Array(base.length);
+  let j = -1;
+  for (let i = 0; i < base.length; i++) {
+    const close = barCloseTime(base, i, baseMs);
+    while (j + 1 < higher.length && barCloseTime(higher, j + 1, higherMs) <= close) j++;
+    aligned[i] = j;
+  }
+  return aligned;
+};
+
+// { h1, h4, daily } index arrays for `data`, null where `files` has no
+// candles for that timeframe.
+export const buildAlignment = (data, files, baseMs = TIMEFRAME_MS.m5) => {
+  const alignment = {};
+  ALIGNED_TIMEFRAMES.forEach(tf => {
+    alignment[tf] = files[tf] && files[tf].length > 0
+      ? alignTimeframe(data, baseMs, files[tf], TIMEFRAME_MS[tf])
+      : null;
+  });
+  return alignment;
+};
+
+// Last closed bar index of every timeframe at `index` of the base series.
+export const alignedBars = (alignment, index) => {
+  const bars = {};
+  ALIGNED_TIMEFRAMES.forEach(tf => {
+    bars[tf] = alignment[tf] ? alignment[tf][index] : -1;
+  });
+  return bars;
+};
+
+// Walks zones of one timeframe (carrying `formedIndex` and `expiredIndex`
+// in that timeframe) forward in time. `activeAt(index)` returns the zones
+// confirmed by bar `index` and not yet mitigated or invalidated by it;
+// indices must not decrease between calls.
+export const createZoneCursor = (zones) => {
+  const pending = [...zones].sort((a, b) => a.formedIndex - b.formedIndex);
+  let next = 0;
+  let active = [];
+  let last = -Infinity;
+
+  return {
+    activeAt: (index) => {
+      if (index < last) throw new Error(`Zone cursor moved back from ${last} to ${index}`);
+      last = index;
+      while (next < pending.length && pending[next].formedIndex <= index) active.push(pending[next++]);
+      active = active.filter(zone => zone.expiredIndex === null || zone.expiredIndex > index);
+      return active;
+    }
+  };
+};
@@ -0,0 +1,64 @@
+import { alignTimeframe, buildAlignment, alignedBars, createZoneCursor } from './alignment.js';
+import { findFVG } from './detectors.js';
+import { resampleCandles } from './resample.js';
+import { TIMEFRAME_MS } from './timeframes.js';
+import { toSeries } from './series.js';
+import { START, EURUSD, makeCandle, waveCandles } from './__fixtures__/candles.js';
+
+const M5 = TIMEFRAME_MS.m5;
+const H1 = TIMEFRAME_MS.h1;
+
+describe('alignTimeframe', () => {
+  test('maps each M5 bar to the last H1 bar closed by its close', () => {
+    const m5 = waveCandles(36);
+    const h1 = resampleCandles(m5, 'h1', { anchor: 'utcMidnight' });
+    const aligned = alignTimeframe(m5, M5, h1, H1);
+
+    expect(aligned[0]).toBe(-1);
+    expect(aligned[10]).toBe(-1);
+    // 00:55 closes at 01:00, together with the first H1 bar.
+    expect(aligned[11]).toBe(0);
+    expect(aligned[23]).toBe(1);
+    expect(aligned[35]).toBe(2);
+  });
+
+  test('skips over gaps in the higher timeframe', () => {
+    const m5 = waveCandles(60);
+    const h1 = toSeries([makeCandle(START - 3 * H1, 1, 1, 1, 1), makeCandle(START - H1, 1, 1, 1, 1)]);
+    expect(Array.from(alignTimeframe(m5, M5, h1, H1)).every(i => i === 1)).toBe(true);
+  });
+});
+
+test('buildAlignment leaves timeframes without data out', () => {
+  const m5 = waveCandles(300);
+  const alignment = buildAlignment(m5, { m5, h4: resampleCandles(m5, 'h4'), h1: null });
+
+  expect(alignment.h1).toBeNull();
+  expect(alignment.h4).toHaveLength(300);
+  expect(alignedBars(alignment, 299)).toEqual({ h1: -1, h4: alignment.h4[299], daily: -1 });
+});
+
+describe('createZoneCursor', () => {
+  // Bullish FVG confirmed by H1 bar 2 and mitigated by H1 bar 4.
+  const fvgs = findFVG(toSeries([
+    makeCandle(START, 1.1, 1.1005, 1.0995, 1.1003),
+    makeCandle(START + H1, 1.1003, 1.103, 1.1002, 1.1028),
+    makeCandle(START + 2 * H1, 1.1028, 1.104, 1.102, 1.1035),
+    makeCandle(START + 3 * H1, 1.1035, 1.1045, 1.1025, 1.104),
+    makeCandle(START + 4 * H1, 1.104, 1.1042, 1.1, 1.101)
+  ]), 10, EURUSD, H1);
+
+  test('activates zones once confirmed and drops them once mitigated', () => {
+    const cursor = createZoneCursor(fvgs);
+    expect(cursor.activeAt(1)).toEqual([]);
+    expect(cursor.activeAt(2)).toEqual(fvgs);
+    expect(cursor.activeAt(3)).toEqual(fvgs);
+    expect(cursor.activeAt(4)).toEqual([]);
+  });
+
+  test('only moves forward', () => {
+    const cursor = createZoneCursor(fvgs);
+    cursor.activeAt(3);
+    expect(() => cursor.activeAt(2)).toThrow('moved back');
+  });
+});
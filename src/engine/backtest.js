@@ -0,0 +1,184 @@
+import { detectPriceAction, findOrderBlocks, findFVG, calculateConfluence } from './detectors.js';
+import { simulateTrades } from './simulator.js';
+import { TIMEFRAME_MS } from './timeframes.js';
+import { pipsToPrice, formatPrice } from './instruments.js';
+import { DEFAULT_BIAS, buildDailyLevels, isCounterBias } from './bias.js';
+import { buildAlignment, alignedBars, createZoneCursor } from './alignment.js';
+import { sliceSeries } from './series.js';
+import { cached } from './indicators.js';
+import { DEFAULT_STRUCTURE, structureOf, structureSignals, scoresStructure } from './structure.js';
+import { DEFAULT_ORDER_BLOCKS, detectOrderBlocks } from './orderBlocks.js';
+import { DEFAULT_IMBALANCES, findImbalances, ceEntrySignals } from './imbalances.js';
+import { DEFAULT_LIQUIDITY, usesLiquidity, findLiquidity, recentSweep } from './liquidity.js';
+import { DEFAULT_DEALING_RANGE, scoresDealingRange, dealingRangesOf, dealingRangeAt } from './dealingRange.js';
+
+export const DEFAULT_PARAMS = {
+  strongBodyMin: 0.5,
+  lookbackPeriod: 20,
+  wickMinPercent: 0.6,
+  minConfluence: 2.0,
+  fvgMinPips: 10,
+  stopLossPips: 15,
+  riskRewardRatio: 2,
+  useTrailingStop: true,
+  trailingStopPips: 15,
+  useKillZones: false,
+  maxTradesPerDay: 5,
+  forwardTestDays: 30,
+  optimizeFrom: 70,
+  optimizeTo: 100
+};
+
+const mergeEntries = (signals, entries) => {
+  const taken = new Set(entries.map(sig => `${sig.index}:${sig.type}`));
+  return [...signals.filter(sig => !taken.has(`${sig.index}:${sig.type}`)), ...entries]
+    .sort((a, b) => a.index - b.index);
+};
+
+// `context` carries everything that is not a strategy parameter:
+// { strategy, instrument, costs, sizing, exposure, exits, intrabarPolicy, bias,
+//   structure, orderBlocks, imbalances, liquidity, dealingRange }.
+// It and `files` (a candle series per timeframe, see series.js, plus an
+// optional `ticks` tick series) must stay structured-cloneable so they can
+// be posted to the engine workers.
+
+export const generateSignals = (data, files, params, context) => {
+  const bias = context.bias || DEFAULT_BIAS;
+  const structure = context.structure || DEFAULT_STRUCTURE;
+  const orderBlocks = context.orderBlocks || DEFAULT_ORDER_BLOCKS;
+  const imbalances = context.imbalances || DEFAULT_IMBALANCES;
+  const liquidity = context.liquidity || DEFAULT_LIQUIDITY;
+  const dealingRange = context.dealingRange || DEFAULT_DEALING_RANGE;
+  let h4OBs = [], h1FVGs = [];
+  // Zones and daily levels only depend on their own parameters, so
+  // optimizer combos share them.
+  const combined = context.strategy === 'combined' && files.h4 && files.h1;
+  if (combined) {
+    h4OBs = orderBlocks.definition === 'ict'
+      ? cached(files.h4, `orderBlocks:${orderBlocks.swingStrength}:${orderBlocks.displacement}:${orderBlocks.lookback}:` +
+        `${orderBlocks.maxLegCandles}:${orderBlocks.meanThreshold}:${orderBlocks.breakers}`,
+      () => detectOrderBlocks(files.h4, orderBlocks, TIMEFRAME_MS.h4))
+      : cached(files.h4, 'orderBlocks:20', () => findOrderBlocks(files.h4, 20, TIMEFRAME_MS.h4));
+  }
+  if ((combined || imbalances.ceEntries) && files.h1 && files.h1.length > 0) {
+    const fvgKey = `${params.fvgMinPips}:${context.instrument.pipSize}`;
+    const gaps = cached(files.h1, `fvgs:${fvgKey}`, () =>
+      findFVG(files.h1, params.fvgMinPips, context.instrument, TIMEFRAME_MS.h1));
+    h1FVGs = cached(files.h1, `imbalances:${fvgKey}:${imbalances.expireOn}:${imbalances.volumeImbalanceMinPips}`, () =>
+      findImbalances(files.h1, gaps, imbalances, context.instrument, TIMEFRAME_MS.h1));
+  }
+  const dailyLevels = files.daily && files.daily.length > 0
+    ? cached(files.daily, `dailyLevels:${bias.swingStrength}`, () => buildDailyLevels(files.daily, bias))
+    : null;
+  // Signals only see higher-timeframe bars that closed by their M5 close.
+  const alignment = buildAlignment(data, files);
+  const dailyAt = (sig) => (dailyLevels && dailyLevels[alignment.daily[sig.index]]) || null;
+
+  const pools = usesLiquidity(liquidity) ? findLiquidity(data, dailyLevels, alignment, liquidity, context.instrument) : null;
+
+  let signals = detectPriceAction(data, params, context.instrument, pools && liquidity.entries ? pools.sweeps : []);
+  // BOS/CHoCH and FVG CE entries join in bar order, replacing a signal the
+  // same way on their bar.
+  if (structure.entries !== 'off') signals = mergeEntries(signals, structureSignals(data, structure));
+  if (imbalances.ceEntries && alignment.h1) signals = mergeEntries(signals, ceEntrySignals(data, h1FVGs, alignment));
+
+  if (dailyLevels) {
+    signals = signals.map(sig => {
+      const daily = dailyAt(sig);
+      return { ...sig, dailyBias: daily ? daily.bias : 'neutral' };
+    });
+    if (bias.mode === 'filter') signals = signals.filter(sig => !isCounterBias(sig, sig.dailyBias));
+  }
+
+  if (context.strategy === 'combined') {
+    // Signals come in bar order, so the cursors only ever move forward.
+    const obs = createZoneCursor(h4OBs);
+    const fvgs = createZoneCursor(h1FVGs);
+    // The latest structure event on the chosen timeframe by the signal's close.
+    const structureSeries = structure.timeframe === 'm5' ? data : files[structure.timeframe];
+    const state = scoresStructure(structure) && structureSeries && structureSeries.length > 0
+      ? structureOf(structureSeries, structure)
+      : null;
+    const structureAt = (sig, bars) => {
+      const bar = structure.timeframe === 'm5' ? sig.index : bars[structure.timeframe];
+      return state && bar >= 0 && state.lastEvent[bar] >= 0 ? state.events[state.lastEvent[bar]] : null;
+    };
+    // Likewise the dealing range on its timeframe.
+    const rangeSeries = dealingRange.timeframe === 'm5' ? data : files[dealingRange.timeframe];
+    const ranges = scoresDealingRange(dealingRange) && rangeSeries && rangeSeries.length > 0
+      ? dealingRangesOf(rangeSeries, dealingRange)
+      : null;
+    const rangeAt = (sig, bars) => {
+      const bar = dealingRange.timeframe === 'm5' ? sig.index : bars[dealingRange.timeframe];
+      return ranges ? dealingRangeAt(ranges, bar, dealingRange) : null;
+    };
+    signals = signals.map(sig => {
+      const bars = alignedBars(alignment, sig.index);
+      const active = {
+        obs: obs.activeAt(bars.h4),
+        fvgs: fvgs.activeAt(bars.h1),
+        daily: dailyAt(sig),
+        structure: structureAt(sig, bars),
+        sweep: pools && recentSweep(pools, sig.type, sig.index, liquidity),
+        range: rangeAt(sig, bars)
+      };
+      return {
+        ...sig,
+        confluence: calculateConfluence(sig, active, context.instrument, bias, structure, orderBlocks, imbalances, liquidity,
+          dealingRange)
+      };
+    }).filter(sig => sig.confluence >= params.minConfluence);
+  }
+  return signals;
+};
+
+export const runBacktest = (files, params, context, isForward = false) => {
+  const data = files.m5;
+  if (!data || data.length < 200) return null;
+
+  // The same slice object is handed out on every run, so indicators
+  // cached on it are found again.
+  const splitIdx = Math.floor(data.length * (params.optimizeFrom / 100));
+  const testData = cached(data, `split:${splitIdx}:${isForward}`, () =>
+    (isForward ? sliceSeries(data, splitIdx) : sliceSeries(data, 0, splitIdx)));
+
+  return simulateTrades({
+    data: testData,
+    signals: generateSignals(testData, files, params, context),
+    params,
+    instrument: context.instrument,
+    costs: context.costs,
+    sizing: context.sizing,
+    exposure: context.exposure,
+    exits: context.exits,
+    barMs: TIMEFRAME_MS.m5,
+    intrabar: { policy: context.intrabarPolicy, bars: files.m1, ticks: files.ticks }
+  });
+};
+
+// The last signals on the most recent 100 M5 candles, formatted as
+// ready-to-place orders.
+export const generateLiveSignals = (files, params, context, count = 10) => {
+  const instrument = context.instrument;
+  const lastCandles = sliceSeries(files.m5, -100);
+  const signals = generateSignals(lastCandles, files, params, context);
+
+  return signals.slice(-count).map(sig => {
+    const entry = sig.price;
+    const slDistance = pipsToPrice(params.stopLossPips, instrument);
+    const tpDistance = pipsToPrice(params.stopLossPips * params.riskRewardRatio, instrument);
+    const sl = sig.type === 'long' ? entry - slDistance : entry + slDistance;
+    const tp = sig.type === 'long' ? entry + tpDistance : entry - tpDistance;
+
+    return {
+      ...sig,
+      entry: formatPrice(entry, instrument),
+      sl: formatPrice(sl, instrument),
+      tp: formatPrice(tp, instrument),
+      slPips: params.stopLossPips,
+      tpPips: (params.stopLossPips * params.riskRewardRatio).toFixed(0),
+      timeframe: 'M5',
+      trailingStop: params.useTrailingStop ? `${params.trailingStopPips} pips` : 'No'
+    };
+  });
+};
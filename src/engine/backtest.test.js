@@ -0,0 +1,39 @@
+import { runBacktest, generateLiveSignals } from './backtest.js';
+import { PARAMS, CONTEXT, waveCandles, flatCandles } from './__fixtures__/candles.js';
+
+describe('runBacktest', () => {
+  const files = { m5: waveCandles(600) };
+
+  test('needs at least 200 M5 candles', () => {
+    expect(runBacktest({ m5: flatCandles(199) }, PARAMS, CONTEXT)).toBeNull();
+  });
+
+  test('is deterministic for the same inputs', () => {
+    const first = runBacktest(files, PARAMS, CONTEXT);
+    const second = runBacktest(files, PARAMS, CONTEXT);
+
+    expect(first.trades.length).toBeGreaterThan(0);
+    expect(second).toEqual(first);
+  });
+
+  test('splits in-sample and forward data at optimizeFrom', () => {
+    const split = new Date(files.m5.time[Math.floor(files.m5.length * 0.7)]);
+    const backtest = runBacktest(files, PARAMS, CONTEXT);
+    const forward = runBacktest(files, PARAMS, CONTEXT, true);
+
+    expect(backtest.trades.every(t => t.timestamp < split)).toBe(true);
+    expect(forward.trades.every(t => t.timestamp >= split)).toBe(true);
+  });
+});
+
+test('generateLiveSignals formats orders with the instrument precision', () => {
+  const signals = generateLiveSignals({ m5: waveCandles(300) }, PARAMS, CONTEXT, 3);
+
+  expect(signals.length).toBeGreaterThan(0);
+  expect(signals.length).toBeLessThanOrEqual(3);
+  signals.forEach(s => {
+    expect(s.entry).toMatch(/^\d+\.\d{5}$/);
+    const slPips = Math.abs(Number(s.entry) - Number(s.sl)) / 0.0001;
+    expect(slPips).toBeCloseTo(PARAMS.stopLossPips, 5);
+  });
+});
@@ -0,0 +1,114 @@
+import { pipsToPrice } from './instruments.js';
+import { TIMEFRAME_MS, barCloseTime } from './timeframes.js';
+import { tradingDayKey } from './sessions.js';
+import { isSwing } from './structure.js';
+
+export const DAILY_BIAS_MODES = {
+  off: 'Ignore daily bias',
+  score: 'Score counter-bias signals down (combined)',
+  filter: 'Skip counter-bias signals'
+};
+
+// swingStrength     daily candles on each side of a swing high/low
+// penalty           confluence removed from a signal against the bias
+// levelWeight       confluence added per previous-day/week level near a signal
+// levelTolerancePips how close price must be to a level to count
+export const DEFAULT_BIAS = {
+  mode: 'score',
+  swingStrength: 2,
+  penalty: 1,
+  levelWeight: 0.5,
+  levelTolerancePips: 10
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dayStart = (dayKey) => {
+  const [y, m, d] = dayKey.split('.').map(Number);
+  return Date.UTC(y, m - 1, d);
+};
+
+const weekdayOf = (dayKey) => new Date(dayStart(dayKey)).getUTCDay();
+
+// Trading weeks run from the Sunday 17:00 New York open to the Friday 17:00
+// close: the key is the Monday of the trading day's week, and the weekend
+// days belong to the week ahead.
+const weekKey = (dayKey) => {
+  const weekday = weekdayOf(dayKey);
+  const toMonday = weekday === 6 ? 2 : weekday === 0 ? 1 : 1 - weekday;
+  return new Date(dayStart(dayKey) + toMonday * DAY_MS).toISOString().slice(0, 10);
+};
+
+// One entry per daily candle, describing the market once that candle has
+// closed (look entries up through the alignment index in alignment.js):
+// { bias, pdh, pdl, pdo, pwh, pwl, pwo }
+//
+// The bias follows daily structure: a close above the latest swing high
+// turns it bullish, a close below the latest swing low bearish. Weekly
+// levels are null until a full week has passed.
+export const buildDailyLevels = (daily, { swingStrength = DEFAULT_BIAS.swingStrength } = {}) => {
+  const levels = [];
+  const weeks = [];
+  let bias = 'neutral';
+  let swingHigh = null;
+  let swingLow = null;
+  const { time, open, high, low, close } = daily;
+
+  for (let i = 0; i < daily.length; i++) {
+    const confirmed = i - swingStrength;
+    if (confirmed >= swingStrength) {
+      if (isSwing(high, confirmed, swingStrength, 'high')) swingHigh = high[confirmed];
+      if (isSwing(low, confirmed, swingStrength, 'low')) swingLow = low[confirmed];
+    }
+    if (swingHigh !== null && close[i] > swingHigh) {
+      bias = 'bullish';
+      swingHigh = null;
+    } else if (swingLow !== null && close[i] < swingLow) {
+      bias = 'bearish';
+      swingLow = null;
+    }
+
+    const dayKey = tradingDayKey(time[i]);
+    const week = weekKey(dayKey);
+    const current = weeks[weeks.length - 1];
+    if (current && current.key === week) {
+      current.high = Math.max(current.high, high[i]);
+      current.low = Math.min(current.low, low[i]);
+    } else {
+      // The first week only counts when the data starts on its first day.
+      const partial = weeks.length === 0 && ![0, 1].includes(weekdayOf(dayKey));
+      weeks.push({ key: week, open: open[i], high: high[i], low: low[i], partial });
+    }
+
+    // The week of the trading day starting at the close decides which week
+    // is complete.
+    const latest = weeks[weeks.length - 1];
+    const nextWeek = weekKey(tradingDayKey(barCloseTime(daily, i, TIMEFRAME_MS.daily)));
+    const previousWeek = latest.key < nextWeek ? latest : weeks[weeks.length - 2];
+    const completed = previousWeek && !previousWeek.partial ? previousWeek : null;
+    levels.push({
+      bias,
+      pdh: high[i],
+      pdl: low[i],
+      pdo: open[i],
+      pwh: completed ? completed.high : null,
+      pwl: completed ? completed.low : null,
+      pwo: completed ? completed.open : null
+    });
+  }
+  return levels;
+};
+
+export const isCounterBias = (signal, bias) =>
+  (signal.type === 'long' && bias === 'bearish') || (signal.type === 'short' && bias === 'bullish');
+
+// Previous-day/week levels a signal trades into from the right side: lows
+// for longs, highs for shorts, plus the opens for both.
+export const nearbyLevels = (signal, entry, instrument, tolerancePips = DEFAULT_BIAS.levelTolerancePips) => {
+  const tolerance = pipsToPrice(tolerancePips, instrument);
+  const candidates = signal.type === 'long'
+    ? { pdl: entry.pdl, pwl: entry.pwl, pdo: entry.pdo, pwo: entry.pwo }
+    : { pdh: entry.pdh, pwh: entry.pwh, pdo: entry.pdo, pwo: entry.pwo };
+  return Object.keys(candidates).filter(key =>
+    candidates[key] !== null && Math.abs(signal.price - candidates[key]) <= tolerance);
+};
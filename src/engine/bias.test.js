@@ -0,0 +1,88 @@
+import { buildDailyLevels, isCounterBias, nearbyLevels, DEFAULT_BIAS } from './bias.js';
+import { alignTimeframe } from './alignment.js';
+import { generateSignals } from './backtest.js';
+import { TIMEFRAME_MS } from './timeframes.js';
+import { toSeries } from './series.js';
+import { EURUSD, PARAMS, CONTEXT, makeCandle, flatCandles, waveCandles } from './__fixtures__/candles.js';
+
+const DAY = TIMEFRAME_MS.daily;
+const M5 = TIMEFRAME_MS.m5;
+
+// Monday-to-Friday daily candles opening at 22:00 UTC (17:00 New York in
+// winter), the first one on Sunday `start`. Each opens and closes at its
+// price with 10 pips either side.
+const weekdayCandles = (closes, start = Date.UTC(2023, 11, 3, 22)) => {
+  const candles = [];
+  let time = start;
+  closes.forEach(close => {
+    candles.push(makeCandle(time, close, close + 0.001, close - 0.001, close));
+    // Friday's candle opens on Thursday; the next one on Sunday.
+    time += new Date(time).getUTCDay() === 4 ? 3 * DAY : DAY;
+  });
+  return toSeries(candles);
+};
+
+describe('buildDailyLevels', () => {
+  test('gives the previous day from the M5 bar that closes with it', () => {
+    const daily = weekdayCandles([1.1, 1.11, 1.12]);
+    const levels = buildDailyLevels(daily);
+    const m5 = flatCandles(3, 1.1, { start: daily.time[1] - 2 * M5 });
+    const aligned = alignTimeframe(m5, M5, daily, DAY);
+
+    expect(Array.from(aligned)).toEqual([-1, 0, 0]);
+    expect(levels[aligned[1]]).toMatchObject({ pdh: daily.high[0], pdl: daily.low[0], pdo: daily.open[0] });
+  });
+
+  test('adds last week\'s levels from the first day of the next week', () => {
+    const daily = weekdayCandles([1.1, 1.12, 1.11, 1.09, 1.1, 1.1, 1.1]);
+    const levels = buildDailyLevels(daily);
+
+    expect(levels[3].pwh).toBeNull();
+    expect(levels[4]).toMatchObject({ pwh: daily.high[1], pwl: daily.low[3], pwo: daily.open[0] });
+    expect(levels[6].pwh).toBe(daily.high[1]);
+  });
+
+  test('flips the bias on daily closes beyond the last swing', () => {
+    const daily = weekdayCandles([1.1, 1.11, 1.12, 1.11, 1.1, 1.105, 1.125, 1.12, 1.1, 1.09, 1.08]);
+    const biases = buildDailyLevels(daily).map(l => l.bias);
+
+    expect(biases.slice(0, 6)).toEqual(new Array(6).fill('neutral'));
+    expect(biases[6]).toBe('bullish');
+    // The swing low at 1.099 (day 4) is confirmed on day 6 and broken on day 9.
+    expect(biases[8]).toBe('bullish');
+    expect(biases[9]).toBe('bearish');
+  });
+});
+
+test('nearbyLevels only counts levels on the signal\'s side', () => {
+  const entry = { pdh: 1.105, pdl: 1.1, pdo: 1.102, pwh: 1.12, pwl: null, pwo: null };
+  expect(nearbyLevels({ type: 'long', price: 1.1005 }, entry, EURUSD, 20)).toEqual(['pdl', 'pdo']);
+  expect(nearbyLevels({ type: 'short', price: 1.1045 }, entry, EURUSD, 5)).toEqual(['pdh']);
+  expect(isCounterBias({ type: 'long' }, 'bearish')).toBe(true);
+  expect(isCounterBias({ type: 'short' }, 'neutral')).toBe(false);
+});
+
+describe('generateSignals with daily data', () => {
+  // Bearish daily structure before the M5 data starts on 2024-01-01.
+  const daily = weekdayCandles([1.1, 1.11, 1.12, 1.11, 1.1, 1.105, 1.11, 1.1, 1.08, ...new Array(9).fill(1.07)]);
+  const files = { m5: waveCandles(600), daily };
+
+  test('tags signals with the daily bias and can skip counter-bias ones', () => {
+    const off = generateSignals(files.m5, files, PARAMS, { ...CONTEXT, bias: { ...DEFAULT_BIAS, mode: 'off' } });
+    const filtered = generateSignals(files.m5, files, PARAMS, { ...CONTEXT, bias: { ...DEFAULT_BIAS, mode: 'filter' } });
+
+    expect(off.every(s => s.dailyBias === 'bearish')).toBe(true);
+    expect(off.some(s => s.type === 'long')).toBe(true);
+    expect(filtered.length).toBeGreaterThan(0);
+    expect(filtered.every(s => s.type === 'short')).toBe(true);
+  });
+
+  test('scores counter-bias signals down in the combined strategy', () => {
+    const context = { ...CONTEXT, strategy: 'combined', bias: { ...DEFAULT_BIAS, levelWeight: 0 } };
+    const params = { ...PARAMS, minConfluence: -10 };
+    const scored = generateSignals(files.m5, files, params, context);
+
+    expect(scored.filter(s => s.type === 'long').every(s => s.confluence === -DEFAULT_BIAS.penalty)).toBe(true);
+    expect(scored.filter(s => s.type === 'short').every(s => s.confluence === 0)).toBe(true);
+  });
+});
@@ -0,0 +1,34 @@
+export const checkResults = (metrics) => {
+  const redFlags = [];
+  const greenFlags = [];
+  
+  if (parseFloat(metrics.winRate) > 70) redFlags.push("Win rate >70% (overfitting risk)");
+  else if (parseFloat(metrics.winRate) >= 40) greenFlags.push("Win rate in healthy range (40-70%)");
+  else redFlags.push("Win rate <40% (too low)");
+  
+  if (parseFloat(metrics.profitFactor) < 1.5) redFlags.push("Profit Factor <1.5 (weak edge)");
+  else greenFlags.push("Profit Factor ≥1.5 (good edge)");
+  
+  if (parseFloat(metrics.maxDrawdown) > 30) redFlags.push("Max Drawdown >30% (too risky)");
+  else greenFlags.push("Max Drawdown ≤30% (acceptable risk)");
+  
+  if (metrics.totalTrades < 50) redFlags.push("Less than 50 trades (not enough data)");
+  else greenFlags.push("Sufficient trade sample");
+  
+  if (parseFloat(metrics.expectancy) < 0) redFlags.push("Negative expectancy (mathematical loser)");
+  else greenFlags.push("Positive expectancy");
+  
+  return { redFlags, greenFlags, passed: redFlags.length === 0 };
+};
+
+// Forward test passes when the win rate holds within 15 points of the
+// backtest and the unseen data is profitable with PF >= 1.3.
+export const checkForwardTest = (backtestMetrics, forwardMetrics) => {
+  const btWR = parseFloat(backtestMetrics.winRate);
+  const fwWR = parseFloat(forwardMetrics.winRate);
+  const wrDiff = Math.abs(btWR - fwWR);
+  const fwProfit = parseFloat(forwardMetrics.netProfit);
+  const fwPF = parseFloat(forwardMetrics.profitFactor);
+  
+  return { btWR, fwWR, wrDiff, fwProfit, fwPF, passed: wrDiff <= 15 && fwProfit > 0 && fwPF >= 1.3 };
+};
@@ -0,0 +1,36 @@
+import { checkResults, checkForwardTest } from './checks.js';
+
+const healthy = {
+  winRate: '55.0',
+  profitFactor: '1.80',
+  maxDrawdown: '12.00',
+  totalTrades: 120,
+  expectancy: '4.20',
+  netProfit: '500.00'
+};
+
+describe('checkResults', () => {
+  test('passes a healthy backtest', () => {
+    const { passed, redFlags, greenFlags } = checkResults(healthy);
+    expect(passed).toBe(true);
+    expect(redFlags).toEqual([]);
+    expect(greenFlags).toHaveLength(5);
+  });
+
+  test('flags an overfit, thinly traded result', () => {
+    const { passed, redFlags } = checkResults({ ...healthy, winRate: '85.0', totalTrades: 12 });
+    expect(passed).toBe(false);
+    expect(redFlags).toHaveLength(2);
+  });
+});
+
+describe('checkForwardTest', () => {
+  test('passes when the forward run holds up', () => {
+    expect(checkForwardTest(healthy, { ...healthy, winRate: '48.0', profitFactor: '1.40' }).passed).toBe(true);
+  });
+
+  test('fails on win rate drift or a losing forward run', () => {
+    expect(checkForwardTest(healthy, { ...healthy, winRate: '35.0' }).passed).toBe(false);
+    expect(checkForwardTest(healthy, { ...healthy, netProfit: '-10.00' }).passed).toBe(false);
+  });
+});
@@ -0,0 +1,97 @@
+import { pipsToPrice, pipValuePerLot } from './instruments.js';
+import { NEW_YORK, zonedParts } from './timezones.js';
+import { nextDailyBoundary } from './timeframes.js';
+
+// Chart prices are bid prices (MT5 exports), so longs pay the spread on entry
+// and shorts pay it on exit.
+export const DEFAULT_COSTS = {
+  spreadMode: 'fixed',       // 'fixed' | 'bar' (use the <SPREAD> column, fall back to fixed)
+  spreadPips: 1,
+  commissionPerLot: 7,       // round turn, account currency
+  swapLongPerLot: -6,        // per night, account currency
+  swapShortPerLot: 1.5,
+  rolloverHourNY: 17,
+  tripleSwapDay: 3,          // Wednesday (New York)
+  slippageMode: 'none',      // 'none' | 'fixed' | 'random'
+  slippagePips: 0.5,
+  slippageSeed: 42
+};
+
+export const ZERO_COSTS = {
+  ...DEFAULT_COSTS,
+  spreadPips: 0,
+  commissionPerLot: 0,
+  swapLongPerLot: 0,
+  swapShortPerLot: 0,
+  slippageMode: 'none'
+};
+
+// Small seeded PRNG so random slippage is repeatable across optimizer runs.
+export const createRandom = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Spread in price units for a bar whose <SPREAD> column reads `points`
+// (quoted in ticks, NaN when the file has none).
+export const spreadAt = (points, costs, instrument) => {
+  if (costs.spreadMode === 'bar' && Number.isFinite(points) && points > 0) {
+    return points * instrument.tickSize;
+  }
+  return pipsToPrice(costs.spreadPips, instrument);
+};
+
+// Adverse slippage in price units applied to stop fills.
+export const slippageFor = (costs, instrument, random) => {
+  if (costs.slippageMode === 'fixed') return pipsToPrice(costs.slippagePips, instrument);
+  if (costs.slippageMode === 'random') return pipsToPrice(costs.slippagePips * random(), instrument);
+  return 0;
+};
+
+// Number of rollovers (at `rolloverHourNY` New York time) between entry and
+// exit, with the triple-swap day counted three times.
+export const countRollovers = (entryTime, exitTime, costs) => {
+  const start = entryTime.getTime();
+  const end = exitTime.getTime();
+  if (!(end > start)) return 0;
+
+  let nights = 0;
+  for (let t = nextDailyBoundary(start, costs.rolloverHourNY, NEW_YORK); t <= end; t = nextDailyBoundary(t, costs.rolloverHourNY, NEW_YORK)) {
+    const day = zonedParts(t, NEW_YORK).weekday;
+    if (day === 0 || day === 6) continue;
+    nights += day === costs.tripleSwapDay ? 3 : 1;
+  }
+  return nights;
+};
+
+export const commissionFor = (lots, costs) => costs.commissionPerLot * lots;
+
+export const swapFor = (type, lots, nights, costs) =>
+  (type === 'long' ? costs.swapLongPerLot : costs.swapShortPerLot) * lots * nights;
+
+// Gross PnL is the idealised signal-close to SL/TP move on the bid; net PnL
+// uses the actual fills plus commission and swap. `exitSpread` is how far
+// `exitLevel` sits above the bid: short SL/TP levels are triggered on the
+// ask, and the spread they pay belongs in the execution cost.
+export const tradePnl = ({ type, signalPrice, exitLevel, exitSpread = 0, entryFill, exitFill, lots, nights, instrument, costs }) => {
+  const dir = type === 'long' ? 1 : -1;
+  const pipValue = pipValuePerLot(instrument, signalPrice) * lots;
+  const exitBid = type === 'long' ? exitLevel : exitLevel - exitSpread;
+  const grossPnl = ((exitBid - signalPrice) * dir / instrument.pipSize) * pipValue;
+  const tradedPnl = ((exitFill - entryFill) * dir / instrument.pipSize) * pipValue;
+  const commission = commissionFor(lots, costs);
+  const swap = swapFor(type, lots, nights, costs);
+  return {
+    grossPnl,
+    commission,
+    swap,
+    executionCost: grossPnl - tradedPnl,
+    pnl: tradedPnl - commission + swap
+  };
+};
@@ -0,0 +1,66 @@
+import { DEFAULT_COSTS, ZERO_COSTS, countRollovers, spreadAt, tradePnl, createRandom } from './costs.js';
+import { EURUSD } from './__fixtures__/candles.js';
+
+const at = (iso) => new Date(`${iso}Z`);
+
+describe('countRollovers', () => {
+  test('counts one night per rollover and three on Wednesday', () => {
+    expect(countRollovers(at('2024-01-01T10:00:00'), at('2024-01-01T20:00:00'), DEFAULT_COSTS)).toBe(0);
+    expect(countRollovers(at('2024-01-01T10:00:00'), at('2024-01-02T10:00:00'), DEFAULT_COSTS)).toBe(1);
+    expect(countRollovers(at('2024-01-03T10:00:00'), at('2024-01-04T10:00:00'), DEFAULT_COSTS)).toBe(3);
+  });
+
+  test('skips weekend rollovers', () => {
+    expect(countRollovers(at('2024-01-05T10:00:00'), at('2024-01-08T10:00:00'), DEFAULT_COSTS)).toBe(1);
+  });
+});
+
+describe('spreadAt', () => {
+  test('reads the bar spread in ticks and falls back to the fixed spread', () => {
+    const costs = { ...DEFAULT_COSTS, spreadMode: 'bar', spreadPips: 1 };
+    expect(spreadAt(12, costs, EURUSD)).toBeCloseTo(0.00012, 10);
+    expect(spreadAt(NaN, costs, EURUSD)).toBeCloseTo(0.0001, 10);
+  });
+});
+
+describe('tradePnl', () => {
+  const trade = {
+    type: 'long',
+    signalPrice: 1.1,
+    exitLevel: 1.102,
+    entryFill: 1.1001,
+    exitFill: 1.102,
+    lots: 1,
+    nights: 2,
+    instrument: EURUSD
+  };
+
+  test('separates gross PnL from spread, commission and swap', () => {
+    const result = tradePnl({ ...trade, costs: DEFAULT_COSTS });
+    expect(result.grossPnl).toBeCloseTo(200, 6);
+    expect(result.executionCost).toBeCloseTo(10, 6);
+    expect(result.commission).toBe(7);
+    expect(result.swap).toBe(-12);
+    expect(result.pnl).toBeCloseTo(200 - 10 - 7 - 12, 6);
+  });
+
+  test('books the spread of a short SL/TP exit on the ask as execution cost', () => {
+    const short = { ...trade, type: 'short', exitLevel: 1.0981, exitSpread: 0.0001, entryFill: 1.1, exitFill: 1.0981 };
+    const result = tradePnl({ ...short, nights: 0, costs: ZERO_COSTS });
+
+    expect(result.grossPnl).toBeCloseTo(200, 6);
+    expect(result.executionCost).toBeCloseTo(10, 6);
+    expect(result.pnl).toBeCloseTo(190, 6);
+  });
+
+  test('has no costs with ZERO_COSTS and exact fills', () => {
+    const result = tradePnl({ ...trade, entryFill: 1.1, costs: ZERO_COSTS });
+    expect(result.pnl).toBeCloseTo(result.grossPnl, 10);
+  });
+});
+
+test('createRandom is repeatable for a seed', () => {
+  const a = createRandom(42);
+  const b = createRandom(42);
+  expect([a(), a(), a()]).toEqual([b(), b(), b()]);
+});
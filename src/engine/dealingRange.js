@@ -0,0 +1,96 @@
+import { cached } from './indicators.js';
+import { structureOf } from './structure.js';
+
+// Dealing ranges: the latest confirmed swing high and low on a timeframe.
+// Above their midpoint (equilibrium) price is at a premium, below it at a
+// discount. The optimal trade entry (OTE) band is the 62-79% retracement
+// of the range's leg: from the high for an up leg (swing low first), from
+// the low for a down leg.
+
+export const DEALING_RANGE_TIMEFRAMES = ['m5', 'h1', 'h4', 'daily'];
+
+// timeframe      timeframe whose swings make the range
+// swingStrength  candles on each side of those swings
+// weight         confluence for longs in discount and shorts in premium
+// oteWeight      confluence added inside the OTE band of a leg in the signal's direction
+// oteLow/oteHigh the OTE band, as retracements of the leg
+// penalty        confluence removed from longs in premium and shorts in discount
+export const DEFAULT_DEALING_RANGE = {
+  timeframe: 'h4',
+  swingStrength: 2,
+  weight: 0,
+  oteWeight: 0,
+  oteLow: 0.62,
+  oteHigh: 0.79,
+  penalty: 0
+};
+
+export const scoresDealingRange = (dealingRange = DEFAULT_DEALING_RANGE) =>
+  dealingRange.weight !== 0 || dealingRange.oteWeight !== 0 || dealingRange.penalty !== 0;
+
+// Per bar of `series`, the range as of its close: { high, low } Float64Arrays
+// (NaN until both swings are known, or while the latest high is not above
+// the latest low) and `leg`, an Int8Array of 1 (up), -1 (down) or 0.
+export const buildDealingRanges = (series, swingStrength = DEFAULT_DEALING_RANGE.swingStrength) => {
+  const { swings } = structureOf(series, { swingStrength, breakOn: 'close' });
+  const n = series.length;
+  const high = new Float64Array(n).fill(NaN);
+  const low = new Float64Array(n).fill(NaN);
+  const leg = new Int8Array(n);
+  let next = 0;
+  let swingHigh = null;
+  let swingLow = null;
+  for (let i = 0; i < n; i++) {
+    while (next < swings.length && swings[next].confirmedIndex <= i) {
+      const swing = swings[next++];
+      if (swing.type === 'high') swingHigh = swing;
+      else swingLow = swing;
+    }
+    if (swingHigh && swingLow && swingHigh.price > swingLow.price) {
+      high[i] = swingHigh.price;
+      low[i] = swingLow.price;
+      leg[i] = swingHigh.index > swingLow.index ? 1 : -1;
+    }
+  }
+  return { high, low, leg };
+};
+
+export const dealingRangesOf = (series, dealingRange = DEFAULT_DEALING_RANGE) =>
+  cached(series, `dealingRange:${dealingRange.swingStrength}`, () => buildDealingRanges(series, dealingRange.swingStrength));
+
+// The zones of the range at bar `index`, or null: { high, low, leg:
+// 'up'|'down', equilibrium, premium, discount, ote }, the last three as
+// { top, bottom }.
+export const dealingRangeAt = (ranges, index, dealingRange = DEFAULT_DEALING_RANGE) => {
+  if (index < 0 || Number.isNaN(ranges.high[index])) return null;
+  const high = ranges.high[index];
+  const low = ranges.low[index];
+  const size = high - low;
+  const equilibrium = (high + low) / 2;
+  const up = ranges.leg[index] === 1;
+  return {
+    high,
+    low,
+    leg: up ? 'up' : 'down',
+    equilibrium,
+    premium: { top: high, bottom: equilibrium },
+    discount: { top: equilibrium, bottom: low },
+    ote: up
+      ? { top: high - dealingRange.oteLow * size, bottom: high - dealingRange.oteHigh * size }
+      : { top: low + dealingRange.oteHigh * size, bottom: low + dealingRange.oteLow * size }
+  };
+};
+
+// Confluence for where a signal's price sits in `range` (prices outside it
+// score nothing).
+export const dealingRangeScore = (signal, range, dealingRange = DEFAULT_DEALING_RANGE) => {
+  const { price } = signal;
+  if (!range || price < range.low || price > range.high) return 0;
+  const long = signal.type === 'long';
+  let score = 0;
+  if (price !== range.equilibrium) {
+    score += (price < range.equilibrium) === long ? dealingRange.weight : -dealingRange.penalty;
+  }
+  if ((range.leg === 'up') === long && price >= range.ote.bottom && price <= range.ote.top) score += dealingRange.oteWeight;
+  return score;
+};
@@ -0,0 +1,84 @@
+import { buildDealingRanges, dealingRangeAt, dealingRangeScore, DEFAULT_DEALING_RANGE } from './dealingRange.js';
+import { calculateConfluence } from './detectors.js';
+import { generateSignals } from './backtest.js';
+import { TIMEFRAME_MS } from './timeframes.js';
+import { toSeries, toCandles } from './series.js';
+import { EURUSD, PARAMS, CONTEXT, pipCandles, waveCandles } from './__fixtures__/candles.js';
+
+const H4 = TIMEFRAME_MS.h4;
+
+const price = (pips) => 1.1 + pips / 10000;
+
+// With strength 1: a swing high at 2 (20), then a swing low at 4 (0) make
+// a down leg from candle 5; the swing high at 7 (22) turns it into an up
+// leg from candle 8.
+const data = pipCandles([
+  [0, 5, -5, 0],
+  [0, 10, -2, 8],
+  [8, 20, 5, 15],
+  [15, 18, 8, 10],
+  [10, 12, 0, 4],
+  [4, 14, 3, 13],
+  [13, 15, 6, 9],
+  [9, 22, 8, 21],
+  [21, 21, 15, 16]
+], { barMs: H4 });
+const ranges = buildDealingRanges(data, 1);
+
+test('the range follows the latest confirmed swing high and low', () => {
+  expect(Array.from(ranges.high).map(h => (Number.isNaN(h) ? null : Math.round((h - 1.1) * 10000))))
+    .toEqual([null, null, null, null, null, 20, 20, 20, 22]);
+  expect(Array.from(ranges.leg)).toEqual([0, 0, 0, 0, 0, -1, -1, -1, 1]);
+  expect(dealingRangeAt(ranges, 4)).toBeNull();
+});
+
+test('works out equilibrium, premium, discount and the OTE band of the leg', () => {
+  const down = dealingRangeAt(ranges, 5);
+  expect(down.leg).toBe('down');
+  expect(down.equilibrium).toBeCloseTo(price(10), 10);
+  expect(down.premium.bottom).toBe(down.equilibrium);
+  expect(down.discount).toEqual({ top: down.equilibrium, bottom: down.low });
+  expect(down.ote.bottom).toBeCloseTo(price(12.4), 10);
+  expect(down.ote.top).toBeCloseTo(price(15.8), 10);
+
+  const up = dealingRangeAt(ranges, 8);
+  expect(up.leg).toBe('up');
+  expect(up.ote.top).toBeCloseTo(price(8.36), 10);
+  expect(up.ote.bottom).toBeCloseTo(price(4.62), 10);
+});
+
+test('rewards longs in discount/OTE and shorts in premium', () => {
+  const dealingRange = { ...DEFAULT_DEALING_RANGE, weight: 1, oteWeight: 2, penalty: 0.5 };
+  const down = dealingRangeAt(ranges, 5, dealingRange);
+  const up = dealingRangeAt(ranges, 8, dealingRange);
+  const score = (type, pips, range) => dealingRangeScore({ type, price: price(pips) }, range, dealingRange);
+
+  expect(score('short', 14, down)).toBe(3);
+  expect(score('short', 11, down)).toBe(1);
+  expect(score('long', 5, down)).toBe(1);
+  expect(score('long', 14, down)).toBe(-0.5);
+  expect(score('short', 25, down)).toBe(0);
+  expect(score('long', 6, up)).toBe(3);
+  expect(score('long', 6, null)).toBe(0);
+  expect(calculateConfluence({ type: 'long', price: price(6) }, { range: up }, EURUSD,
+    undefined, undefined, undefined, undefined, undefined, dealingRange)).toBe(3);
+});
+
+test('scores the combined strategy by the range on the chosen timeframe', () => {
+  // Uneven wicks so waveCandles form strict swings.
+  const m5 = toSeries(toCandles(waveCandles(600)).map((c, i) => ({
+    ...c,
+    high: c.high + (i % 3) * 0.00005,
+    low: c.low - (i % 3) * 0.00005
+  })));
+  const dealingRange = { ...DEFAULT_DEALING_RANGE, timeframe: 'm5', weight: 1, oteWeight: 2, penalty: 0.5 };
+  const context = { ...CONTEXT, strategy: 'combined', dealingRange };
+  const scored = generateSignals(m5, { m5 }, { ...PARAMS, minConfluence: -10 }, context);
+  const m5Ranges = buildDealingRanges(m5, dealingRange.swingStrength);
+
+  expect(scored.length).toBeGreaterThan(0);
+  expect(scored.some(s => s.confluence !== 0)).toBe(true);
+  scored.forEach(s => {
+    expect(s.confluence).toBe(dealingRangeScore(s, dealingRangeAt(m5Ranges, s.index, dealingRange), dealingRange));
+  });
+});
@@ -0,0 +1,199 @@
+import { pipsToPrice } from './instruments.js';
+import { TIMEFRAME_MS, barCloseTime } from './timeframes.js';
+import { findZoneExpiry } from './zones.js';
+import { DEFAULT_BIAS, isCounterBias, nearbyLevels } from './bias.js';
+import { cached, rollingMax, rollingMin, averageMove } from './indicators.js';
+import { DEFAULT_STRUCTURE, structureScore } from './structure.js';
+import { DEFAULT_ORDER_BLOCKS } from './orderBlocks.js';
+import { DEFAULT_IMBALANCES, trackFill, fillExpiry } from './imbalances.js';
+import { DEFAULT_LIQUIDITY, liquidityScore } from './liquidity.js';
+import { DEFAULT_DEALING_RANGE, dealingRangeScore } from './dealingRange.js';
+
+// Largest gap still treated as an FVG rather than a data hole / session gap.
+const FVG_MAX_PIPS = 100;
+// How far price may sit outside a zone and still count toward confluence.
+const CONFLUENCE_TOLERANCE_PIPS = 20;
+// How far a rejection wick may stop short of the lookback high/low.
+const REJECTION_TOLERANCE_PIPS = 10;
+
+// `data` and the zone timeframes are series (see series.js); the loops
+// read their columns directly. Lookback highs/lows and average moves come
+// from the cached rolling indicators in indicators.js. `sweeps` are
+// liquidity sweeps (see liquidity.js) to enter on when no other setup fires:
+// longs after sell-side sweeps, shorts after buy-side ones.
+export const detectPriceAction = (data, params, instrument, sweeps = []) => {
+  const signals = [];
+  const { strongBodyMin, lookbackPeriod, wickMinPercent } = params;
+  const rejectionTolerance = pipsToPrice(REJECTION_TOLERANCE_PIPS, instrument);
+  const { time, open, high, low, close } = data;
+  const sweptSellSide = new Set(sweeps.filter(sweep => sweep.side === 'sell').map(sweep => sweep.index));
+  const sweptBuySide = new Set(sweeps.filter(sweep => sweep.side === 'buy').map(sweep => sweep.index));
+  const recentHighs = cached(data, `rollingMax:high:${lookbackPeriod}`, () => rollingMax(high, lookbackPeriod));
+  const recentLows = cached(data, `rollingMin:low:${lookbackPeriod}`, () => rollingMin(low, lookbackPeriod));
+  
+  for (let i = lookbackPeriod; i < data.length; i++) {
+    const o = open[i];
+    const h = high[i];
+    const l = low[i];
+    const c = close[i];
+    const body = Math.abs(c - o);
+    const range = h - l;
+    const bodyPercent = range > 0 ? body / range : 0;
+    
+    const isGreen = c > o;
+    const isRed = c < o;
+    
+    const recentHigh = recentHighs[i];
+    const recentLow = recentLows[i];
+    const momentum = i >= 3 ? c - close[i - 3] : 0;
+    
+    const momentumLong = isGreen && bodyPercent >= strongBodyMin && momentum > 0;
+    const momentumShort = isRed && bodyPercent >= strongBodyMin && momentum < 0;
+    
+    const breakoutLong = isGreen && bodyPercent >= strongBodyMin && h > recentHigh;
+    const breakoutShort = isRed && bodyPercent >= strongBodyMin && l < recentLow;
+    
+    const lowerWick = Math.min(o, c) - l;
+    const upperWick = h - Math.max(o, c);
+    const lowerWickPct = range > 0 ? lowerWick / range : 0;
+    const upperWickPct = range > 0 ? upperWick / range : 0;
+    
+    const rejectionLong = isGreen && lowerWickPct >= wickMinPercent && l <= recentLow + rejectionTolerance;
+    const rejectionShort = isRed && upperWickPct >= wickMinPercent && h >= recentHigh - rejectionTolerance;
+    
+    const sweepLong = sweptSellSide.has(i);
+    const sweepShort = sweptBuySide.has(i);
+    
+    if (momentumLong || breakoutLong || rejectionLong || sweepLong) {
+      signals.push({
+        index: i,
+        type: 'long',
+        setup: momentumLong ? 'momentum' : breakoutLong ? 'breakout' : rejectionLong ? 'rejection' : 'sweep',
+        price: c,
+        timestamp: new Date(time[i]),
+        bodyPercent: (bodyPercent * 100).toFixed(1)
+      });
+    }
+    
+    if (momentumShort || breakoutShort || rejectionShort || sweepShort) {
+      signals.push({
+        index: i,
+        type: 'short',
+        setup: momentumShort ? 'momentum' : breakoutShort ? 'breakout' : rejectionShort ? 'rejection' : 'sweep',
+        price: c,
+        timestamp: new Date(time[i]),
+        bodyPercent: (bodyPercent * 100).toFixed(1)
+      });
+    }
+  }
+  
+  return signals;
+};
+
+export const findOrderBlocks = (data, lookback = 20, barMs = TIMEFRAME_MS.h4) => {
+  const obs = [];
+  const { time, high, low, close } = data;
+  const avgMoves = cached(data, `averageMove:${lookback}`, () => averageMove(close, lookback));
+  for (let i = lookback; i < data.length - 1; i++) {
+    const avgMove = avgMoves[i];
+    
+    const move = Math.abs(close[i + 1] - close[i]);
+    if (move > avgMove * 1.5) {
+      const type = close[i + 1] > close[i] ? 'bullish' : 'bearish';
+      obs.push({
+        index: i,
+        type,
+        high: high[i],
+        low: low[i],
+        timestamp: new Date(time[i]),
+        // The displacement candle confirms the block.
+        formedAt: barCloseTime(data, i + 1, barMs),
+        formedIndex: i + 1,
+        ...findZoneExpiry({ type, bottom: low[i], top: high[i] }, data, i + 2, barMs)
+      });
+    }
+  }
+  return obs;
+};
+
+// Gaps carry their consequent encroachment (`ce`, the midpoint) and their
+// fill history from trackFill (see imbalances.js); they expire once fully
+// filled.
+export const findFVG = (data, minPips, instrument, barMs = TIMEFRAME_MS.h1) => {
+  const fvgs = [];
+  const minGap = pipsToPrice(minPips, instrument);
+  const maxGap = pipsToPrice(FVG_MAX_PIPS, instrument);
+  const { time, high, low } = data;
+  const gapAt = (i, zone) => {
+    const fill = trackFill(zone, data, i + 2);
+    fvgs.push({
+      ...zone,
+      ce: (zone.top + zone.bottom) / 2,
+      timestamp: new Date(time[i]),
+      formedAt: barCloseTime(data, i + 1, barMs),
+      formedIndex: i + 1,
+      ...fill,
+      ...fillExpiry(fill, data, 'full', barMs)
+    });
+  };
+  
+  for (let i = 1; i < data.length - 1; i++) {
+    const bullGap = low[i + 1] - high[i - 1];
+    if (bullGap > minGap && bullGap < maxGap) gapAt(i, { type: 'bullish', top: low[i + 1], bottom: high[i - 1] });
+    
+    const bearGap = low[i - 1] - high[i + 1];
+    if (bearGap > minGap && bearGap < maxGap) gapAt(i, { type: 'bearish', top: low[i - 1], bottom: high[i + 1] });
+  }
+  return fvgs;
+};
+
+const imbalanceWeight = (zone, imbalances) => {
+  if (zone.kind === 'inversion') return imbalances.inversionWeight;
+  if (zone.kind === 'bpr') return imbalances.bprWeight;
+  if (zone.kind === 'volumeImbalance') return imbalances.volumeImbalanceWeight;
+  return 1;
+};
+
+// `active` is what the signal's bar can see (see alignment.js): the H4
+// order blocks and H1 FVGs active at the last closed H4/H1 bar, the daily
+// levels entry of the last closed day, the latest market structure event
+// on `structure.timeframe`, the latest liquidity sweep in the signal's
+// favour and the dealing range on `dealingRange.timeframe` (see
+// dealingRange.js; all four may be null). Breaker blocks among `obs` score
+// `orderBlocks.breakerWeight`; inversion FVGs, BPRs and volume imbalances
+// among `fvgs` their `imbalances` weight. In 'score' mode `bias.penalty` is
+// taken off signals against the daily bias. The structure, imbalance,
+// liquidity and dealing range defaults add no weight and no entries, so
+// until their weights are set those factors leave signals as they were.
+export const calculateConfluence = (signal, { obs = [], fvgs = [], daily = null, structure: event = null, sweep = null, range = null },
+  instrument, bias = DEFAULT_BIAS, structure = DEFAULT_STRUCTURE, orderBlocks = DEFAULT_ORDER_BLOCKS, imbalances = DEFAULT_IMBALANCES,
+  liquidity = DEFAULT_LIQUIDITY, dealingRange = DEFAULT_DEALING_RANGE) => {
+  let score = 0;
+  const tolerance = pipsToPrice(CONFLUENCE_TOLERANCE_PIPS, instrument);
+  // Zones are typed bullish/bearish, signals long/short.
+  const zoneType = signal.type === 'long' ? 'bullish' : 'bearish';
+  
+  const nearOB = obs.filter(ob => 
+    ob.type === zoneType && 
+    signal.price >= ob.low - tolerance && 
+    signal.price <= ob.high + tolerance
+  );
+  score += nearOB.reduce((sum, ob) => sum + (ob.kind === 'breaker' ? orderBlocks.breakerWeight : 1.5), 0);
+  
+  const nearFVG = fvgs.filter(fvg => 
+    fvg.type === zoneType && 
+    signal.price >= fvg.bottom - tolerance && 
+    signal.price <= fvg.top + tolerance
+  );
+  score += nearFVG.reduce((sum, fvg) => sum + imbalanceWeight(fvg, imbalances), 0);
+
+  if (daily) {
+    score += nearbyLevels(signal, daily, instrument, bias.levelTolerancePips).length * bias.levelWeight;
+    if (bias.mode === 'score' && isCounterBias(signal, daily.bias)) score -= bias.penalty;
+  }
+  score += structureScore(signal, event, structure);
+  score += liquidityScore(signal, sweep, liquidity);
+  score += dealingRangeScore(signal, range, dealingRange);
+  
+  return score;
+};
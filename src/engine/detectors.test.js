@@ -0,0 +1,92 @@
+import { detectPriceAction, findFVG, findOrderBlocks, calculateConfluence } from './detectors.js';
+import { TIMEFRAME_MS } from './timeframes.js';
+import { toSeries, toCandles } from './series.js';
+import { INSTRUMENTS } from './instruments.js';
+import { START, EURUSD, PARAMS, makeCandle, candlesFromCloses } from './__fixtures__/candles.js';
+
+const H1 = TIMEFRAME_MS.h1;
+const H4 = TIMEFRAME_MS.h4;
+
+// Bullish FVG between 1.1005 (candle 0 high) and 1.1020 (candle 2 low),
+// traded through (but not closed through) on candle 4.
+const fvgCandles = () => toSeries([
+  makeCandle(START, 1.1, 1.1005, 1.0995, 1.1003),
+  makeCandle(START + H1, 1.1003, 1.103, 1.1002, 1.1028),
+  makeCandle(START + 2 * H1, 1.1028, 1.104, 1.102, 1.1035),
+  makeCandle(START + 3 * H1, 1.1035, 1.1045, 1.1025, 1.104),
+  makeCandle(START + 4 * H1, 1.104, 1.1042, 1.1, 1.101)
+]);
+
+describe('detectPriceAction', () => {
+  test('flags a strong bullish candle after a quiet range as a long momentum signal', () => {
+    const data = candlesFromCloses([...new Array(25).fill(1.1), 1.102]);
+    const signals = detectPriceAction(data, PARAMS, EURUSD);
+
+    expect(signals).toHaveLength(1);
+    expect(signals[0]).toMatchObject({ index: 25, type: 'long', setup: 'momentum', price: 1.102 });
+  });
+
+  test('takes rejections within a pip tolerance of the lookback low', () => {
+    // Lower wick of 5 of 8 pips, its low 7 or 13 pips above the range low.
+    const rejection = (low, instrument = EURUSD) => {
+      const candles = toCandles(candlesFromCloses(new Array(25).fill(1.1)));
+      candles.push(makeCandle(START + 25 * TIMEFRAME_MS.m5, low + 0.0005, low + 0.0008, low, low + 0.0007));
+      return detectPriceAction(toSeries(candles), PARAMS, instrument).map(s => s.setup);
+    };
+
+    expect(rejection(1.1005)).toEqual(['rejection']);
+    expect(rejection(1.1011)).toEqual([]);
+    expect(rejection(1.1011, INSTRUMENTS.USDJPY)).toEqual(['rejection']);
+  });
+
+  test('emits nothing on a flat series', () => {
+    expect(detectPriceAction(candlesFromCloses(new Array(40).fill(1.1)), PARAMS, EURUSD)).toEqual([]);
+  });
+});
+
+describe('findFVG', () => {
+  test('records the gap with its confirmation and mitigation times', () => {
+    const [fvg, ...rest] = findFVG(fvgCandles(), 10, EURUSD, H1);
+
+    expect(rest).toEqual([]);
+    expect(fvg).toMatchObject({ type: 'bullish', bottom: 1.1005, top: 1.102, expiry: 'mitigated' });
+    expect(fvg.formedAt).toBe(START + 3 * H1);
+    expect(fvg.expiredAt).toBe(START + 5 * H1);
+    expect(fvg).toMatchObject({ formedIndex: 2, expiredIndex: 4 });
+  });
+
+  test('ignores gaps smaller than the pip threshold for the instrument', () => {
+    expect(findFVG(fvgCandles(), 20, EURUSD, H1)).toEqual([]);
+  });
+});
+
+describe('findOrderBlocks', () => {
+  test('marks the candle before a displacement and dates it from the displacement close', () => {
+    const closes = Array.from({ length: 22 }, (_, i) => (i % 2 ? 1.1002 : 1.1));
+    const data = candlesFromCloses([...closes, 1.105, 1.1051], { barMs: H4 });
+    const obs = findOrderBlocks(data, 20, H4);
+
+    expect(obs).toHaveLength(1);
+    expect(obs[0]).toMatchObject({ index: 21, type: 'bullish' });
+    expect(obs[0].formedAt).toBe(START + 23 * H4);
+  });
+});
+
+describe('calculateConfluence', () => {
+  const [fvg] = findFVG(fvgCandles(), 10, EURUSD, H1);
+  const long = { type: 'long', price: 1.101 };
+
+  test('scores the active zones the signal trades into', () => {
+    expect(calculateConfluence(long, { fvgs: [fvg] }, EURUSD)).toBe(1);
+    expect(calculateConfluence({ ...long, price: 1.1 - 0.003 }, { fvgs: [fvg] }, EURUSD)).toBe(0);
+  });
+
+  test('only matches zones in the direction of the signal', () => {
+    expect(calculateConfluence({ ...long, type: 'short' }, { fvgs: [fvg] }, EURUSD)).toBe(0);
+  });
+
+  test('weighs order blocks above FVGs', () => {
+    const ob = { type: 'bullish', low: 1.1, high: 1.102 };
+    expect(calculateConfluence(long, { obs: [ob], fvgs: [fvg] }, EURUSD)).toBe(2.5);
+  });
+});
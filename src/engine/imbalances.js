@@ -0,0 +1,181 @@
+import { pipsToPrice } from './instruments.js';
+import { TIMEFRAME_MS, barCloseTime } from './timeframes.js';
+import { createZoneCursor } from './alignment.js';
+
+// Fair value gaps through their life (partial and full fills, consequent
+// encroachment, inversion) and the imbalances built from them: inversion
+// FVGs, balanced price ranges (BPR, overlapping opposite gaps) and volume
+// imbalances (gaps between candle bodies whose wicks overlap).
+
+export const FVG_EXPIRY = {
+  touch: 'First touch',
+  ce: 'Fill to consequent encroachment (50%)',
+  full: 'Full fill'
+};
+
+// expireOn               how far a zone is filled before it stops counting (FVG_EXPIRY)
+// ceEntries              M5 limit entries at the CE of H1 gaps
+// inversionWeight        confluence per inversion FVG a signal trades into
+// bprWeight              confluence per balanced price range
+// volumeImbalanceMinPips smallest body gap treated as a volume imbalance
+// volumeImbalanceWeight  confluence per volume imbalance
+// FVGs always count 1.
+export const DEFAULT_IMBALANCES = {
+  expireOn: 'full',
+  ceEntries: false,
+  inversionWeight: 0,
+  bprWeight: 0,
+  volumeImbalanceMinPips: 1,
+  volumeImbalanceWeight: 0
+};
+
+const EXPIRY_INDEX = { touch: 'touchedIndex', ce: 'ceIndex', full: 'filledIndex' };
+
+// Follows a { type, top, bottom } zone from `fromIndex`. `fills` records
+// each new deepest fill as { index, filled } (0-1, measured from the near
+// edge); the indices are the first candle to touch the zone, reach its CE,
+// fill it and close through it (inversion, which ends the walk), or null.
+export const trackFill = (zone, data, fromIndex) => {
+  const bullish = zone.type === 'bullish';
+  const { high, low, close } = data;
+  const size = zone.top - zone.bottom;
+  const fills = [];
+  let deepest = 0;
+  let touchedIndex = null;
+  let ceIndex = null;
+  let filledIndex = null;
+  let invertedIndex = null;
+  for (let j = fromIndex; j < data.length && invertedIndex === null; j++) {
+    const depth = bullish ? zone.top - low[j] : high[j] - zone.bottom;
+    if (depth < 0) continue;
+    const filled = Math.min(depth / size, 1);
+    if (touchedIndex === null) touchedIndex = j;
+    if (filled > deepest) {
+      deepest = filled;
+      fills.push({ index: j, filled });
+    }
+    if (ceIndex === null && filled >= 0.5) ceIndex = j;
+    if (filledIndex === null && filled >= 1) filledIndex = j;
+    if (bullish ? close[j] < zone.bottom : close[j] > zone.top) invertedIndex = j;
+  }
+  return { fills, touchedIndex, ceIndex, filledIndex, invertedIndex };
+};
+
+// Expiry fields (as in zones.js) for a tracked zone under `expireOn`. A zone
+// that expires on the candle closing through it is 'invalidated'.
+export const fillExpiry = (fill, data, expireOn, barMs) => {
+  const expiredIndex = fill[EXPIRY_INDEX[expireOn]];
+  if (expiredIndex === null) return { expiredAt: null, expiredIndex: null, expiry: null };
+  return {
+    expiredAt: barCloseTime(data, expiredIndex, barMs),
+    expiredIndex,
+    expiry: expiredIndex === fill.invertedIndex ? 'invalidated' : 'mitigated'
+  };
+};
+
+const trackedZone = (zone, data, formedIndex, settings, barMs) => {
+  const fill = trackFill(zone, data, formedIndex + 1);
+  return {
+    ...zone,
+    ce: (zone.top + zone.bottom) / 2,
+    formedAt: barCloseTime(data, formedIndex, barMs),
+    formedIndex,
+    ...fill,
+    ...fillExpiry(fill, data, settings.expireOn, barMs)
+  };
+};
+
+const findVolumeImbalances = (data, settings, instrument, barMs) => {
+  const zones = [];
+  const minGap = pipsToPrice(settings.volumeImbalanceMinPips, instrument);
+  const { time, open, high, low, close } = data;
+  for (let i = 1; i < data.length; i++) {
+    const bullish = close[i - 1] > open[i - 1] && close[i] > open[i];
+    const bearish = close[i - 1] < open[i - 1] && close[i] < open[i];
+    // Overlapping wicks make it a volume imbalance rather than a gap.
+    if (bullish && open[i] - close[i - 1] >= minGap && low[i] <= high[i - 1]) {
+      zones.push(trackedZone({ kind: 'volumeImbalance', type: 'bullish', top: open[i], bottom: close[i - 1], timestamp: new Date(time[i]) },
+        data, i, settings, barMs));
+    }
+    if (bearish && close[i - 1] - open[i] >= minGap && high[i] >= low[i - 1]) {
+      zones.push(trackedZone({ kind: 'volumeImbalance', type: 'bearish', top: close[i - 1], bottom: open[i], timestamp: new Date(time[i]) },
+        data, i, settings, barMs));
+    }
+  }
+  return zones;
+};
+
+// The zones of `data` for confluence and CE entries, ordered by
+// `formedIndex` and told apart by `kind`:
+//   fvg              the gaps from findFVG, expiring per `settings.expireOn`
+//   inversion        a gap closed through, as a zone the other way from that close
+//   bpr              the overlap of a gap with the opposite gap its displacement
+//                    ran through before filling it
+//   volumeImbalance  a body gap of at least `volumeImbalanceMinPips`
+// Every zone carries `ce` and the trackFill fields.
+export const findImbalances = (data, fvgs, settings = DEFAULT_IMBALANCES, instrument, barMs = TIMEFRAME_MS.h1) => {
+  const zones = fvgs.map(fvg => ({ ...fvg, kind: 'fvg', ...fillExpiry(fvg, data, settings.expireOn, barMs) }));
+
+  fvgs.forEach(fvg => {
+    if (fvg.invertedIndex === null) return;
+    const type = fvg.type === 'bullish' ? 'bearish' : 'bullish';
+    zones.push(trackedZone({ kind: 'inversion', type, top: fvg.top, bottom: fvg.bottom, timestamp: fvg.timestamp },
+      data, fvg.invertedIndex, settings, barMs));
+  });
+
+  fvgs.forEach((fvg, b) => {
+    // The displacement that formed `fvg` started two candles before it was confirmed.
+    const start = fvg.formedIndex - 2;
+    for (let a = b - 1; a >= 0; a--) {
+      const other = fvgs[a];
+      if (other.type === fvg.type || other.formedIndex > start) continue;
+      if (other.filledIndex !== null && other.filledIndex < start) continue;
+      const top = Math.min(fvg.top, other.top);
+      const bottom = Math.max(fvg.bottom, other.bottom);
+      if (top <= bottom) continue;
+      zones.push(trackedZone({ kind: 'bpr', type: fvg.type, top, bottom, timestamp: fvg.timestamp },
+        data, fvg.formedIndex, settings, barMs));
+      break;
+    }
+  });
+
+  zones.push(...findVolumeImbalances(data, settings, instrument, barMs));
+  return zones.sort((a, b) => a.formedIndex - b.formedIndex);
+};
+
+// Limit entries at the CE of H1 gaps (`kind: 'fvg'` among `zones`), on the
+// first M5 candle of `data` to trade to it while the gap is active: longs
+// in bullish gaps, shorts in bearish ones. A candle opening beyond the CE
+// fills at its open. Gaps whose CE was reached on an earlier H1 candle
+// are skipped.
+export const ceEntrySignals = (data, zones, alignment) => {
+  const gaps = createZoneCursor(zones.filter(zone => zone.kind === 'fvg'));
+  const done = new Set();
+  const signals = [];
+  const { time, open, high, low, close } = data;
+  for (let i = 0; i < data.length; i++) {
+    const h1 = alignment.h1[i];
+    if (h1 < 0) continue;
+    for (const gap of gaps.activeAt(h1)) {
+      if (done.has(gap)) continue;
+      if (gap.ceIndex !== null && gap.ceIndex <= h1) {
+        done.add(gap);
+        continue;
+      }
+      const bullish = gap.type === 'bullish';
+      if (bullish ? low[i] > gap.ce : high[i] < gap.ce) continue;
+      done.add(gap);
+      const range = high[i] - low[i];
+      signals.push({
+        index: i,
+        type: bullish ? 'long' : 'short',
+        setup: 'FVG CE',
+        price: bullish ? Math.min(gap.ce, open[i]) : Math.max(gap.ce, open[i]),
+        limit: true,
+        timestamp: new Date(time[i]),
+        bodyPercent: ((range > 0 ? Math.abs(close[i] - open[i]) / range : 0) * 100).toFixed(1)
+      });
+    }
+  }
+  return signals;
+};
@@ -0,0 +1,103 @@
+import { findImbalances, ceEntrySignals, DEFAULT_IMBALANCES } from './imbalances.js';
+import { findFVG, calculateConfluence } from './detectors.js';
+import { TIMEFRAME_MS } from './timeframes.js';
+import { EURUSD, pipCandles } from './__fixtures__/candles.js';
+
+const H1 = TIMEFRAME_MS.h1;
+
+// Bullish gap 5-20 confirmed by candle 2, filled a little at 3, past its
+// CE at 4, fully at 5 and closed through at 6. The bearish inversion gap
+// left behind is filled and closed through at 8.
+const gapFill = pipCandles([
+  [0, 5, -5, 3],
+  [3, 30, 2, 28],
+  [28, 35, 20, 33],
+  [33, 34, 16, 30],
+  [30, 31, 10, 25],
+  [25, 26, 4, 8],
+  [8, 9, 1, 2],
+  [2, 12, 1, 10],
+  [10, 22, 9, 21]
+], { barMs: H1 });
+
+// A bearish gap 28-40 (candle 2) run through by the displacement that
+// leaves a bullish gap 24-35 (candle 5): a BPR over 28-35. Candle 6 opens
+// 2 pips above 5's close.
+const balanced = pipCandles([
+  [50, 52, 40, 42],
+  [42, 43, 20, 22],
+  [22, 28, 15, 16],
+  [16, 24, 14, 23],
+  [23, 50, 23, 48],
+  [48, 55, 35, 52],
+  [54, 60, 50, 58]
+], { barMs: H1 });
+
+const summary = ({ kind, type, top, bottom, formedIndex }) =>
+  [kind, type, Math.round((top - 1.1) * 10000), Math.round((bottom - 1.1) * 10000), formedIndex];
+
+test('gaps record their fills, CE and the close that inverts them', () => {
+  const [fvg] = findFVG(gapFill, 10, EURUSD, H1);
+
+  expect(fvg.ce).toBeCloseTo(1.10125, 10);
+  expect(fvg.fills.map(({ index, filled }) => [index, +filled.toFixed(3)])).toEqual([[3, 0.267], [4, 0.667], [5, 1]]);
+  expect(fvg).toMatchObject({ touchedIndex: 3, ceIndex: 4, filledIndex: 5, invertedIndex: 6, expiredIndex: 5, expiry: 'mitigated' });
+});
+
+test('an inverted gap becomes a zone the other way', () => {
+  const zones = findImbalances(gapFill, findFVG(gapFill, 10, EURUSD, H1), DEFAULT_IMBALANCES, EURUSD, H1);
+
+  expect(zones.map(summary)).toEqual([['fvg', 'bullish', 20, 5, 2], ['inversion', 'bearish', 20, 5, 6]]);
+  expect(zones[1]).toMatchObject({ touchedIndex: 7, filledIndex: 8, invertedIndex: 8, expiry: 'invalidated' });
+});
+
+test('zones stop counting at the touch, CE or full fill', () => {
+  const gaps = findFVG(gapFill, 10, EURUSD, H1);
+  const expiry = (expireOn) => findImbalances(gapFill, gaps, { ...DEFAULT_IMBALANCES, expireOn }, EURUSD, H1)[0].expiredIndex;
+
+  expect([expiry('touch'), expiry('ce'), expiry('full')]).toEqual([3, 4, 5]);
+});
+
+test('finds balanced price ranges and volume imbalances', () => {
+  const zones = findImbalances(balanced, findFVG(balanced, 10, EURUSD, H1), DEFAULT_IMBALANCES, EURUSD, H1);
+
+  expect(zones.map(summary)).toEqual([
+    ['fvg', 'bearish', 40, 28, 2],
+    ['inversion', 'bullish', 40, 28, 4],
+    ['fvg', 'bullish', 35, 24, 5],
+    ['bpr', 'bullish', 35, 28, 5],
+    ['volumeImbalance', 'bullish', 54, 52, 6]
+  ]);
+  expect(zones[3].ce).toBeCloseTo(1.10315, 10);
+});
+
+test('inversions, BPRs and volume imbalances score their own weights', () => {
+  const zone = { type: 'bullish', top: 1.1035, bottom: 1.1028 };
+  const long = { type: 'long', price: 1.103 };
+  const imbalances = { ...DEFAULT_IMBALANCES, inversionWeight: 0.5, bprWeight: 2, volumeImbalanceWeight: 0.25 };
+  const score = (kind, settings) => calculateConfluence(long, { fvgs: [{ ...zone, kind }] }, EURUSD,
+    undefined, undefined, undefined, settings);
+
+  expect(['fvg', 'inversion', 'bpr', 'volumeImbalance'].map(kind => score(kind, DEFAULT_IMBALANCES))).toEqual([1, 0, 0, 0]);
+  expect(['fvg', 'inversion', 'bpr', 'volumeImbalance'].map(kind => score(kind, imbalances))).toEqual([1, 0.5, 2, 0.25]);
+});
+
+describe('ceEntrySignals', () => {
+  const zones = findImbalances(gapFill, findFVG(gapFill, 10, EURUSD, H1), DEFAULT_IMBALANCES, EURUSD, H1);
+
+  test('enters once at the CE on the first M5 candle to reach it', () => {
+    const m5 = pipCandles([[15, 16, 10, 12], [30, 31, 25, 28], [20, 21, 14, 15], [13, 14, 11, 12], [12, 13, 10, 11]]);
+    const signals = ceEntrySignals(m5, zones, { h1: Int32Array.from([1, 2, 2, 3, 3]) });
+
+    expect(signals).toEqual([
+      { index: 3, type: 'long', setup: 'FVG CE', price: zones[0].ce, limit: true, timestamp: new Date(m5.time[3]), bodyPercent: '33.3' }
+    ]);
+  });
+
+  test('fills at the open below the CE and skips gaps already at their CE', () => {
+    const m5 = pipCandles([[11, 12, 10, 11]]);
+
+    expect(ceEntrySignals(m5, zones, { h1: Int32Array.from([3]) })[0].price).toBeCloseTo(1.1011, 10);
+    expect(ceEntrySignals(m5, zones, { h1: Int32Array.from([4]) })).toEqual([]);
+  });
+});
@@ -0,0 +1,29 @@
+// Public surface of the engine for code running outside the React app
+// (Node scripts, workers).
+export * from './instruments.js';
+export * from './timeframes.js';
+export * from './costs.js';
+export * from './sizing.js';
+export * from './zones.js';
+export * from './detectors.js';
+export * from './intrabar.js';
+export * from './simulator.js';
+export * from './parser.js';
+export * from './checks.js';
+export * from './backtest.js';
+export * from './optimizer.js';
+export * from './settings.js';
+export * from './report.js';
+export * from './timezones.js';
+export * from './sessions.js';
+export * from './resample.js';
+export * from './quality.js';
+export * from './bias.js';
+export * from './alignment.js';
+export * from './series.js';
+export * from './indicators.js';
+export * from './structure.js';
+export * from './orderBlocks.js';
+export * from './imbalances.js';
+export * from './liquidity.js';
+export * from './dealingRange.js';
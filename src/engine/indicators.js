@@ -0,0 +1,56 @@
+// Rolling-window indicators over series columns (see series.js), each O(n)
+// regardless of the window, and a per-series cache so repeated runs over
+// the same data (optimizer combos) compute every indicator once.
+
+const caches = new WeakMap();
+
+// `compute()` for `series`, remembered under `key`. Series are not mutated
+// once built, so an entry stays valid for as long as the series lives.
+export const cached = (series, key, compute) => {
+  let cache = caches.get(series);
+  if (!cache) {
+    cache = new Map();
+    caches.set(series, cache);
+  }
+  if (!cache.has(key)) cache.set(key, compute());
+  return cache.get(key);
+};
+
+// out[i] is the extreme of the `window` values before i (i itself is
+// excluded), NaN until that many values exist. A monotonic deque of
+// indices keeps the current extreme at its front.
+const rollingExtreme = (values, window, keeps, empty) => {
+  const n = values.length;
+  const out = new Float64Array(n);
+  const deque = new Int32Array(n);
+  let head = 0;
+  let tail = 0;
+  for (let i = 0; i < n; i++) {
+    while (head < tail && deque[head] < i - window) head++;
+    out[i] = i < window ? NaN : head < tail ? values[deque[head]] : empty;
+    while (head < tail && !keeps(values[deque[tail - 1]], values[i])) tail--;
+    deque[tail++] = i;
+  }
+  return out;
+};
+
+export const rollingMax = (values, window) => rollingExtreme(values, window, (kept, next) => kept > next, -Infinity);
+
+export const rollingMin = (values, window) => rollingExtreme(values, window, (kept, next) => kept < next, Infinity);
+
+// out[i] is the summed absolute close-to-close move over bars
+// i - lookback + 1 .. i - 1, divided by `lookback` (the order block
+// displacement baseline); NaN for i < lookback. Kept as a running sum.
+export const averageMove = (close, lookback) => {
+  const n = close.length;
+  const out = new Float64Array(n).fill(NaN);
+  if (lookback < 1) return out;
+  let sum = 0;
+  for (let i = 0; i < n; i++) {
+    if (i >= lookback) out[i] = sum / lookback;
+    if (i >= 1) sum += Math.abs(close[i] - close[i - 1]);
+    const leaving = i - lookback + 1;
+    if (leaving >= 1) sum -= Math.abs(close[leaving] - close[leaving - 1]);
+  }
+  return out;
+};
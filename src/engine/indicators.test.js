@@ -0,0 +1,78 @@
+import { cached, rollingMax, rollingMin, averageMove } from './indicators.js';
+import { findOrderBlocks } from './detectors.js';
+import { runBacktest } from './backtest.js';
+import { createRandom } from './costs.js';
+import { TIMEFRAME_MS } from './timeframes.js';
+import { PARAMS, CONTEXT, candlesFromCloses, waveCandles } from './__fixtures__/candles.js';
+
+// Seeded random walk with flat stretches, so ties and new extremes both occur.
+const randomWalk = (count, seed = 7) => {
+  const random = createRandom(seed);
+  const closes = [1.1];
+  for (let i = 1; i < count; i++) {
+    const step = random() < 0.2 ? 0 : Math.round((random() - 0.5) * 40) / 100000;
+    closes.push(Number((closes[i - 1] + step).toFixed(5)));
+  }
+  return candlesFromCloses(closes, { barMs: TIMEFRAME_MS.h4 });
+};
+
+// The per-bar rescans the rolling versions replace.
+const naiveExtreme = (values, window, pick) =>
+  Array.from(values, (_, i) => (i < window ? NaN : pick(...values.slice(i - window, i))));
+
+const naiveAverageMove = (close, lookback) => Array.from(close, (_, i) => {
+  if (i < lookback) return NaN;
+  let sum = 0;
+  for (let k = i - lookback + 1; k < i; k++) sum += Math.abs(close[k] - close[k - 1]);
+  return sum / lookback;
+});
+
+describe('rolling indicators', () => {
+  const data = randomWalk(2000);
+
+  test.each([0, 1, 5, 20])('highest/lowest of the previous %i bars match a rescan', (window) => {
+    expect(Array.from(rollingMax(data.high, window))).toEqual(naiveExtreme(data.high, window, Math.max));
+    expect(Array.from(rollingMin(data.low, window))).toEqual(naiveExtreme(data.low, window, Math.min));
+  });
+
+  test('the running average move tracks a fresh sum', () => {
+    const rolling = averageMove(data.close, 20);
+    const naive = naiveAverageMove(data.close, 20);
+    expect(Array.from(rolling.slice(0, 20))).toEqual(naive.slice(0, 20));
+    const drift = Math.max(...naive.slice(20).map((value, i) => Math.abs(rolling[i + 20] - value)));
+    expect(drift).toBeLessThan(1e-12);
+  });
+
+  test('order blocks are unchanged against the rescanning detector', () => {
+    const naive = [];
+    const avg = naiveAverageMove(data.close, 20);
+    for (let i = 20; i < data.length - 1; i++) {
+      if (Math.abs(data.close[i + 1] - data.close[i]) > avg[i] * 1.5) naive.push(i);
+    }
+    expect(naive.length).toBeGreaterThan(0);
+    expect(findOrderBlocks(data, 20).map(ob => ob.index)).toEqual(naive);
+  });
+});
+
+describe('cached', () => {
+  test('computes once per series and key', () => {
+    const data = waveCandles(50);
+    const compute = jest.fn(() => rollingMax(data.high, 5));
+
+    expect(cached(data, 'max:5', compute)).toBe(cached(data, 'max:5', compute));
+    cached(waveCandles(50), 'max:5', compute);
+    expect(compute).toHaveBeenCalledTimes(2);
+  });
+
+  test('backtests over the same files reuse the split and its indicators', () => {
+    const files = { m5: waveCandles(600) };
+    const first = runBacktest(files, PARAMS, CONTEXT);
+    const split = cached(files.m5, `split:${Math.floor(600 * 0.7)}:false`, () => null);
+
+    expect(split).toHaveLength(420);
+    const compute = jest.fn();
+    cached(split, `rollingMax:high:${PARAMS.lookbackPeriod}`, compute);
+    expect(compute).not.toHaveBeenCalled();
+    expect(runBacktest(files, { ...PARAMS, stopLossPips: 12 }, CONTEXT)).not.toEqual(first);
+  });
+});
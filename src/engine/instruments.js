@@ -0,0 +1,87 @@
+// Account currency used for every PnL figure the simulator reports.
+export const ACCOUNT_CURRENCY = 'USD';
+
+// pipSize      price distance of one pip
+// tickSize     smallest price increment quoted by the broker
+// tickValue    account-currency value of one tick on one lot (used for crosses)
+// contractSize units of the base asset in one lot
+export const INSTRUMENTS = {
+  EURUSD: { symbol: 'EURUSD', type: 'forex', baseCurrency: 'EUR', quoteCurrency: 'USD', pipSize: 0.0001, tickSize: 0.00001, tickValue: 1, contractSize: 100000, digits: 5 },
+  GBPUSD: { symbol: 'GBPUSD', type: 'forex', baseCurrency: 'GBP', quoteCurrency: 'USD', pipSize: 0.0001, tickSize: 0.00001, tickValue: 1, contractSize: 100000, digits: 5 },
+  AUDUSD: { symbol: 'AUDUSD', type: 'forex', baseCurrency: 'AUD', quoteCurrency: 'USD', pipSize: 0.0001, tickSize: 0.00001, tickValue: 1, contractSize: 100000, digits: 5 },
+  NZDUSD: { symbol: 'NZDUSD', type: 'forex', baseCurrency: 'NZD', quoteCurrency: 'USD', pipSize: 0.0001, tickSize: 0.00001, tickValue: 1, contractSize: 100000, digits: 5 },
+  USDCAD: { symbol: 'USDCAD', type: 'forex', baseCurrency: 'USD', quoteCurrency: 'CAD', pipSize: 0.0001, tickSize: 0.00001, tickValue: 0.73, contractSize: 100000, digits: 5 },
+  USDCHF: { symbol: 'USDCHF', type: 'forex', baseCurrency: 'USD', quoteCurrency: 'CHF', pipSize: 0.0001, tickSize: 0.00001, tickValue: 1.12, contractSize: 100000, digits: 5 },
+  EURGBP: { symbol: 'EURGBP', type: 'forex', baseCurrency: 'EUR', quoteCurrency: 'GBP', pipSize: 0.0001, tickSize: 0.00001, tickValue: 1.27, contractSize: 100000, digits: 5 },
+  USDJPY: { symbol: 'USDJPY', type: 'forex', baseCurrency: 'USD', quoteCurrency: 'JPY', pipSize: 0.01, tickSize: 0.001, tickValue: 0.67, contractSize: 100000, digits: 3 },
+  EURJPY: { symbol: 'EURJPY', type: 'forex', baseCurrency: 'EUR', quoteCurrency: 'JPY', pipSize: 0.01, tickSize: 0.001, tickValue: 0.67, contractSize: 100000, digits: 3 },
+  GBPJPY: { symbol: 'GBPJPY', type: 'forex', baseCurrency: 'GBP', quoteCurrency: 'JPY', pipSize: 0.01, tickSize: 0.001, tickValue: 0.67, contractSize: 100000, digits: 3 },
+  XAUUSD: { symbol: 'XAUUSD', type: 'metal', baseCurrency: 'XAU', quoteCurrency: 'USD', pipSize: 0.1, tickSize: 0.01, tickValue: 1, contractSize: 100, digits: 2 },
+  XAGUSD: { symbol: 'XAGUSD', type: 'metal', baseCurrency: 'XAG', quoteCurrency: 'USD', pipSize: 0.01, tickSize: 0.001, tickValue: 5, contractSize: 5000, digits: 3 },
+  US30: { symbol: 'US30', type: 'index', baseCurrency: 'US30', quoteCurrency: 'USD', pipSize: 1, tickSize: 0.1, tickValue: 0.1, contractSize: 1, digits: 1 },
+  NAS100: { symbol: 'NAS100', type: 'index', baseCurrency: 'NAS100', quoteCurrency: 'USD', pipSize: 1, tickSize: 0.1, tickValue: 0.1, contractSize: 1, digits: 1 },
+  SPX500: { symbol: 'SPX500', type: 'index', baseCurrency: 'SPX500', quoteCurrency: 'USD', pipSize: 0.1, tickSize: 0.01, tickValue: 0.01, contractSize: 1, digits: 2 },
+  GER40: { symbol: 'GER40', type: 'index', baseCurrency: 'GER40', quoteCurrency: 'EUR', pipSize: 1, tickSize: 0.1, tickValue: 0.11, contractSize: 1, digits: 1 },
+  BTCUSD: { symbol: 'BTCUSD', type: 'crypto', baseCurrency: 'BTC', quoteCurrency: 'USD', pipSize: 1, tickSize: 0.01, tickValue: 0.01, contractSize: 1, digits: 2 },
+  ETHUSD: { symbol: 'ETHUSD', type: 'crypto', baseCurrency: 'ETH', quoteCurrency: 'USD', pipSize: 0.1, tickSize: 0.01, tickValue: 0.01, contractSize: 1, digits: 2 }
+};
+
+export const DEFAULT_INSTRUMENT = 'EURUSD';
+
+// Broker names that differ from the registry key.
+const ALIASES = {
+  GOLD: 'XAUUSD',
+  SILVER: 'XAGUSD',
+  DJ30: 'US30',
+  DJI: 'US30',
+  WS30: 'US30',
+  USTEC: 'NAS100',
+  NDX: 'NAS100',
+  US100: 'NAS100',
+  US500: 'SPX500',
+  SPX: 'SPX500',
+  DE40: 'GER40',
+  DAX: 'GER40',
+  GER30: 'GER40',
+  XBTUSD: 'BTCUSD'
+};
+
+export const getInstrument = (symbol) => INSTRUMENTS[symbol] || INSTRUMENTS[DEFAULT_INSTRUMENT];
+
+export const priceToPips = (distance, instrument) => distance / instrument.pipSize;
+
+export const pipsToPrice = (pips, instrument) => pips * instrument.pipSize;
+
+// Account-currency value of one pip on one lot. Pairs quoted in the account
+// currency are exact; pairs with the account currency as base are converted
+// at the trade price; everything else falls back to the profile's tick value.
+export const pipValuePerLot = (instrument, price) => {
+  const quoteValue = instrument.pipSize * instrument.contractSize;
+  if (instrument.quoteCurrency === ACCOUNT_CURRENCY) return quoteValue;
+  if (instrument.baseCurrency === ACCOUNT_CURRENCY && price > 0) return quoteValue / price;
+  return (instrument.pipSize / instrument.tickSize) * instrument.tickValue;
+};
+
+export const formatPrice = (price, instrument) => price.toFixed(instrument.digits);
+
+// Picks a profile from the uploaded file name (e.g. "XAUUSD_M5.csv",
+// "EURUSD.a-M5.csv") and falls back to the price level of the data.
+export const detectInstrument = (fileName = '', data = []) => {
+  const name = String(fileName).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  const symbols = Object.keys(INSTRUMENTS).sort((a, b) => b.length - a.length);
+  const direct = symbols.find(s => name.includes(s));
+  if (direct) return direct;
+  const alias = Object.keys(ALIASES).find(a => name.includes(a));
+  if (alias) return ALIASES[alias];
+
+  if (!data.length) return DEFAULT_INSTRUMENT;
+  const price = data.close[data.length - 1];
+  if (price < 10) return 'EURUSD';
+  if (price < 400) return 'USDJPY';
+  if (price < 10000) return 'XAUUSD';
+  return 'US30';
+};
+
+// Account-currency value of a position, used for margin.
+export const notionalValue = (lots, price, instrument) =>
+  lots * price * pipValuePerLot(instrument, price) / instrument.pipSize;
@@ -0,0 +1,29 @@
+import { INSTRUMENTS, detectInstrument, pipValuePerLot, priceToPips } from './instruments.js';
+import { candlesFromCloses } from './__fixtures__/candles.js';
+
+describe('pipValuePerLot', () => {
+  test('is exact for USD-quoted symbols and converted for USD-based ones', () => {
+    expect(pipValuePerLot(INSTRUMENTS.EURUSD, 1.1)).toBeCloseTo(10, 10);
+    expect(pipValuePerLot(INSTRUMENTS.XAUUSD, 2000)).toBeCloseTo(10, 10);
+    expect(pipValuePerLot(INSTRUMENTS.USDJPY, 150)).toBeCloseTo(1000 / 150, 10);
+  });
+});
+
+test('priceToPips uses the instrument pip size', () => {
+  expect(priceToPips(0.0015, INSTRUMENTS.EURUSD)).toBeCloseTo(15, 10);
+  expect(priceToPips(1.5, INSTRUMENTS.USDJPY)).toBeCloseTo(150, 10);
+});
+
+describe('detectInstrument', () => {
+  test('reads the symbol or a broker alias from the file name', () => {
+    expect(detectInstrument('GBPUSD.a-M5.csv')).toBe('GBPUSD');
+    expect(detectInstrument('EURJPY_M5.csv')).toBe('EURJPY');
+    expect(detectInstrument('GOLD_M5.csv')).toBe('XAUUSD');
+  });
+
+  test('falls back to the price level of the data', () => {
+    expect(detectInstrument('export.csv', candlesFromCloses([150.2]))).toBe('USDJPY');
+    expect(detectInstrument('export.csv', candlesFromCloses([2050]))).toBe('XAUUSD');
+    expect(detectInstrument('export.csv')).toBe('EURUSD');
+  });
+});
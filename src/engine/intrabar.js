@@ -0,0 +1,147 @@
+import { spreadAt } from './costs.js';
+import { lowerBound } from './series.js';
+
+export const INTRABAR_POLICIES = {
+  pessimistic: 'Pessimistic (SL first)',
+  optimistic: 'Optimistic (TP first)',
+  nearest: 'Open to nearest level'
+};
+
+export const DEFAULT_INTRABAR_POLICY = 'pessimistic';
+
+// Which of SL/TP bar `i` of `bars` touched, using bid prices for longs and
+// ask prices (bid + spread) for shorts.
+export const levelsHit = (pos, bars, i, spread) => {
+  if (pos.type === 'long') {
+    return { sl: bars.low[i] <= pos.sl, tp: bars.high[i] >= pos.tp };
+  }
+  return { sl: bars.high[i] + spread >= pos.sl, tp: bars.low[i] + spread <= pos.tp };
+};
+
+// Decide SL vs TP for a bar that touched both, without finer data.
+// 'nearest' assumes price travelled from the open to whichever level was
+// closer first.
+export const resolveByPolicy = (pos, bars, i, spread, policy) => {
+  if (policy === 'optimistic') return 'TP';
+  if (policy === 'nearest') {
+    const open = pos.type === 'long' ? bars.open[i] : bars.open[i] + spread;
+    return Math.abs(open - pos.tp) < Math.abs(open - pos.sl) ? 'TP' : 'SL';
+  }
+  return 'SL';
+};
+
+// The part of bar `i` of `bars` known to follow a limit fill at
+// `pos.entry`, as a one-bar series opening at the fill. Price beyond the
+// entry (the stop side) all came after it; of the other side only what the
+// close proves does, so a target touched before the fill is not counted.
+export const afterFill = (pos, bars, i) => {
+  const long = pos.type === 'long';
+  const open = bars.open[i];
+  const close = bars.close[i];
+  const atOpen = long ? open <= pos.entry : open >= pos.entry;
+  const fill = atOpen ? open : pos.entry;
+  return {
+    length: 1,
+    time: [bars.time[i]],
+    open: [fill],
+    high: [!long || atOpen ? bars.high[i] : Math.max(fill, close)],
+    low: [long || atOpen ? bars.low[i] : Math.min(fill, close)],
+    close: [close],
+    spread: [bars.spread[i]]
+  };
+};
+
+// Index range [from, to) of the lower-timeframe bars that make up the
+// candle opening at `time`.
+export const barsWithin = (bars, time, barMs) => ({
+  from: lowerBound(bars, time),
+  to: lowerBound(bars, time + barMs)
+});
+
+// Ratchets the trailing stop `distance` behind `price`, never loosening it.
+const trail = (pos, price, distance) => {
+  const dir = pos.type === 'long' ? 1 : -1;
+  const sl = price - dir * distance;
+  if (dir * (sl - pos.sl) > 0) pos.sl = sl;
+};
+
+// Each tick is a fill price: the bid for longs, the ask for shorts. Stops
+// fill at the quote that triggers them (gaps included), targets at the
+// limit.
+const replayTicks = (pos, ticks, from, to, trailDistance) => {
+  const long = pos.type === 'long';
+  const quotes = long ? ticks.bid : ticks.ask;
+  for (let k = from; k < to; k++) {
+    const price = quotes[k];
+    if (long ? price <= pos.sl : price >= pos.sl) return { exit: 'SL', level: pos.sl, fill: price, resolvedBy: 'ticks' };
+    if (long ? price >= pos.tp : price <= pos.tp) return { exit: 'TP', level: pos.tp, fill: pos.tp, resolvedBy: 'ticks' };
+    if (trailDistance > 0) trail(pos, price, trailDistance);
+  }
+  return { exit: null };
+};
+
+// M1 bars are bid prices with the ask one spread above. A bar opening
+// beyond the stop fills at its open; one touching both levels falls back
+// to the policy.
+const replayBars = (pos, bars, from, to, { policy, trailDistance, costs, instrument }) => {
+  const long = pos.type === 'long';
+  for (let k = from; k < to; k++) {
+    const spread = spreadAt(bars.spread[k], costs, instrument);
+    const open = long ? bars.open[k] : bars.open[k] + spread;
+    if (long ? open <= pos.sl : open >= pos.sl) return { exit: 'SL', level: pos.sl, fill: open, resolvedBy: 'm1' };
+
+    const hit = levelsHit(pos, bars, k, spread);
+    if (hit.sl && hit.tp) {
+      const exit = resolveByPolicy(pos, bars, k, spread, policy);
+      const level = exit === 'SL' ? pos.sl : pos.tp;
+      return { exit, level, fill: level, resolvedBy: policy };
+    }
+    if (hit.sl) return { exit: 'SL', level: pos.sl, fill: pos.sl, resolvedBy: 'm1' };
+    if (hit.tp) return { exit: 'TP', level: pos.tp, fill: pos.tp, resolvedBy: 'm1' };
+    if (trailDistance > 0) trail(pos, long ? bars.close[k] : bars.close[k] + spread, trailDistance);
+  }
+  return { exit: null };
+};
+
+// Manages `pos` through bar `index` of `data` on finer data: `ticks` (a
+// tick series) where they cover the bar, else the lower-timeframe `bars`.
+// With `filled` set, `index` is the bar a limit entry filled on and only
+// what follows the first tick or bar to reach `pos.entry` counts.
+// Returns null when neither does, so the caller falls back to the bar
+// itself. Otherwise returns { exit, level, fill, resolvedBy }, `exit` null
+// when the position survives the bar; a trailing stop (`trailDistance`
+// > 0) ratchets on every tick or lower-timeframe close along the way, so
+// `pos.sl` may have moved.
+export const replayBar = ({ pos, data, index, barMs, policy, bars, ticks, trailDistance = 0, costs, instrument, filled = false }) => {
+  const time = data.time[index];
+  const long = pos.type === 'long';
+  if (ticks && ticks.length > 0) {
+    let { from, to } = barsWithin(ticks, time, barMs);
+    if (from < to) {
+      if (filled) {
+        while (from < to && (long ? ticks.bid[from] > pos.entry : ticks.bid[from] < pos.entry)) from++;
+      }
+      return replayTicks(pos, ticks, from, to, trailDistance);
+    }
+  }
+  if (bars && bars.length > 0) {
+    let { from, to } = barsWithin(bars, time, barMs);
+    if (from < to) {
+      const options = { policy, trailDistance, costs, instrument };
+      if (!filled) return replayBars(pos, bars, from, to, options);
+      while (from < to && (long ? bars.low[from] > pos.entry : bars.high[from] < pos.entry)) from++;
+      if (from === to) return { exit: null };
+      const first = replayBars(pos, afterFill(pos, bars, from), 0, 1, options);
+      return first.exit ? first : replayBars(pos, bars, from + 1, to, options);
+    }
+  }
+  return null;
+};
+
+// The first tick at or after `time` and before `time + withinMs`, as
+// { bid, ask }, or null.
+export const quoteAt = (ticks, time, withinMs) => {
+  if (!ticks) return null;
+  const k = lowerBound(ticks, time);
+  return k < ticks.length && ticks.time[k] < time + withinMs ? { bid: ticks.bid[k], ask: ticks.ask[k] } : null;
+};
@@ -0,0 +1,155 @@
+import { pipsToPrice } from './instruments.js';
+import { NEW_YORK, zonedParts } from './timezones.js';
+import { KILL_ZONES } from './sessions.js';
+import { structureOf } from './structure.js';
+
+// Liquidity pools on M5: buy-side above equal highs, session highs and
+// previous day/week highs, sell-side below the matching lows. A candle that
+// trades beyond a pool takes it; one that also closes back inside sweeps it
+// (a stop run), which can add entries and score confluence.
+
+// Session ranges, in New York hours [start, end), whose highs/lows become
+// pools once the session is over.
+export const LIQUIDITY_SESSIONS = {
+  asia: { label: 'Asia', start: 20, end: 24 },
+  ...KILL_ZONES
+};
+
+// entries            sweeps add 'sweep' price action signals
+// swingStrength      M5 candles on each side of the swings compared for equal highs/lows
+// equalTolerancePips how far apart two swings may be and still be equal
+// sessions           session highs/lows are pools
+// dailyLevels        previous day/week highs/lows are pools (needs Daily candles)
+// maxAgeCandles      M5 candles a pool stays in play (a week)
+// weight             confluence for a signal shortly after a sweep in its favour
+// sweepWindow        M5 candles after a sweep that it scores
+export const DEFAULT_LIQUIDITY = {
+  entries: false,
+  swingStrength: 2,
+  equalTolerancePips: 2,
+  sessions: true,
+  dailyLevels: true,
+  maxAgeCandles: 2016,
+  weight: 0,
+  sweepWindow: 6
+};
+
+export const usesLiquidity = (liquidity = DEFAULT_LIQUIDITY) => liquidity.entries || liquidity.weight !== 0;
+
+const DAY_LEVELS = { pdh: 'buy', pdl: 'sell', pwh: 'buy', pwl: 'sell' };
+
+const sessionAt = (time) => {
+  const { year, month, day, hour } = zonedParts(time, NEW_YORK);
+  const name = Object.keys(LIQUIDITY_SESSIONS).find(key =>
+    hour >= LIQUIDITY_SESSIONS[key].start && hour < LIQUIDITY_SESSIONS[key].end);
+  return name ? { name, key: `${year}.${month}.${day}:${name}` } : null;
+};
+
+// Walks `data` (M5) once. `dailyLevels` are buildDailyLevels entries looked
+// up through `alignment.daily` (see alignment.js); either may be null.
+// Returns { pools, sweeps, lastSweep } with
+//   pools      { side: 'buy'|'sell', source, level, formedIndex, endIndex, swept },
+//              source being 'equalHighs', 'equalLows', a LIQUIDITY_SESSIONS
+//              key or a previous day/week level ('pdh', 'pwl', ...); endIndex
+//              is the candle that took the pool (null if none did before it
+//              aged out)
+//   sweeps     { index, side, source, level, timestamp }, in bar order
+//   lastSweep  { buy, sell } Int32Arrays: the latest sweep of that side by
+//              each candle's close, -1 before
+// Pools form at the close of the candle that completes them and can be
+// taken from the next candle on.
+export const findLiquidity = (data, dailyLevels, alignment, liquidity = DEFAULT_LIQUIDITY, instrument) => {
+  const { time, high, low, close } = data;
+  const tolerance = pipsToPrice(liquidity.equalTolerancePips, instrument);
+  const { swings } = structureOf(data, { swingStrength: liquidity.swingStrength, breakOn: 'close' });
+  const pools = [];
+  const sweeps = [];
+  const lastSweep = { buy: new Int32Array(data.length).fill(-1), sell: new Int32Array(data.length).fill(-1) };
+  let active = [];
+  let intact = [];
+  let nextSwing = 0;
+  let session = null;
+  const dayValues = {};
+
+  const addPool = (side, source, level, formedIndex) => {
+    const pool = { side, source, level, formedIndex, endIndex: null, swept: false };
+    pools.push(pool);
+    active.push(pool);
+  };
+
+  for (let i = 0; i < data.length; i++) {
+    // A session is complete once a candle falls outside it.
+    const current = liquidity.sessions ? sessionAt(time[i]) : null;
+    if (session && (!current || current.key !== session.key)) {
+      addPool('buy', session.name, session.high, session.lastIndex);
+      addPool('sell', session.name, session.low, session.lastIndex);
+      session = null;
+    }
+
+    if (i > 0) {
+      lastSweep.buy[i] = lastSweep.buy[i - 1];
+      lastSweep.sell[i] = lastSweep.sell[i - 1];
+    }
+    active = active.filter(pool => {
+      if (i - pool.formedIndex > liquidity.maxAgeCandles) return false;
+      const buy = pool.side === 'buy';
+      if (buy ? high[i] <= pool.level : low[i] >= pool.level) return true;
+      pool.endIndex = i;
+      pool.swept = buy ? close[i] < pool.level : close[i] > pool.level;
+      if (pool.swept) {
+        sweeps.push({ index: i, side: pool.side, source: pool.source, level: pool.level, timestamp: new Date(time[i]) });
+        lastSweep[pool.side][i] = sweeps.length - 1;
+      }
+      return false;
+    });
+
+    // Swings still standing (within the tolerance), for equal highs/lows.
+    intact = intact.filter(swing => i - swing.index <= liquidity.maxAgeCandles &&
+      (swing.type === 'high' ? high[i] <= swing.price + tolerance : low[i] >= swing.price - tolerance));
+    while (nextSwing < swings.length && swings[nextSwing].confirmedIndex <= i) {
+      const swing = swings[nextSwing++];
+      let equal = null;
+      for (let k = intact.length - 1; k >= 0 && !equal; k--) {
+        const other = intact[k];
+        if (other.type === swing.type && Math.abs(other.price - swing.price) <= tolerance) equal = other;
+      }
+      if (equal) {
+        intact = intact.filter(other => other !== equal);
+        if (swing.type === 'high') addPool('buy', 'equalHighs', Math.max(equal.price, swing.price), i);
+        else addPool('sell', 'equalLows', Math.min(equal.price, swing.price), i);
+      }
+      intact.push(swing);
+    }
+
+    if (current) {
+      if (!session) session = { ...current, high: high[i], low: low[i], lastIndex: i };
+      session.high = Math.max(session.high, high[i]);
+      session.low = Math.min(session.low, low[i]);
+      session.lastIndex = i;
+    }
+
+    // A daily candle closing with this one brings new previous day/week levels.
+    const day = liquidity.dailyLevels && dailyLevels && alignment.daily ? alignment.daily[i] : -1;
+    if (day >= 0 && (i === 0 || alignment.daily[i - 1] !== day)) {
+      Object.keys(DAY_LEVELS).forEach(key => {
+        const level = dailyLevels[day][key];
+        if (level === null || level === dayValues[key]) return;
+        dayValues[key] = level;
+        addPool(DAY_LEVELS[key], key, level, i);
+      });
+    }
+  }
+  return { pools, sweeps, lastSweep };
+};
+
+// The latest sweep in a signal's favour (sell-side for longs, buy-side for
+// shorts) within `sweepWindow` candles of `index`, or null.
+export const recentSweep = (found, type, index, liquidity = DEFAULT_LIQUIDITY) => {
+  const k = found.lastSweep[type === 'long' ? 'sell' : 'buy'][index];
+  return k >= 0 && index - found.sweeps[k].index <= liquidity.sweepWindow ? found.sweeps[k] : null;
+};
+
+export const liquidityScore = (signal, sweep, liquidity = DEFAULT_LIQUIDITY) => {
+  if (!sweep) return 0;
+  return (sweep.side === 'sell') === (signal.type === 'long') ? liquidity.weight : 0;
+};
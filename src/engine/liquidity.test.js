@@ -0,0 +1,80 @@
+import { findLiquidity, recentSweep, DEFAULT_LIQUIDITY } from './liquidity.js';
+import { detectPriceAction, calculateConfluence } from './detectors.js';
+import { EURUSD, PARAMS, pipCandles, flatCandles } from './__fixtures__/candles.js';
+
+const NO_SESSIONS = { ...DEFAULT_LIQUIDITY, swingStrength: 1, sessions: false };
+
+const pips = (price) => Math.round((price - 1.1) * 100000) / 10;
+
+// Swing highs at 2 (20) and 6 (20.5) are equal within 2 pips; candle 8
+// wicks to 23 and closes back at 15.
+const equalHighs = pipCandles([
+  [0, 5, -5, 3],
+  [3, 10, 0, 8],
+  [8, 20, 6, 12],
+  [12, 14, 2, 5],
+  [5, 8, 0, 4],
+  [4, 15, 3, 14],
+  [14, 20.5, 10, 12],
+  [12, 16, 9, 11],
+  [11, 23, 10, 15],
+  [15, 16, 12, 13]
+]);
+
+test('equal highs are buy-side liquidity, swept by a wick through and a close back below', () => {
+  const { pools, sweeps, lastSweep } = findLiquidity(equalHighs, null, {}, NO_SESSIONS, EURUSD);
+
+  expect(pools.map(pool => ({ ...pool, level: pips(pool.level) }))).toEqual([
+    { side: 'buy', source: 'equalHighs', level: 20.5, formedIndex: 7, endIndex: 8, swept: true }
+  ]);
+  expect(sweeps).toEqual([{ index: 8, side: 'buy', source: 'equalHighs', level: pools[0].level, timestamp: new Date(equalHighs.time[8]) }]);
+  expect(Array.from(lastSweep.buy)).toEqual([-1, -1, -1, -1, -1, -1, -1, -1, 0, 0]);
+  expect(Array.from(lastSweep.sell)).toEqual(new Array(10).fill(-1));
+});
+
+test('a finished session leaves its high and low as pools', () => {
+  // 23:45 New York, the end of the Asia session.
+  const data = pipCandles([
+    [0, 10, -10, 0],
+    [0, 12, -5, 5],
+    [5, 8, -2, 6],
+    [6, 9, 1, 4],
+    [4, 6, -12, -3],
+    [-3, 14, -4, 13]
+  ], { start: Date.UTC(2024, 0, 2, 4, 45) });
+  const { pools, sweeps } = findLiquidity(data, null, {}, DEFAULT_LIQUIDITY, EURUSD);
+
+  expect(pools.map(({ side, source, level, formedIndex, endIndex, swept }) => [side, source, pips(level), formedIndex, endIndex, swept]))
+    .toEqual([['buy', 'asia', 12, 2, 5, false], ['sell', 'asia', -10, 2, 4, true]]);
+  expect(sweeps.map(sweep => [sweep.index, sweep.side])).toEqual([[4, 'sell']]);
+});
+
+test('previous day levels become pools when the day closes', () => {
+  const data = pipCandles([[0, 2, -2, 1], [1, 3, -1, 2], [2, 12, 1, 5], [5, 6, -15, -11]]);
+  const daily = [{ pdh: 1.101, pdl: 1.099, pwh: null, pwl: null }];
+  const { pools, sweeps } = findLiquidity(data, daily, { daily: Int32Array.from([-1, 0, 0, 0]) }, NO_SESSIONS, EURUSD);
+
+  expect(pools.map(({ source, formedIndex, endIndex, swept }) => [source, formedIndex, endIndex, swept]))
+    .toEqual([['pdh', 1, 2, true], ['pdl', 1, 3, false]]);
+  expect(sweeps.map(sweep => sweep.source)).toEqual(['pdh']);
+});
+
+test('sweeps are a price action setup when nothing else fires', () => {
+  const data = flatCandles(40);
+  const sweeps = [{ index: 30, side: 'sell' }, { index: 35, side: 'buy' }];
+
+  expect(detectPriceAction(data, PARAMS, EURUSD)).toEqual([]);
+  expect(detectPriceAction(data, PARAMS, EURUSD, sweeps).map(s => [s.index, s.type, s.setup])).toEqual([[30, 'long', 'sweep'], [35, 'short', 'sweep']]);
+});
+
+test('a recent sweep in the signal\'s favour adds confluence', () => {
+  const found = findLiquidity(equalHighs, null, {}, NO_SESSIONS, EURUSD);
+  const liquidity = { ...NO_SESSIONS, weight: 1.5, sweepWindow: 1 };
+  const sweep = recentSweep(found, 'short', 9, liquidity);
+
+  expect(sweep).toBe(found.sweeps[0]);
+  expect(recentSweep(found, 'short', 9, { ...liquidity, sweepWindow: 0 })).toBeNull();
+  expect(recentSweep(found, 'long', 9, liquidity)).toBeNull();
+  expect(calculateConfluence({ type: 'short', price: 1.1 }, { sweep }, EURUSD, undefined, undefined, undefined, undefined, liquidity)).toBe(1.5);
+  expect(calculateConfluence({ type: 'long', price: 1.1 }, { sweep }, EURUSD, undefined, undefined, undefined, undefined, liquidity)).toBe(0);
+});
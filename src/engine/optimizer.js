@@ -0,0 +1,80 @@
+import { runBacktest } from './backtest.js';
+
+export const OPTIMIZATION_RANGES = {
+  strongBodyMin: [0.4, 0.5, 0.6, 0.7],
+  lookbackPeriod: [15, 20, 25],
+  wickMinPercent: [0.5, 0.6, 0.7],
+  minConfluence: [1.5, 2.0, 2.5, 3.0],
+  fvgMinPips: [8, 10, 12, 15],
+  stopLossPips: [15, 20, 25],
+  riskRewardRatio: [2, 2.5, 3],
+  useKillZones: [true, false],
+  maxTradesPerDay: [3, 5, 7]
+};
+
+export const TOP_RESULTS = 20;
+
+export const buildCombos = (ranges = OPTIMIZATION_RANGES) => {
+  const combos = [];
+  for (const strongBody of ranges.strongBodyMin) {
+    for (const lookback of ranges.lookbackPeriod) {
+      for (const wick of ranges.wickMinPercent) {
+        for (const conf of ranges.minConfluence) {
+          for (const fvg of ranges.fvgMinPips) {
+            for (const sl of ranges.stopLossPips) {
+              for (const rr of ranges.riskRewardRatio) {
+                for (const kz of ranges.useKillZones) {
+                  for (const maxTrades of ranges.maxTradesPerDay) {
+                    combos.push({
+                      strongBodyMin: strongBody,
+                      lookbackPeriod: lookback,
+                      wickMinPercent: wick,
+                      minConfluence: conf,
+                      fvgMinPips: fvg,
+                      stopLossPips: sl,
+                      riskRewardRatio: rr,
+                      useTrailingStop: true,
+                      trailingStopPips: sl,
+                      useKillZones: kz,
+                      maxTradesPerDay: maxTrades,
+                      optimizeFrom: 70,
+                      optimizeTo: 100
+                    });
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+  return combos;
+};
+
+export const rankResults = (results) =>
+  [...results].sort((a, b) => parseFloat(b.returnPct) - parseFloat(a.returnPct)).slice(0, TOP_RESULTS);
+
+// Runs `combos` in batches, yielding between batches so a worker can receive
+// a cancel message and a page can repaint. Passing results of each batch are
+// reported through `onPartial`.
+export const runCombos = async (files, context, combos, { batchSize = 25, onProgress, onPartial, isCancelled } = {}) => {
+  const passing = [];
+  for (let start = 0; start < combos.length; start += batchSize) {
+    if (isCancelled && isCancelled()) break;
+
+    const batch = [];
+    for (const params of combos.slice(start, start + batchSize)) {
+      const result = runBacktest(files, params, context, false);
+      if (result && result.metrics.totalTrades >= 10 && parseFloat(result.metrics.profitFactor) > 1.0) {
+        batch.push({ params, ...result.metrics });
+      }
+    }
+    passing.push(...batch);
+
+    if (onPartial && batch.length > 0) onPartial(batch);
+    if (onProgress) onProgress(Math.min(start + batchSize, combos.length), combos.length);
+    await new Promise(r => setTimeout(r, 0));
+  }
+  return passing;
+};
@@ -0,0 +1,124 @@
+import { TIMEFRAME_MS, barCloseTime } from './timeframes.js';
+import { cached, averageMove } from './indicators.js';
+import { structureOf } from './structure.js';
+
+// ICT order blocks: the last down-close candle before a bullish
+// displacement that breaks structure (the last up-close candle for
+// bearish), followed through their lifecycle. A block that fails becomes a
+// breaker block the other way.
+
+export const ORDER_BLOCK_DEFINITIONS = {
+  ict: 'ICT (last opposing candle before a structure break)',
+  displacement: 'Any candle before a large move (legacy)'
+};
+
+// Lifecycle of a block (and of a breaker), in order: price has not come
+// back, has traded into it, has reached its far edge (or 50% level), has
+// closed beyond that.
+export const ORDER_BLOCK_STATES = ['fresh', 'tested', 'mitigated', 'invalidated'];
+
+// swingStrength  candles on each side of the swings the displacement breaks
+// displacement   close-to-close move, in average moves, that displaces
+// lookback       candles in the average move
+// maxLegCandles  how many candles before the break the block may be
+// meanThreshold  the 50% level mitigates and invalidates instead of the far edge
+// breakers       invalidated blocks turn into breaker blocks the other way
+// breakerWeight  confluence per breaker a signal trades into (blocks count 1.5)
+export const DEFAULT_ORDER_BLOCKS = {
+  definition: 'ict',
+  swingStrength: 2,
+  displacement: 1.5,
+  lookback: 20,
+  maxLegCandles: 10,
+  meanThreshold: false,
+  breakers: true,
+  breakerWeight: 1
+};
+
+// Follows `zone` from `fromIndex` and returns the index of each lifecycle
+// step (null when not reached); one candle can take several. The zone is
+// usable for confluence until it is mitigated (`expiredIndex`).
+const trackLifecycle = (zone, data, fromIndex, meanThreshold, barMs) => {
+  const bullish = zone.type === 'bullish';
+  const { high, low, close } = data;
+  const limit = meanThreshold ? zone.meanThreshold : bullish ? zone.low : zone.high;
+  let testedIndex = null;
+  let mitigatedIndex = null;
+  let invalidatedIndex = null;
+  for (let j = fromIndex; j < data.length && invalidatedIndex === null; j++) {
+    // How far into the zone price traded.
+    const reach = bullish ? low[j] : high[j];
+    if (testedIndex === null && (bullish ? reach <= zone.high : reach >= zone.low)) testedIndex = j;
+    if (mitigatedIndex === null && (bullish ? reach <= limit : reach >= limit)) mitigatedIndex = j;
+    if (bullish ? close[j] < limit : close[j] > limit) invalidatedIndex = j;
+  }
+  return {
+    testedIndex,
+    mitigatedIndex,
+    invalidatedIndex,
+    expiredIndex: mitigatedIndex,
+    expiredAt: mitigatedIndex === null ? null : barCloseTime(data, mitigatedIndex, barMs),
+    expiry: mitigatedIndex === null ? null : mitigatedIndex === invalidatedIndex ? 'invalidated' : 'mitigated'
+  };
+};
+
+const zoneAt = (data, j, kind, type, formedIndex, barMs) => ({
+  kind,
+  type,
+  index: j,
+  high: data.high[j],
+  low: data.low[j],
+  meanThreshold: (data.high[j] + data.low[j]) / 2,
+  timestamp: new Date(data.time[j]),
+  formedAt: barCloseTime(data, formedIndex, barMs),
+  formedIndex
+});
+
+// Blocks (`kind: 'orderBlock'`) and breakers (`kind: 'breaker'`), ordered
+// by the candle that confirmed them (`formedIndex`): the structure break
+// for a block, the invalidating close for a breaker. Each carries
+// meanThreshold, its lifecycle indices from trackLifecycle and, for
+// blocks, the `structure` event ('BOS' or 'CHoCH') that made it.
+export const detectOrderBlocks = (data, settings = DEFAULT_ORDER_BLOCKS, barMs = TIMEFRAME_MS.h4) => {
+  const { open, close } = data;
+  const { events } = structureOf(data, { swingStrength: settings.swingStrength, breakOn: 'close' });
+  const avgMoves = cached(data, `averageMove:${settings.lookback}`, () => averageMove(close, settings.lookback));
+  const zones = [];
+  const used = new Set();
+
+  events.forEach(event => {
+    const dir = event.direction === 'bullish' ? 1 : -1;
+    const k = event.index;
+    let j = k - 1;
+    while (j >= 0 && k - j <= settings.maxLegCandles && dir * (close[j] - open[j]) >= 0) j--;
+    if (j < 0 || k - j > settings.maxLegCandles || used.has(j)) return;
+
+    let displaced = false;
+    for (let m = j + 1; m <= k && !displaced; m++) {
+      displaced = dir * (close[m] - close[m - 1]) > settings.displacement * avgMoves[m];
+    }
+    if (!displaced) return;
+    used.add(j);
+
+    const block = zoneAt(data, j, 'orderBlock', event.direction, k, barMs);
+    const lifecycle = trackLifecycle(block, data, k + 1, settings.meanThreshold, barMs);
+    zones.push({ ...block, structure: event.type, ...lifecycle });
+
+    if (settings.breakers && lifecycle.invalidatedIndex !== null) {
+      const v = lifecycle.invalidatedIndex;
+      const breaker = zoneAt(data, j, 'breaker', dir === 1 ? 'bearish' : 'bullish', v, barMs);
+      zones.push({ ...breaker, ...trackLifecycle(breaker, data, v + 1, settings.meanThreshold, barMs) });
+    }
+  });
+  return zones.sort((a, b) => a.formedIndex - b.formedIndex);
+};
+
+// ORDER_BLOCK_STATES entry of a block or breaker as of the close of
+// candle `index`, or null before it formed.
+export const orderBlockState = (zone, index) => {
+  if (index < zone.formedIndex) return null;
+  if (zone.invalidatedIndex !== null && index >= zone.invalidatedIndex) return 'invalidated';
+  if (zone.mitigatedIndex !== null && index >= zone.mitigatedIndex) return 'mitigated';
+  if (zone.testedIndex !== null && index >= zone.testedIndex) return 'tested';
+  return 'fresh';
+};
@@ -0,0 +1,71 @@
+import { detectOrderBlocks, orderBlockState, DEFAULT_ORDER_BLOCKS } from './orderBlocks.js';
+import { calculateConfluence } from './detectors.js';
+import { TIMEFRAME_MS } from './timeframes.js';
+import { START, EURUSD, pipCandles } from './__fixtures__/candles.js';
+
+const H4 = TIMEFRAME_MS.h4;
+const SETTINGS = { ...DEFAULT_ORDER_BLOCKS, swingStrength: 1, lookback: 3 };
+
+// Candle 4 displaces above the swing high at 2, making 3 (3-9) a bullish
+// block. Price taps it at 6, reaches its 50% level at 7 and closes below
+// it at 8, a CHoCH that also leaves 5 as a bearish block. The failed
+// block is then a bearish breaker, tapped at 9 and closed above at 10.
+const data = pipCandles([
+  [0, 4, -2, 2],
+  [2, 10, 1, 8],
+  [8, 12, 6, 7],
+  [7, 9, 3, 4],
+  [4, 20, 4, 19],
+  [19, 22, 15, 21],
+  [21, 21, 8, 12],
+  [12, 14, 5, 10],
+  [10, 11, 1, 2],
+  [2, 6, 0, 5],
+  [5, 10, 4, 9.5]
+], { barMs: H4 });
+
+const lifecycle = ({ kind, type, index, formedIndex, testedIndex, mitigatedIndex, invalidatedIndex }) =>
+  [kind, type, index, formedIndex, testedIndex, mitigatedIndex, invalidatedIndex];
+
+test('blocks are the last opposing candle before a structure-breaking displacement', () => {
+  const zones = detectOrderBlocks(data, SETTINGS, H4);
+
+  expect(zones.map(lifecycle)).toEqual([
+    ['orderBlock', 'bullish', 3, 4, 6, 8, 8],
+    ['breaker', 'bearish', 3, 8, 9, 10, 10],
+    ['orderBlock', 'bearish', 5, 8, null, null, null]
+  ]);
+  expect(zones[0]).toMatchObject({ structure: 'BOS', expiredIndex: 8, expiry: 'invalidated', formedAt: START + 5 * H4 });
+  expect(zones[0].meanThreshold).toBeCloseTo(1.1006, 10);
+  expect(zones[2].structure).toBe('CHoCH');
+});
+
+test('lifecycle states follow the block candle by candle', () => {
+  const [block] = detectOrderBlocks(data, SETTINGS, H4);
+  expect([3, 4, 5, 6, 7, 8, 9].map(i => orderBlockState(block, i)))
+    .toEqual([null, 'fresh', 'fresh', 'tested', 'tested', 'invalidated', 'invalidated']);
+});
+
+test('with mean thresholds the 50% level mitigates and invalidates', () => {
+  const [block, breaker] = detectOrderBlocks(data, { ...SETTINGS, meanThreshold: true }, H4);
+
+  expect(lifecycle(block)).toEqual(['orderBlock', 'bullish', 3, 4, 6, 7, 8]);
+  expect(block.expiry).toBe('mitigated');
+  expect(orderBlockState(block, 7)).toBe('mitigated');
+  expect(lifecycle(breaker)).toEqual(['breaker', 'bearish', 3, 8, 9, 9, 10]);
+});
+
+test('a weak move or a disabled conversion makes no block or breaker', () => {
+  expect(detectOrderBlocks(data, { ...SETTINGS, displacement: 20 }, H4)).toEqual([]);
+  expect(detectOrderBlocks(data, { ...SETTINGS, breakers: false }, H4).map(z => z.kind)).toEqual(['orderBlock', 'orderBlock']);
+});
+
+test('breakers score their own confluence weight', () => {
+  const zone = { type: 'bearish', high: 1.1009, low: 1.1003 };
+  const signal = { type: 'short', price: 1.1005 };
+
+  expect(calculateConfluence(signal, { obs: [{ ...zone, kind: 'orderBlock' }] }, EURUSD)).toBe(1.5);
+  expect(calculateConfluence(signal, { obs: [{ ...zone, kind: 'breaker' }] }, EURUSD)).toBe(1);
+  expect(calculateConfluence(signal, { obs: [{ ...zone, kind: 'breaker' }] }, EURUSD, undefined, undefined,
+    { ...DEFAULT_ORDER_BLOCKS, breakerWeight: 2 })).toBe(2);
+});
@@ -0,0 +1,460 @@
+import Papa from 'papaparse';
+import { DEFAULT_SOURCE_TIMEZONE, wallTimeToUtc } from './timezones.js';
+import { createSeries, createSeriesBuilder, createTickSeries, createTickBuilder } from './series.js';
+
+// Column roles a mapping can assign. Either `datetime` or `date` (plus an
+// optional `time`) must be mapped, as well as the four prices.
+export const COLUMN_ROLES = ['datetime', 'date', 'time', 'open', 'high', 'low', 'close', 'volume', 'spread'];
+
+// Roles for tick files (`kind: 'ticks'`): a date plus both quotes.
+export const TICK_COLUMN_ROLES = ['datetime', 'date', 'time', 'bid', 'ask'];
+
+export const DATE_FORMATS = {
+  ymd: 'Year-Month-Day',
+  dmy: 'Day-Month-Year',
+  mdy: 'Month-Day-Year',
+  unix: 'Unix seconds',
+  unixMs: 'Unix milliseconds'
+};
+
+export const REJECT_REASONS = {
+  columns: 'Missing columns',
+  datetime: 'Unreadable date/time',
+  price: 'Missing or non-positive price',
+  range: 'High below low',
+  quote: 'Ask below bid',
+  year: 'Dated before 2000'
+};
+
+const DELIMITERS = [',', '\t', ';', '|'];
+const SAMPLE_ROWS = 50;
+const MAX_REJECT_SAMPLES = 5;
+const PREVIEW_ROWS = 6;
+// Characters parsed per chunk when streaming a file.
+const CHUNK_SIZE = 1024 * 1024;
+
+// Header names seen in MT5, TradingView, Dukascopy, NinjaTrader and cTrader
+// exports, normalised by `normalizeHeader`. Earlier entries win, so MT5's
+// tick volume is preferred over its (usually zero) real volume.
+const HEADER_ALIASES = {
+  datetime: ['datetime', 'date time', 'timestamp', 'gmt time', 'local time', 'time utc', 'time eet', 'date/time', 'open time'],
+  date: ['date', 'day'],
+  time: ['time', 'hour'],
+  open: ['open', 'o', 'open price', 'bid open'],
+  high: ['high', 'h', 'high price', 'bid high'],
+  low: ['low', 'l', 'low price', 'bid low'],
+  close: ['close', 'c', 'close price', 'bid close', 'last'],
+  volume: ['tickvol', 'tick volume', 'tickvolume', 'volume', 'vol', 'tick count'],
+  spread: ['spread'],
+  bid: ['bid', 'bid price'],
+  ask: ['ask', 'ask price']
+};
+
+const normalizeHeader = (cell) =>
+  String(cell).toLowerCase().replace(/[<>()[\]]/g, '').replace(/[_\s]+/g, ' ').trim();
+
+const isMapped = (column) => column !== undefined && column !== null && column !== '';
+
+const YMD = /^(\d{4})[.\-/](\d{1,2})[.\-/](\d{1,2})$/;
+const COMPACT_YMD = /^(\d{4})(\d{2})(\d{2})$/;
+const DAY_FIRST = /^(\d{1,2})[.\-/](\d{1,2})[.\-/](\d{4})$/;
+const CLOCK = /^(\d{1,2}):(\d{2})(?::(\d{2})(?:[.,](\d+))?)?$/;
+const COMPACT_CLOCK = /^(\d{2})(\d{2})(\d{2})?$/;
+const ZONED_ISO = /^\d{4}-\d{2}-\d{2}T.+(Z|[+-]\d{2}:?\d{2})$/;
+const UNIX = /^\d{10}(\.\d+)?$/;
+const UNIX_MS = /^\d{13}$/;
+
+const splitDateTime = (text) => {
+  const [date, time = ''] = text.trim().split(/[T\s]+/);
+  return { date, time };
+};
+
+const parseDatePart = (text, format) => {
+  let m = YMD.exec(text) || COMPACT_YMD.exec(text);
+  if (m) return { y: +m[1], m: +m[2], d: +m[3] };
+  m = DAY_FIRST.exec(text);
+  if (!m) return null;
+  return format === 'mdy' ? { y: +m[3], m: +m[1], d: +m[2] } : { y: +m[3], m: +m[2], d: +m[1] };
+};
+
+const parseTimePart = (text) => {
+  if (!text) return { h: 0, min: 0, s: 0, ms: 0 };
+  let m = CLOCK.exec(text);
+  if (m) return { h: +m[1], min: +m[2], s: +(m[3] || 0), ms: m[4] ? Math.round(Number(`0.${m[4]}`) * 1000) : 0 };
+  m = COMPACT_CLOCK.exec(text);
+  if (!m) return null;
+  return { h: +m[1], min: +m[2], s: +(m[3] || 0), ms: 0 };
+};
+
+// Date from a date cell and optional time cell (or one combined cell).
+// Wall-clock values are read in `timeZone` (a preset from timezones.js or
+// an IANA name); Unix times and ISO strings with a zone are exact.
+export const parseDateTime = (dateText, timeText, format, timeZone = DEFAULT_SOURCE_TIMEZONE) => {
+  const text = String(dateText || '').trim();
+  if (format === 'unix' || format === 'unixMs') {
+    const n = Number(text);
+    return Number.isFinite(n) ? new Date(format === 'unix' ? n * 1000 : n) : null;
+  }
+  if (ZONED_ISO.test(text)) {
+    const d = new Date(text);
+    return isNaN(d.getTime()) ? null : d;
+  }
+
+  const parts = timeText === undefined ? splitDateTime(text) : { date: text, time: String(timeText).trim() };
+  const date = parseDatePart(parts.date, format);
+  const clock = parseTimePart(parts.time);
+  if (!date || !clock) return null;
+
+  // Reject roll-overs such as 31.02 or 25:00.
+  const wall = new Date(Date.UTC(date.y, date.m - 1, date.d, clock.h, clock.min, clock.s));
+  if (wall.getUTCMonth() !== date.m - 1 || wall.getUTCDate() !== date.d || wall.getUTCHours() !== clock.h) return null;
+  return new Date(wallTimeToUtc(date.y, date.m, date.d, clock.h, clock.min, clock.s, timeZone) + clock.ms);
+};
+
+// Picks the date format from sample date cells. Day-first and month-first
+// dates can only be told apart by a component above 12; when none is, the
+// separator decides (dots are day-first, slashes month-first) and the
+// result is flagged as ambiguous.
+export const detectDateFormat = (samples) => {
+  const values = samples.map(s => String(s).trim()).filter(Boolean);
+  if (values.length === 0) return { format: 'ymd', ambiguous: true };
+  if (values.every(v => UNIX_MS.test(v))) return { format: 'unixMs', ambiguous: false };
+  if (values.every(v => UNIX.test(v))) return { format: 'unix', ambiguous: false };
+
+  const dates = values.map(v => splitDateTime(v).date);
+  if (dates.every(d => YMD.test(d) || COMPACT_YMD.test(d) || ZONED_ISO.test(d))) {
+    return { format: 'ymd', ambiguous: false };
+  }
+
+  let firstOver12 = false;
+  let secondOver12 = false;
+  for (const d of dates) {
+    const m = DAY_FIRST.exec(d);
+    if (!m) continue;
+    if (+m[1] > 12) firstOver12 = true;
+    if (+m[2] > 12) secondOver12 = true;
+  }
+  if (firstOver12 && !secondOver12) return { format: 'dmy', ambiguous: false };
+  if (secondOver12 && !firstOver12) return { format: 'mdy', ambiguous: false };
+  return { format: dates[0].includes('/') ? 'mdy' : 'dmy', ambiguous: true };
+};
+
+const looksLikeDate = (cell) => {
+  const text = String(cell).trim();
+  const { date } = splitDateTime(text);
+  return YMD.test(date) || COMPACT_YMD.test(date) || DAY_FIRST.test(date) || UNIX.test(text) || UNIX_MS.test(text);
+};
+
+const isNumeric = (cell) => cell !== '' && Number.isFinite(Number(String(cell).replace(',', '.')));
+
+const cleanCell = (cell) => String(cell ?? '').replace(/[<>]/g, '').trim();
+
+// Column layout for files without a header row: MT5 order
+// (<DATE> <TIME> <OPEN> ... <SPREAD>), MT5 daily (no time), or a single
+// datetime column followed by OHLC(V) as most other platforms write it.
+const positionalColumns = (row, isDaily) => {
+  const hasTimeColumn = row.length > 1 && (CLOCK.test(row[1]) || (COMPACT_CLOCK.test(row[1]) && COMPACT_YMD.test(row[0])));
+  if (hasTimeColumn) {
+    return { date: 0, time: 1, open: 2, high: 3, low: 4, close: 5, volume: 6, spread: row.length > 8 ? 8 : null };
+  }
+  if (isDaily && !/[T\s]/.test(row[0].trim())) {
+    return { date: 0, open: 1, high: 2, low: 3, close: 4, volume: 5, spread: row.length > 7 ? 7 : null };
+  }
+  return { datetime: 0, open: 1, high: 2, low: 3, close: 4, volume: row.length > 5 ? 5 : null };
+};
+
+// Tick files: MT5 (<DATE> <TIME> <BID> <ASK> ...) or a datetime column
+// followed by bid and ask.
+const positionalTickColumns = (row) => {
+  const hasTimeColumn = row.length > 1 && (CLOCK.test(row[1]) || (COMPACT_CLOCK.test(row[1]) && COMPACT_YMD.test(row[0])));
+  return hasTimeColumn ? { date: 0, time: 1, bid: 2, ask: 3 } : { datetime: 0, bid: 1, ask: 2 };
+};
+
+const headerColumns = (header, roles) => {
+  const names = header.map(normalizeHeader);
+  const columns = {};
+  roles.forEach(role => {
+    for (const alias of HEADER_ALIASES[role]) {
+      const idx = names.indexOf(alias);
+      if (idx !== -1 && !Object.values(columns).includes(idx)) {
+        columns[role] = idx;
+        break;
+      }
+    }
+  });
+  // TradingView and cTrader call their single datetime column "time".
+  if (columns.date === undefined && columns.datetime === undefined && columns.time !== undefined) {
+    columns.datetime = columns.time;
+    delete columns.time;
+  }
+  return columns;
+};
+
+const PRICE_ROLES = { bars: ['open', 'high', 'low', 'close'], ticks: ['bid', 'ask'] };
+
+const missingColumns = (columns, kind = 'bars') => {
+  const issues = [];
+  if (!isMapped(columns.datetime) && !isMapped(columns.date)) issues.push('No date column found');
+  PRICE_ROLES[kind].forEach(role => {
+    if (!isMapped(columns[role])) issues.push(`No ${role} column found`);
+  });
+  return issues;
+};
+
+// Best-guess mapping for parsed rows. `issues` lists what could not be
+// decided; the app shows a column-mapping preview when it is non-empty.
+// `kind` is 'bars' (OHLC candles) or 'ticks' (bid/ask quotes).
+export const guessMapping = (rows, { isDaily = false, delimiter = '\t', kind = 'bars' } = {}) => {
+  const first = (rows[0] || []).map(cleanCell);
+  const hasHeader = first.length > 0 && !first.some(cell => isNumeric(cell) || looksLikeDate(cell));
+  const dataRows = rows.slice(hasHeader ? 1 : 0, (hasHeader ? 1 : 0) + SAMPLE_ROWS).map(r => r.map(cleanCell));
+  const columns = hasHeader
+    ? headerColumns(first, kind === 'ticks' ? TICK_COLUMN_ROLES : COLUMN_ROLES)
+    : kind === 'ticks' ? positionalTickColumns(dataRows[0] || []) : positionalColumns(dataRows[0] || [], isDaily);
+
+  const issues = missingColumns(columns, kind);
+  const dateColumn = isMapped(columns.datetime) ? columns.datetime : columns.date;
+  const { format, ambiguous } = detectDateFormat(isMapped(dateColumn) ? dataRows.map(r => r[dateColumn] || '') : []);
+  if (isMapped(dateColumn) && ambiguous) {
+    issues.push(`Cannot tell whether dates are ${DATE_FORMATS.dmy} or ${DATE_FORMATS.mdy}`);
+  }
+
+  return { mapping: { delimiter, hasHeader, columns, dateFormat: format }, issues };
+};
+
+const toNumber = (cell, delimiter) => {
+  if (cell === undefined || cell === '') return NaN;
+  // Decimal commas only occur when the comma is not the delimiter.
+  return parseFloat(delimiter === ',' ? cell : cell.replace(',', '.'));
+};
+
+// Counts rejected rows by reason (see REJECT_REASONS), keeping the first
+// few as examples.
+const createRejects = (delimiter) => {
+  const byReason = {};
+  const samples = [];
+  let total = 0;
+  return {
+    reject: (reason, line, row) => {
+      total++;
+      byReason[reason] = (byReason[reason] || 0) + 1;
+      if (samples.length < MAX_REJECT_SAMPLES) samples.push({ line, reason, text: row.join(delimiter) });
+    },
+    summary: () => ({ total, byReason, samples })
+  };
+};
+
+const readTimestamp = (row, { columns, dateFormat }, timeZone) => (isMapped(columns.datetime)
+  ? parseDateTime(row[columns.datetime], undefined, dateFormat, timeZone)
+  : parseDateTime(row[columns.date], isMapped(columns.time) ? row[columns.time] : undefined, dateFormat, timeZone));
+
+// Converts parsed rows into a candle series using `mapping`, with
+// timestamps in UTC. Rejected rows are counted by reason. Rows can be fed
+// in chunks; `firstLine` is the file line of `rows[0]`.
+const createCandleReader = (mapping, timeZone) => {
+  const { columns, delimiter } = mapping;
+  const builder = createSeriesBuilder();
+  const { reject, summary } = createRejects(delimiter);
+
+  const dateColumn = isMapped(columns.datetime) ? columns.datetime : columns.date;
+  const minLength = Math.max(dateColumn, columns.open, columns.high, columns.low, columns.close) + 1;
+
+  const read = (rows, firstLine, from = 0) => {
+    for (let i = from; i < rows.length; i++) {
+      const row = rows[i].map(cleanCell);
+      const line = firstLine + i;
+      if (row.length < minLength) {
+        reject('columns', line, row);
+        continue;
+      }
+
+      const timestamp = readTimestamp(row, mapping, timeZone);
+      if (!timestamp) {
+        reject('datetime', line, row);
+        continue;
+      }
+
+      const open = toNumber(row[columns.open], delimiter);
+      const high = toNumber(row[columns.high], delimiter);
+      const low = toNumber(row[columns.low], delimiter);
+      const close = toNumber(row[columns.close], delimiter);
+      if (![open, high, low, close].every(p => p > 0)) {
+        reject('price', line, row);
+      } else if (high < low) {
+        reject('range', line, row);
+      } else if (timestamp.getUTCFullYear() < 2000) {
+        reject('year', line, row);
+      } else {
+        builder.push(
+          timestamp.getTime(),
+          open,
+          high,
+          low,
+          close,
+          isMapped(columns.volume) ? toNumber(row[columns.volume], delimiter) || 0 : 0,
+          isMapped(columns.spread) && row[columns.spread] !== undefined ? toNumber(row[columns.spread], delimiter) : NaN
+        );
+      }
+    }
+  };
+
+  return {
+    read,
+    finish: () => ({ candles: builder.finish(), rejected: summary() })
+  };
+};
+
+// Like createCandleReader for bid/ask ticks. MT5 leaves a quote empty when
+// only the other side changed, so empty quotes carry the last one forward.
+const createTickReader = (mapping, timeZone) => {
+  const { columns, delimiter } = mapping;
+  const builder = createTickBuilder();
+  const { reject, summary } = createRejects(delimiter);
+  let bid = NaN;
+  let ask = NaN;
+
+  const dateColumn = isMapped(columns.datetime) ? columns.datetime : columns.date;
+  const minLength = Math.max(dateColumn, columns.bid, columns.ask) + 1;
+
+  const read = (rows, firstLine, from = 0) => {
+    for (let i = from; i < rows.length; i++) {
+      const row = rows[i].map(cleanCell);
+      const line = firstLine + i;
+      if (row.length < minLength) {
+        reject('columns', line, row);
+        continue;
+      }
+
+      const timestamp = readTimestamp(row, mapping, timeZone);
+      if (!timestamp) {
+        reject('datetime', line, row);
+        continue;
+      }
+
+      const rowBid = row[columns.bid] === '' ? bid : toNumber(row[columns.bid], delimiter);
+      const rowAsk = row[columns.ask] === '' ? ask : toNumber(row[columns.ask], delimiter);
+      if (!(rowBid > 0 && rowAsk > 0)) {
+        reject('price', line, row);
+      } else if (rowAsk < rowBid) {
+        reject('quote', line, row);
+      } else if (timestamp.getUTCFullYear() < 2000) {
+        reject('year', line, row);
+      } else {
+        bid = rowBid;
+        ask = rowAsk;
+        builder.push(timestamp.getTime(), bid, ask);
+      }
+    }
+  };
+
+  return {
+    read,
+    finish: () => ({ ticks: builder.finish(), rejected: summary() })
+  };
+};
+
+const READERS = {
+  bars: { create: createCandleReader, empty: () => ({ candles: createSeries(0) }) },
+  ticks: { create: createTickReader, empty: () => ({ ticks: createTickSeries(0) }) }
+};
+
+export const rowsToCandles = (rows, mapping, timeZone = DEFAULT_SOURCE_TIMEZONE) => {
+  const reader = createCandleReader(mapping, timeZone);
+  reader.read(rows, 1, mapping.hasHeader ? 1 : 0);
+  return reader.finish();
+};
+
+// Incremental import over rows arriving in file order. The mapping is
+// guessed from the first rows unless one is given; pass the (possibly
+// user-edited) mapping back in to re-import.
+const createImport = ({ isDaily = false, mapping = null, timeZone = DEFAULT_SOURCE_TIMEZONE, kind = 'bars' }) => {
+  let guessed = null;
+  let reader = null;
+  let seen = 0;
+  const preview = [];
+
+  const add = (rows, delimiter) => {
+    if (!guessed) {
+      guessed = mapping ? { mapping, issues: missingColumns(mapping.columns, kind) } : guessMapping(rows, { isDaily, delimiter, kind });
+      if (missingColumns(guessed.mapping.columns, kind).length === 0) reader = READERS[kind].create(guessed.mapping, timeZone);
+    }
+    for (let i = 0; i < rows.length && preview.length < PREVIEW_ROWS; i++) preview.push(rows[i].map(cleanCell));
+    if (reader) reader.read(rows, seen + 1, seen === 0 && guessed.mapping.hasHeader ? 1 : 0);
+    seen += rows.length;
+  };
+
+  const finish = (delimiter) => {
+    if (!guessed) add([], delimiter);
+    const result = reader ? reader.finish() : { ...READERS[kind].empty(), rejected: { total: 0, byReason: {}, samples: [] } };
+    return {
+      ...result,
+      mapping: guessed.mapping,
+      issues: guessed.issues,
+      needsMapping: guessed.issues.length > 0,
+      preview,
+      rowCount: Math.max(0, seen - (guessed.mapping.hasHeader ? 1 : 0))
+    };
+  };
+
+  return { add, finish };
+};
+
+// Parses rows Papa.parse produced.
+//
+// Returns { candles, mapping, issues, needsMapping, rejected, preview,
+// rowCount } with `candles` a series (see series.js). With `kind: 'ticks'`
+// the quotes come back as `ticks`, a tick series, instead.
+export const importRows = (rows, { isDaily = false, mapping = null, delimiter = '\t', timeZone, kind = 'bars' } = {}) => {
+  const run = createImport({ isDaily, mapping, timeZone, kind });
+  run.add(rows, delimiter);
+  return run.finish(delimiter);
+};
+
+// `input` is a browser File or the CSV text itself (Node). It is parsed in
+// chunks straight into a series, so only one chunk of rows is held at a
+// time; `onProgress(loaded, total)` reports characters read after each.
+// The delimiter is sniffed unless `mapping` fixes it; `timeZone` is the
+// zone the file's wall-clock times are in. Resolves like `importRows`.
+export const importCSV = (input, { isDaily = false, mapping = null, timeZone = DEFAULT_SOURCE_TIMEZONE, onProgress = null, kind = 'bars' } = {}) => {
+  const total = typeof input === 'string' ? input.length : input.size;
+  return new Promise((resolve, reject) => {
+    const run = createImport({ isDaily, mapping, timeZone, kind });
+    let delimiter = mapping ? mapping.delimiter : '\t';
+    Papa.parse(input, {
+      header: false,
+      skipEmptyLines: 'greedy',
+      delimiter: mapping ? mapping.delimiter : '',
+      delimitersToGuess: DELIMITERS,
+      chunkSize: CHUNK_SIZE,
+      chunk: (results, parser) => {
+        try {
+          delimiter = mapping ? mapping.delimiter : results.meta.delimiter;
+          run.add(results.data, delimiter);
+          if (onProgress) onProgress(Math.min(results.meta.cursor, total), total);
+        } catch (error) {
+          parser.abort();
+          reject(error);
+        }
+      },
+      complete: () => {
+        try {
+          resolve(run.finish(delimiter));
+        } catch (error) {
+          reject(error);
+        }
+      },
+      error: reject
+    });
+  });
+};
+
+export const parseCSV = async (input, isDaily = false, timeZone = DEFAULT_SOURCE_TIMEZONE) =>
+  (await importCSV(input, { isDaily, timeZone })).candles;
+
+// One-line summary of rejected rows, e.g. "12 rows rejected: 10 Unreadable
+// date/time, 2 High below low".
+export const describeRejected = (rejected) => {
+  if (rejected.total === 0) return '';
+  const parts = Object.entries(rejected.byReason).map(([reason, n]) => `${n} ${REJECT_REASONS[reason]}`);
+  return `${rejected.total} row${rejected.total === 1 ? '' : 's'} rejected: ${parts.join(', ')}`;
+};
@@ -0,0 +1,180 @@
+import { parseCSV, importCSV, detectDateFormat, describeRejected } from './parser.js';
+import { candleAt, toCandles } from './series.js';
+import { candlesFromCloses, waveCandles, toMt5Csv } from './__fixtures__/candles.js';
+
+describe('parseCSV', () => {
+  test('parses an MT5 tab export including the spread column', async () => {
+    const candles = candlesFromCloses([1.1, 1.1005, 1.101]);
+    const parsed = toCandles(await parseCSV(toMt5Csv(candles)));
+
+    expect(parsed).toHaveLength(3);
+    expect(parsed[1]).toMatchObject({
+      date: '2024.01.01',
+      time: '00:05',
+      open: 1.1,
+      close: 1.1005,
+      spread: 12
+    });
+    expect(parsed[1].timestamp.getTime() - parsed[0].timestamp.getTime()).toBe(5 * 60 * 1000);
+  });
+
+  test('drops rows with missing or impossible prices', async () => {
+    const text = [
+      '<DATE>\t<TIME>\t<OPEN>\t<HIGH>\t<LOW>\t<CLOSE>',
+      '2024.01.02\t00:00\t1.1\t1.2\t1.0\t1.15',
+      '2024.01.02\t00:05\t1.1\t1.0\t1.2\t1.15',
+      '2024.01.02\t00:10\tabc\t1.2\t1.0\t1.15',
+      '2024.01.02\t00:15\t1.1\t1.2'
+    ].join('\n');
+
+    const parsed = toCandles(await parseCSV(text));
+    expect(parsed).toHaveLength(1);
+    expect(parsed[0].spread).toBeNull();
+  });
+
+  test('reads daily exports without a time column', async () => {
+    const text = [
+      '<DATE>\t<OPEN>\t<HIGH>\t<LOW>\t<CLOSE>\t<TICKVOL>\t<VOL>\t<SPREAD>',
+      '2024.01.02\t1.1\t1.12\t1.09\t1.11\t5000\t0\t8'
+    ].join('\n');
+
+    const [candle] = toCandles(await parseCSV(text, true));
+    expect(candle).toMatchObject({ date: '2024.01.02', time: '00:00', high: 1.12, low: 1.09, spread: 8 });
+  });
+});
+
+describe('importCSV', () => {
+  const summary = (c) => `${c.date} ${c.time} ${c.open} ${c.close}`;
+
+  test.each([
+    ['TradingView (unix seconds)', 'time,open,high,low,close,Volume\n1704153900,1.1,1.2,1.0,1.15,5', ','],
+    ['Dukascopy', 'Gmt time,Open,High,Low,Close,Volume\n13.01.2024 00:05:00.000,1.1,1.2,1.0,1.15,5', ','],
+    ['NinjaTrader', '20240113 000500;1.1;1.2;1.0;1.15;100', ';'],
+    ['cTrader (ISO)', 'Date|Open|High|Low|Close\n2024-01-13T00:05:00|1.1|1.2|1.0|1.15', '|']
+  ])('reads %s exports', async (_, text, delimiter) => {
+    const result = await importCSV(text);
+
+    expect(result.mapping.delimiter).toBe(delimiter);
+    expect(result.needsMapping).toBe(false);
+    expect(result.candles).toHaveLength(1);
+    expect(result.candles.open[0]).toBe(1.1);
+    expect(result.candles.close[0]).toBe(1.15);
+  });
+
+  test('reads decimal commas when the comma is not the delimiter', async () => {
+    const { candles } = await importCSV('Date;Time;Open;High;Low;Close\n13/01/2024;00:05;1,1;1,2;1,0;1,15');
+    expect(summary(candleAt(candles, 0))).toBe('2024.01.13 00:05 1.1 1.15');
+  });
+
+  test('asks for a mapping when day and month order cannot be told apart', async () => {
+    const text = 'Gmt time,Open,High,Low,Close\n02.01.2024 00:05,1.1,1.2,1.0,1.15';
+    const guessed = await importCSV(text);
+    expect(guessed.needsMapping).toBe(true);
+    expect(guessed.mapping.dateFormat).toBe('dmy');
+
+    const mapped = await importCSV(text, { mapping: { ...guessed.mapping, dateFormat: 'mdy' } });
+    expect(mapped.needsMapping).toBe(false);
+    expect(summary(candleAt(mapped.candles, 0))).toBe('2024.02.01 00:05 1.1 1.15');
+  });
+
+  test('asks for a mapping when the columns are not recognised', async () => {
+    const result = await importCSV('a,b,c,d,e\nx,1.1,1.2,1.0,1.15');
+    expect(result.needsMapping).toBe(true);
+    expect(result.candles).toHaveLength(0);
+    expect(result.preview[1]).toEqual(['x', '1.1', '1.2', '1.0', '1.15']);
+  });
+
+  test('counts rejected rows by reason', async () => {
+    const text = [
+      'Date,Time,Open,High,Low,Close',
+      '2024.01.02,00:00,1.1,1.2,1.0,1.15',
+      '2024.01.02,00:05,1.1,1.0,1.2,1.15',
+      '2024.02.31,00:10,1.1,1.2,1.0,1.15',
+      '2024.01.02,00:15,0,1.2,1.0,1.15',
+      '2024.01.02,00:20,1.1'
+    ].join('\n');
+
+    const { candles, rejected } = await importCSV(text);
+    expect(candles).toHaveLength(1);
+    expect(rejected.byReason).toEqual({ range: 1, datetime: 1, price: 1, columns: 1 });
+    expect(rejected.samples[0]).toMatchObject({ line: 3, reason: 'range' });
+    expect(describeRejected(rejected)).toBe(
+      '4 rows rejected: 1 High below low, 1 Unreadable date/time, 1 Missing or non-positive price, 1 Missing columns'
+    );
+  });
+
+  test('keeps rows from 2000 on and rejects earlier ones', async () => {
+    const text = [
+      'Date,Time,Open,High,Low,Close',
+      '1999.06.01,00:00,1.1,1.2,1.0,1.15',
+      '2000.06.01,00:00,1.1,1.2,1.0,1.15'
+    ].join('\n');
+
+    const { candles, rejected } = await importCSV(text);
+    expect(toCandles(candles).map(c => c.date)).toEqual(['2000.06.01']);
+    expect(rejected.byReason).toEqual({ year: 1 });
+  });
+
+  test('streams large files in chunks into typed-array columns', async () => {
+    // About 1.3 MB, so more than one parse chunk.
+    const lines = toMt5Csv(waveCandles(25000)).split('\n');
+    lines.splice(20001, 0, '2024.03.01\t00:00\tbad');
+    const progress = [];
+    const result = await importCSV(lines.join('\n'), { onProgress: (loaded, total) => progress.push([loaded, total]) });
+
+    expect(progress.length).toBeGreaterThan(1);
+    expect(progress[0][0]).toBeLessThan(progress[0][1]);
+    expect(progress[progress.length - 1][0]).toBe(progress[progress.length - 1][1]);
+    expect(result.candles).toHaveLength(25000);
+    expect(result.candles.close).toBeInstanceOf(Float64Array);
+    expect(result.rowCount).toBe(25001);
+    expect(result.rejected.samples[0]).toMatchObject({ line: 20002, reason: 'columns' });
+  });
+
+  test('reads MT5 tick exports, carrying unchanged quotes forward', async () => {
+    const text = [
+      '<DATE>\t<TIME>\t<BID>\t<ASK>\t<LAST>\t<VOLUME>\t<FLAGS>',
+      '2024.01.02\t00:00:00.125\t1.10412\t1.10425\t\t\t6',
+      '2024.01.02\t00:00:00.480\t1.10415\t\t\t\t2',
+      '2024.01.02\t00:00:01.002\t\t1.10421\t\t\t4',
+      '2024.01.02\t00:00:01.300\t1.10430\t1.10420\t\t\t6'
+    ].join('\n');
+    const { ticks, mapping, rejected } = await importCSV(text, { kind: 'ticks' });
+
+    expect(mapping.columns).toMatchObject({ date: 0, time: 1, bid: 2, ask: 3 });
+    expect(Array.from(ticks.time)).toEqual([125, 480, 1002].map(ms => Date.UTC(2024, 0, 2) + ms));
+    expect(Array.from(ticks.bid)).toEqual([1.10412, 1.10415, 1.10415]);
+    expect(Array.from(ticks.ask)).toEqual([1.10425, 1.10425, 1.10421]);
+    expect(describeRejected(rejected)).toBe('1 row rejected: 1 Ask below bid');
+  });
+
+  test('maps Dukascopy tick headers', async () => {
+    const text = ['Gmt time,Ask,Bid,AskVolume,BidVolume', '15.01.2024 00:00:00.250,1.1043,1.1041,1.2,0.9'].join('\n');
+    const { ticks, needsMapping } = await importCSV(text, { kind: 'ticks' });
+
+    expect(needsMapping).toBe(false);
+    expect(ticks.time[0]).toBe(Date.UTC(2024, 0, 15) + 250);
+    expect([ticks.bid[0], ticks.ask[0]]).toEqual([1.1041, 1.1043]);
+  });
+});
+
+describe('detectDateFormat', () => {
+  test('uses components above 12 to settle day/month order', () => {
+    expect(detectDateFormat(['01/02/2024', '01/13/2024'])).toEqual({ format: 'mdy', ambiguous: false });
+    expect(detectDateFormat(['13.01.2024 00:00'])).toEqual({ format: 'dmy', ambiguous: false });
+    expect(detectDateFormat(['2024.01.02'])).toEqual({ format: 'ymd', ambiguous: false });
+    expect(detectDateFormat(['1704153900000'])).toEqual({ format: 'unixMs', ambiguous: false });
+  });
+});
+
+test('importCSV converts broker server time to UTC', async () => {
+  const text = [
+    'Date,Time,Open,High,Low,Close',
+    '2024.01.02,00:00,1.1,1.2,1.0,1.15',
+    '2024.07.02,00:00,1.1,1.2,1.0,1.15'
+  ].join('\n');
+  const { candles } = await importCSV(text, { timeZone: 'brokerNY' });
+
+  expect(toCandles(candles).map(c => c.timestamp.toISOString())).toEqual(['2024-01-01T22:00:00.000Z', '2024-07-01T21:00:00.000Z']);
+  expect(candleAt(candles, 0)).toMatchObject({ date: '2024.01.01', time: '22:00' });
+});
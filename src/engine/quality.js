@@ -0,0 +1,217 @@
+import { isWeekendClosed, TRADING_DAY_START_HOUR_NY } from './sessions.js';
+import { createSeriesBuilder, selectBars } from './series.js';
+import { TIMEFRAME_MS, nextWeeklyBoundary } from './timeframes.js';
+import { NEW_YORK } from './timezones.js';
+
+// Bars whose range or opening jump exceeds `spikeFactor` times the average
+// range of the previous `outlierLookback` bars are reported as outliers.
+// Forward-fill only closes gaps of up to `maxFillBars` bars, so holidays
+// are not turned into long flat stretches.
+export const DEFAULT_QUALITY = {
+  spikeFactor: 8,
+  outlierLookback: 100,
+  maxFillBars: 12
+};
+
+export const DATA_FIXES = {
+  sort: 'Sort by time',
+  dedupe: 'Remove duplicate timestamps',
+  dropWeekend: 'Drop weekend bars',
+  dropZeroRange: 'Drop zero-range bars',
+  dropInvalid: 'Drop bars with open/close outside high-low',
+  dropOutliers: 'Drop outlier bars',
+  fillGaps: 'Forward-fill short gaps'
+};
+
+const MAX_LISTED = 50;
+
+// A bar lies in the weekend when both its open and its last instant do, so
+// H4/Daily bars that straddle the Sunday open still count as trading bars.
+const inWeekend = (time, barMs) => isWeekendClosed(time) && isWeekendClosed(time + barMs - 1);
+
+const validOhlc = ({ open, high, low, close }, i) =>
+  open[i] <= high[i] && open[i] >= low[i] && close[i] <= high[i] && close[i] >= low[i];
+
+// Bar slots in (from, to) that fall inside trading hours, counted week by
+// week rather than slot by slot so a bad timestamp years off stays cheap.
+// A slot counts when it reaches into a trading week, which runs from the
+// Sunday to the Friday open hour in New York.
+const missingSlots = (from, to, barMs, weekendClosed) => {
+  const first = from + barMs;
+  const slots = Math.max(0, Math.ceil((to - first) / barMs));
+  if (!weekendClosed) return slots;
+  // Slots starting in [lo, hi), as indices into the gap.
+  const slotsIn = (lo, hi) => {
+    const start = Math.max(0, Math.ceil((lo - first) / barMs));
+    const end = Math.min(slots, Math.ceil((hi - first) / barMs));
+    return Math.max(0, end - start);
+  };
+  let count = 0;
+  let open = nextWeeklyBoundary(first - 8 * TIMEFRAME_MS.daily, 0, TRADING_DAY_START_HOUR_NY, NEW_YORK);
+  while (open - barMs < to) {
+    const close = nextWeeklyBoundary(open, 5, TRADING_DAY_START_HOUR_NY, NEW_YORK);
+    count += slotsIn(open - barMs + 1, close);
+    open = nextWeeklyBoundary(close, 0, TRADING_DAY_START_HOUR_NY, NEW_YORK);
+  }
+  return count;
+};
+
+const findOutliers = (candles, quality) => {
+  const { time, open, high, low, close } = candles;
+  const outliers = [];
+  let rangeSum = 0;
+  for (let i = 0; i < candles.length; i++) {
+    const range = high[i] - low[i];
+    if (i >= quality.outlierLookback) {
+      const avgRange = rangeSum / quality.outlierLookback;
+      const jump = Math.abs(open[i] - close[i - 1]);
+      if (avgRange > 0 && range > quality.spikeFactor * avgRange) {
+        outliers.push({ index: i, timestamp: new Date(time[i]), reason: 'range', size: range / avgRange });
+      } else if (avgRange > 0 && jump > quality.spikeFactor * avgRange) {
+        outliers.push({ index: i, timestamp: new Date(time[i]), reason: 'jump', size: jump / avgRange });
+      }
+      const dropped = i - quality.outlierLookback;
+      rangeSum -= high[dropped] - low[dropped];
+    }
+    rangeSum += range;
+  }
+  return outliers;
+};
+
+// Validation pass over one timeframe. `weekendClosed` is false for
+// instruments that trade 24/7 (see tradesWeekends).
+//
+// Returns { total, unsorted, duplicates, conflictingDuplicates, gaps,
+// missingBars, gapList, weekendBars, zeroRange, badOhlc, outliers,
+// outlierList, ok }. Lists are capped; the counts are not.
+export const checkDataQuality = (candles, barMs, { weekendClosed = true, ...options } = {}) => {
+  const quality = { ...DEFAULT_QUALITY, ...options };
+  let unsorted = 0;
+  let duplicates = 0;
+  let conflictingDuplicates = 0;
+  let gaps = 0;
+  let missingBars = 0;
+  let weekendBars = 0;
+  let zeroRange = 0;
+  let badOhlc = 0;
+  const gapList = [];
+  const { time, open, high, low, close } = candles;
+
+  for (let i = 0; i < candles.length; i++) {
+    const t = time[i];
+    if (weekendClosed && inWeekend(t, barMs)) weekendBars++;
+    if (high[i] === low[i]) zeroRange++;
+    if (!validOhlc(candles, i)) badOhlc++;
+    if (i === 0) continue;
+
+    const delta = t - time[i - 1];
+    if (delta < 0) {
+      unsorted++;
+    } else if (delta === 0) {
+      duplicates++;
+      if (open[i - 1] !== open[i] || high[i - 1] !== high[i] || low[i - 1] !== low[i] || close[i - 1] !== close[i]) {
+        conflictingDuplicates++;
+      }
+    } else if (delta > barMs) {
+      const missing = missingSlots(time[i - 1], t, barMs, weekendClosed);
+      if (missing > 0) {
+        gaps++;
+        missingBars += missing;
+        if (gapList.length < MAX_LISTED) gapList.push({ from: new Date(time[i - 1]), to: new Date(t), missingBars: missing });
+      }
+    }
+  }
+
+  // Outliers only make sense on an ordered series.
+  const outliers = unsorted === 0 ? findOutliers(candles, quality) : [];
+
+  return {
+    total: candles.length,
+    unsorted,
+    duplicates,
+    conflictingDuplicates,
+    gaps,
+    missingBars,
+    gapList,
+    weekendBars,
+    zeroRange,
+    badOhlc,
+    outliers: outliers.length,
+    outlierList: outliers.slice(0, MAX_LISTED),
+    ok: unsorted + duplicates + gaps + weekendBars + zeroRange + badOhlc + outliers.length === 0
+  };
+};
+
+export const tradesWeekends = (instrument) => instrument?.type === 'crypto';
+
+// Unsorted or duplicate bars break the bar-by-bar simulation outright;
+// everything else only distorts it.
+export const hasBlockingIssues = (report) => report.unsorted > 0 || report.duplicates > 0;
+
+// Fixes that would change something for `report`.
+export const applicableFixes = (report) => Object.keys(DATA_FIXES).filter(fix => ({
+  sort: report.unsorted,
+  dedupe: report.duplicates,
+  dropWeekend: report.weekendBars,
+  dropZeroRange: report.zeroRange,
+  dropInvalid: report.badOhlc,
+  dropOutliers: report.outliers,
+  fillGaps: report.gaps
+})[fix] > 0);
+
+// Returns a new series with `fixes` (keys of DATA_FIXES) applied in a fixed
+// order: sort, dedupe (first bar wins), drops, then forward-fill. Filled
+// bars are flat at the previous close with no volume and marked in the
+// `filled` column.
+export const applyFixes = (candles, fixes, barMs, { weekendClosed = true, ...options } = {}) => {
+  const quality = { ...DEFAULT_QUALITY, ...options };
+  const use = new Set(fixes);
+  const { time, high, low } = candles;
+  // Bars are picked by index and copied once the drops are known.
+  let order = Array.from({ length: candles.length }, (_, i) => i);
+
+  if (use.has('sort')) order.sort((a, b) => time[a] - time[b]);
+  if (use.has('dedupe')) order = order.filter((i, k) => k === 0 || time[i] !== time[order[k - 1]]);
+  if (use.has('dropWeekend') && weekendClosed) order = order.filter(i => !inWeekend(time[i], barMs));
+  if (use.has('dropZeroRange')) order = order.filter(i => high[i] !== low[i]);
+  if (use.has('dropInvalid')) order = order.filter(i => validOhlc(candles, i));
+  let out = selectBars(candles, order);
+  if (use.has('dropOutliers')) {
+    const drop = new Set(findOutliers(out, quality).map(o => o.index));
+    out = selectBars(out, Array.from({ length: out.length }, (_, k) => k).filter(k => !drop.has(k)));
+  }
+  if (use.has('fillGaps')) {
+    const filled = createSeriesBuilder(out.length);
+    for (let i = 0; i < out.length; i++) {
+      if (i > 0) {
+        const from = out.time[i - 1];
+        const to = out.time[i];
+        const price = out.close[i - 1];
+        if (to - from > barMs && missingSlots(from, to, barMs, weekendClosed) <= quality.maxFillBars) {
+          for (let t = from + barMs; t < to; t += barMs) {
+            if (weekendClosed && inWeekend(t, barMs)) continue;
+            filled.push(t, price, price, price, price, 0, NaN, true);
+          }
+        }
+      }
+      filled.pushFrom(out, i);
+    }
+    out = filled.finish();
+  }
+  return out;
+};
+
+// Short human-readable findings for the upload panel.
+export const describeQuality = (report) => {
+  const lines = [];
+  if (report.unsorted) lines.push(`${report.unsorted} bars out of order`);
+  if (report.duplicates) {
+    lines.push(`${report.duplicates} duplicate timestamps${report.conflictingDuplicates ? ` (${report.conflictingDuplicates} with different prices)` : ''}`);
+  }
+  if (report.gaps) lines.push(`${report.gaps} gaps, ${report.missingBars.toLocaleString()} bars missing`);
+  if (report.weekendBars) lines.push(`${report.weekendBars} weekend bars`);
+  if (report.zeroRange) lines.push(`${report.zeroRange} zero-range bars`);
+  if (report.badOhlc) lines.push(`${report.badOhlc} bars with open/close outside high-low`);
+  if (report.outliers) lines.push(`${report.outliers} outlier bars`);
+  return lines;
+};
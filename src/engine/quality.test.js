@@ -0,0 +1,131 @@
+import { checkDataQuality, applicableFixes, applyFixes, hasBlockingIssues, describeQuality } from './quality.js';
+import { TIMEFRAME_MS } from './timeframes.js';
+import { toSeries, toCandles, candleAt } from './series.js';
+import { isWeekendClosed } from './sessions.js';
+import { waveCandles, flatCandles, makeCandle } from './__fixtures__/candles.js';
+
+const M5 = TIMEFRAME_MS.m5;
+const H1 = TIMEFRAME_MS.h1;
+
+describe('checkDataQuality', () => {
+  test('passes a clean series', () => {
+    const report = checkDataQuality(waveCandles(300), M5);
+    expect(report).toMatchObject({ total: 300, ok: true, gaps: 0, outliers: 0 });
+    expect(applicableFixes(report)).toEqual([]);
+  });
+
+  test('counts unsorted bars and duplicate timestamps', () => {
+    const candles = toCandles(waveCandles(300));
+    [candles[10], candles[11]] = [candles[11], candles[10]];
+    candles.splice(50, 0, { ...candles[50], close: candles[50].open });
+    candles.splice(80, 0, { ...candles[80] });
+    const report = checkDataQuality(toSeries(candles), M5);
+
+    expect(report).toMatchObject({ unsorted: 1, duplicates: 2, conflictingDuplicates: 1, ok: false });
+    expect(hasBlockingIssues(report)).toBe(true);
+    expect(applicableFixes(report)).toEqual(expect.arrayContaining(['sort', 'dedupe']));
+  });
+
+  test('lists gaps but not the weekend close', () => {
+    // Friday 2024-01-05 20:00 UTC to Monday 00:00 UTC, one H1 bar per hour.
+    const start = Date.UTC(2024, 0, 5, 20);
+    const h1 = flatCandles(52, 1.1, { start, barMs: H1, wick: 0.0005 });
+    const report = checkDataQuality(h1, H1);
+    expect(report.weekendBars).toBe(48);
+
+    const weekdays = toCandles(h1).filter((_, i) => i < 2 || i >= 50);
+    expect(checkDataQuality(toSeries(weekdays), H1)).toMatchObject({ gaps: 0, weekendBars: 0, ok: true });
+
+    const holes = weekdays.filter((_, i) => i !== 2);
+    const gapped = checkDataQuality(toSeries(holes), H1);
+    expect(gapped).toMatchObject({ gaps: 1, missingBars: 1 });
+    expect(gapped.gapList[0].to.toISOString()).toBe('2024-01-07T23:00:00.000Z');
+
+    expect(checkDataQuality(h1, H1, { weekendClosed: false }).weekendBars).toBe(0);
+  });
+
+  test('counts the bars missing from a gap of months across DST changes', () => {
+    const from = Date.UTC(2024, 0, 3, 10);
+    const to = Date.UTC(2024, 10, 20, 10);
+    [H1, TIMEFRAME_MS.h4, TIMEFRAME_MS.daily].forEach(barMs => {
+      let expected = 0;
+      for (let t = from + barMs; t < to; t += barMs) {
+        if (!isWeekendClosed(t) || !isWeekendClosed(t + barMs - 1)) expected++;
+      }
+      const series = toSeries([makeCandle(from, 1.1, 1.1, 1.1, 1.1), makeCandle(to, 1.1, 1.1, 1.1, 1.1)]);
+
+      expect(checkDataQuality(series, barMs).missingBars).toBe(expected);
+    });
+  });
+
+  test('handles a timestamp years off without walking every slot', () => {
+    const typo = toSeries([makeCandle(Date.UTC(2024, 0, 3), 1.1, 1.1, 1.1, 1.1), makeCandle(Date.UTC(2042, 0, 3), 1.1, 1.1, 1.1, 1.1)]);
+    const report = checkDataQuality(typo, M5);
+
+    // 18 years of 120-hour trading weeks.
+    expect(report.missingBars).toBeGreaterThan(18 * 52 * 1440);
+    expect(report.missingBars).toBeLessThan(18 * 53 * 1440);
+    expect(applyFixes(typo, ['fillGaps'], M5)).toHaveLength(2);
+  });
+
+  test('flags zero-range, inconsistent and outlier bars', () => {
+    const candles = toCandles(waveCandles(300));
+    candles[20] = { ...candles[20], high: candles[20].low, open: candles[20].low, close: candles[20].low };
+    candles[30] = { ...candles[30], close: candles[30].high + 0.001 };
+    candles[200] = { ...candles[200], high: candles[200].high + 0.05 };
+    const report = checkDataQuality(toSeries(candles), M5);
+
+    expect(report).toMatchObject({ zeroRange: 1, badOhlc: 1, outliers: 1 });
+    expect(report.outlierList[0]).toMatchObject({ index: 200, reason: 'range' });
+    expect(describeQuality(report)).toEqual([
+      '1 zero-range bars',
+      '1 bars with open/close outside high-low',
+      '1 outlier bars'
+    ]);
+  });
+});
+
+describe('applyFixes', () => {
+  test('sorts and keeps the first bar of each timestamp', () => {
+    const candles = toCandles(waveCandles(300));
+    const first = candles[50];
+    [candles[10], candles[11]] = [candles[11], candles[10]];
+    candles.splice(51, 0, { ...first, close: first.close + 0.001 });
+    const fixed = applyFixes(toSeries(candles), ['sort', 'dedupe'], M5);
+
+    expect(fixed).toHaveLength(300);
+    expect(candleAt(fixed, 50)).toEqual(first);
+    expect(checkDataQuality(fixed, M5).ok).toBe(true);
+  });
+
+  test('drops outliers and weekend bars', () => {
+    const candles = toCandles(waveCandles(300));
+    candles[200] = { ...candles[200], high: candles[200].high + 0.05 };
+    expect(applyFixes(toSeries(candles), ['dropOutliers'], M5)).toHaveLength(299);
+
+    const h1 = flatCandles(52, 1.1, { start: Date.UTC(2024, 0, 5, 20), barMs: H1 });
+    expect(applyFixes(h1, ['dropWeekend'], H1)).toHaveLength(4);
+    expect(applyFixes(h1, ['dropWeekend'], H1, { weekendClosed: false })).toHaveLength(52);
+  });
+
+  test('forward-fills short gaps with flat bars at the previous close', () => {
+    const candles = toCandles(waveCandles(300));
+    const gapped = [...candles.slice(0, 100), ...candles.slice(105)];
+    const fixed = toCandles(applyFixes(toSeries(gapped), ['fillGaps'], M5));
+
+    expect(fixed).toHaveLength(300);
+    expect(fixed.slice(100, 105).every(c => c.filled && c.volume === 0)).toBe(true);
+    expect(fixed.filter(c => c.filled)).toHaveLength(5);
+    expect(fixed[102]).toMatchObject({ open: candles[99].close, high: candles[99].close, time: candles[102].time });
+    expect(fixed[102].timestamp).toEqual(candles[102].timestamp);
+
+    const long = [...candles.slice(0, 100), ...candles.slice(120)];
+    expect(applyFixes(toSeries(long), ['fillGaps'], M5)).toHaveLength(280);
+  });
+
+  test('leaves the input untouched', () => {
+    const candles = toSeries([makeCandle(M5, 1, 1, 1, 1), makeCandle(0, 1, 1, 1, 1)]);
+    applyFixes(candles, ['sort'], M5);
+    expect(candles.time[0]).toBe(M5);
+  });
+});
@@ -0,0 +1,49 @@
+// Flat CSV/JSON-friendly views of backtest output for files written by the
+// command-line runner.
+
+export const TRADE_COLUMNS = [
+  'timestamp', 'exitTime', 'type', 'setup', 'entry', 'entryFill', 'exitPrice', 'exitFill',
+  'outcome', 'reason', 'lots', 'riskAmount', 'grossPnl', 'commission', 'swap',
+  'executionCost', 'pnl', 'balance', 'confluence', 'ambiguous', 'resolvedBy'
+];
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows, columns) => [
+  columns.join(','),
+  ...rows.map(row => columns.map(col => csvCell(row[col])).join(','))
+].join('\n');
+
+export const tradesToCsv = (trades) => toCsv(trades, TRADE_COLUMNS);
+
+// Metrics as `metric,value` rows; nested maps (exit reasons) are flattened
+// to `exitReasons.SL` etc.
+export const metricsToCsv = (metrics) => {
+  const rows = [];
+  Object.entries(metrics).forEach(([metric, value]) => {
+    if (value && typeof value === 'object') {
+      Object.entries(value).forEach(([key, v]) => rows.push({ metric: `${metric}.${key}`, value: v }));
+    } else {
+      rows.push({ metric, value });
+    }
+  });
+  return toCsv(rows, ['metric', 'value']);
+};
+
+// Optimizer results are { params, ...metrics }; params become `param.*`
+// columns ahead of the metrics.
+export const optimizationToCsv = (results) => {
+  if (results.length === 0) return '';
+  const paramKeys = Object.keys(results[0].params);
+  const metricKeys = Object.keys(results[0]).filter(k => k !== 'params' && typeof results[0][k] !== 'object');
+  const rows = results.map(({ params, ...metrics }) => {
+    const row = { ...metrics };
+    paramKeys.forEach(k => { row[`param.${k}`] = params[k]; });
+    return row;
+  });
+  return toCsv(rows, [...paramKeys.map(k => `param.${k}`), ...metricKeys]);
+};
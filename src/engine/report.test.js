@@ -0,0 +1,16 @@
+import { toCsv, metricsToCsv, optimizationToCsv } from './report.js';
+
+test('toCsv quotes cells with separators and writes dates as ISO', () => {
+  const rows = [{ a: 'x,y', b: new Date(Date.UTC(2024, 0, 1)), c: null }];
+  expect(toCsv(rows, ['a', 'b', 'c'])).toBe('a,b,c\n"x,y",2024-01-01T00:00:00.000Z,');
+});
+
+test('metricsToCsv flattens exit reasons', () => {
+  expect(metricsToCsv({ totalTrades: 3, exitReasons: { SL: 1, TP: 2 } }))
+    .toBe('metric,value\ntotalTrades,3\nexitReasons.SL,1\nexitReasons.TP,2');
+});
+
+test('optimizationToCsv puts params ahead of scalar metrics', () => {
+  const csv = optimizationToCsv([{ params: { stopLossPips: 15 }, returnPct: '2.40', exitReasons: { TP: 1 } }]);
+  expect(csv).toBe('param.stopLossPips,returnPct\n15,2.40');
+});
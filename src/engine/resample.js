@@ -0,0 +1,185 @@
+import { TIMEFRAME_MS } from './timeframes.js';
+import { zoneOffset } from './timezones.js';
+import { priceToPips } from './instruments.js';
+import { createSeriesBuilder, sliceSeries } from './series.js';
+
+// Where the day (and with it every H1/H4 bucket) starts. Each anchor is a
+// time zone from timezones.js whose midnight is the session start:
+// broker server time (New York + 7h) puts midnight at the 17:00 NY close.
+export const SESSION_ANCHORS = {
+  nyClose: { label: 'New York 17:00 (forex day)', timeZone: 'brokerNY' },
+  nyMidnight: { label: 'New York midnight', timeZone: 'newYork' },
+  utcMidnight: { label: 'UTC midnight', timeZone: 'UTC' }
+};
+
+export const DERIVABLE_TIMEFRAMES = ['h1', 'h4', 'daily'];
+
+export const DEFAULT_RESAMPLE = {
+  deriveMissing: true,
+  anchor: 'nyClose',
+  tolerancePips: 2
+};
+
+// Open time (UTC ms) of the `barMs` bucket containing `time`.
+const bucketStart = (time, barMs, timeZone) => {
+  const offset = zoneOffset(time, timeZone);
+  const local = time + offset;
+  return local - (((local % barMs) + barMs) % barMs) - offset;
+};
+
+// Builds a `timeframe` series from a finer, time-ordered one. Buckets
+// without any source bar are skipped; volume is summed and the spread is
+// the smallest quoted in the bucket, as MT5 reports it.
+export const resampleCandles = (candles, timeframe, { anchor = DEFAULT_RESAMPLE.anchor } = {}) => {
+  const barMs = TIMEFRAME_MS[timeframe];
+  const { timeZone } = SESSION_ANCHORS[anchor];
+  const { time, open, high, low, close, volume, spread } = candles;
+  const builder = createSeriesBuilder();
+  let bucket = null;
+  let o, h, l, c, v, s;
+
+  const flush = () => {
+    if (bucket !== null) builder.push(bucket, o, h, l, c, v, s);
+  };
+
+  for (let i = 0; i < candles.length; i++) {
+    const start = bucketStart(time[i], barMs, timeZone);
+    if (start !== bucket) {
+      flush();
+      bucket = start;
+      o = open[i];
+      h = high[i];
+      l = low[i];
+      c = close[i];
+      v = volume[i] || 0;
+      s = spread[i];
+      continue;
+    }
+    if (high[i] > h) h = high[i];
+    if (low[i] < l) l = low[i];
+    c = close[i];
+    v += volume[i] || 0;
+    // NaN (no spread) never compares smaller, so a quoted one replaces it.
+    if (spread[i] < s || Number.isNaN(s)) s = spread[i];
+  }
+  flush();
+  return builder.finish();
+};
+
+// `files` with every missing higher timeframe built from M5. Returns the
+// completed files and the list of timeframes that were derived.
+export const withDerivedTimeframes = (files, resample = DEFAULT_RESAMPLE) => {
+  if (!files.m5 || !resample.deriveMissing) return { files, derived: [] };
+  const completed = { ...files };
+  const derived = [];
+  DERIVABLE_TIMEFRAMES.forEach(tf => {
+    if (files[tf]) return;
+    completed[tf] = resampleCandles(files.m5, tf, resample);
+    derived.push(tf);
+  });
+  return { files: completed, derived };
+};
+
+const MAX_SHIFT_HOURS = 12;
+const MAX_SAMPLES = 5;
+const PRICES = ['open', 'high', 'low', 'close'];
+
+// Compares an uploaded higher-timeframe file with the same timeframe built
+// from M5, over the period both cover. The first and last resampled
+// buckets may be partial, so they are left out.
+//
+// Returns { compared, matched, missing, extra, priceMismatches, samples,
+// shiftHours, ok }. `shiftHours` is how many hours the uploaded file runs
+// ahead of M5 when shifting it back would line most bars up (usually a
+// time-zone mismatch), or 0.
+export const validateTimeframe = (uploaded, m5, timeframe, { anchor = DEFAULT_RESAMPLE.anchor, instrument, tolerancePips = DEFAULT_RESAMPLE.tolerancePips } = {}) => {
+  const expected = sliceSeries(resampleCandles(m5, timeframe, { anchor }), 1, -1);
+  const empty = { compared: 0, matched: 0, missing: 0, extra: 0, priceMismatches: 0, samples: [], shiftHours: 0, ok: true };
+  if (expected.length === 0 || uploaded.length === 0) return empty;
+
+  const from = expected.time[0];
+  const to = expected.time[expected.length - 1];
+  const inRange = [];
+  for (let i = 0; i < uploaded.length; i++) {
+    if (uploaded.time[i] >= from && uploaded.time[i] <= to) inRange.push(i);
+  }
+  if (inRange.length === 0) return empty;
+
+  const byTime = new Map();
+  for (let k = 0; k < expected.length; k++) byTime.set(expected.time[k], k);
+  const uploadedTimes = new Set(inRange.map(i => uploaded.time[i]));
+  const differs = (a, b) => Math.abs(priceToPips(a - b, instrument)) > tolerancePips;
+
+  const offPrices = (i, ref) => PRICES.filter(k => differs(uploaded[k][i], expected[k][ref]));
+
+  let matched = 0;
+  let extra = 0;
+  let priceMismatches = 0;
+  const samples = [];
+  for (const i of inRange) {
+    const ref = byTime.get(uploaded.time[i]);
+    if (ref === undefined) {
+      extra++;
+      if (samples.length < MAX_SAMPLES) samples.push({ timestamp: new Date(uploaded.time[i]), issue: 'not on the M5 bar grid' });
+      continue;
+    }
+    const off = offPrices(i, ref);
+    if (off.length > 0) {
+      priceMismatches++;
+      if (samples.length < MAX_SAMPLES) samples.push({ timestamp: new Date(uploaded.time[i]), issue: `${off.join('/')} differs from M5` });
+    } else {
+      matched++;
+    }
+  }
+  const first = uploaded.time[inRange[0]];
+  const last = uploaded.time[inRange[inRange.length - 1]];
+  let missing = 0;
+  for (let k = 0; k < expected.length; k++) {
+    const t = expected.time[k];
+    if (t >= first && t <= last && !uploadedTimes.has(t)) missing++;
+  }
+
+  // Mostly wrong: see whether a whole-hour shift would line the file up.
+  let shiftHours = 0;
+  if (matched < inRange.length / 2) {
+    let best = matched;
+    for (let h = -MAX_SHIFT_HOURS; h <= MAX_SHIFT_HOURS; h++) {
+      if (h === 0) continue;
+      const shift = h * TIMEFRAME_MS.h1;
+      const hits = inRange.filter(i => {
+        const ref = byTime.get(uploaded.time[i] + shift);
+        return ref !== undefined && offPrices(i, ref).length === 0;
+      }).length;
+      if (hits > best) {
+        best = hits;
+        shiftHours = -h;
+      }
+    }
+    if (best <= inRange.length / 2) shiftHours = 0;
+  }
+
+  return {
+    compared: inRange.length,
+    matched,
+    missing,
+    extra,
+    priceMismatches,
+    samples,
+    shiftHours,
+    ok: missing === 0 && extra === 0 && priceMismatches === 0
+  };
+};
+
+// One-line summary of `validateTimeframe` output.
+export const describeValidation = (report) => {
+  if (report.compared === 0) return 'No overlap with the M5 data';
+  if (report.ok) return `${report.matched} bars match M5`;
+  const parts = [];
+  if (report.missing) parts.push(`${report.missing} bars missing`);
+  if (report.extra) parts.push(`${report.extra} bars off the M5 grid`);
+  if (report.priceMismatches) parts.push(`${report.priceMismatches} bars with different prices`);
+  const hint = report.shiftHours
+    ? ` (runs ${Math.abs(report.shiftHours)}h ${report.shiftHours > 0 ? 'ahead of' : 'behind'} M5, check the time zone)`
+    : '';
+  return `${parts.join(', ')}${hint}`;
+};
@@ -0,0 +1,69 @@
+import { resampleCandles, withDerivedTimeframes, validateTimeframe, describeValidation } from './resample.js';
+import { TIMEFRAME_MS } from './timeframes.js';
+import { toSeries, toCandles, candleAt } from './series.js';
+import { EURUSD, waveCandles, candlesFromCloses } from './__fixtures__/candles.js';
+
+const HOUR = TIMEFRAME_MS.h1;
+const isoTimes = (series) => toCandles(series).map(c => c.timestamp.toISOString());
+
+describe('resampleCandles', () => {
+  test('aggregates OHLC, volume and spread per bucket', () => {
+    const m5 = toCandles(candlesFromCloses(Array.from({ length: 24 }, (_, i) => 1.1 + i * 0.0001)))
+      .map((c, i) => ({ ...c, volume: 10, spread: 20 - i }));
+    const h1 = resampleCandles(toSeries(m5), 'h1', { anchor: 'utcMidnight' });
+
+    expect(h1).toHaveLength(2);
+    expect(candleAt(h1, 0)).toMatchObject({ date: '2024.01.01', time: '00:00', open: m5[0].open, close: m5[11].close, volume: 120, spread: 9 });
+    expect(h1.high[0]).toBe(Math.max(...m5.slice(0, 12).map(c => c.high)));
+    expect(h1.low[1]).toBe(Math.min(...m5.slice(12).map(c => c.low)));
+  });
+
+  test('anchors daily and H4 candles to the 17:00 New York rollover', () => {
+    const start = Date.UTC(2024, 0, 2, 21, 0);
+    const m5 = candlesFromCloses(new Array(24).fill(1.1), { start });
+
+    expect(isoTimes(resampleCandles(m5, 'daily', { anchor: 'nyClose' })))
+      .toEqual(['2024-01-01T22:00:00.000Z', '2024-01-02T22:00:00.000Z']);
+    expect(isoTimes(resampleCandles(m5, 'h4', { anchor: 'nyClose' })))
+      .toEqual(['2024-01-02T18:00:00.000Z', '2024-01-02T22:00:00.000Z']);
+    expect(isoTimes(resampleCandles(m5, 'daily', { anchor: 'utcMidnight' }))).toEqual(['2024-01-02T00:00:00.000Z']);
+  });
+});
+
+test('withDerivedTimeframes only builds the timeframes that are missing', () => {
+  const m5 = waveCandles(300);
+  const h4 = resampleCandles(m5, 'h4');
+  const { files, derived } = withDerivedTimeframes({ m5, h1: null, h4, daily: null });
+
+  expect(derived).toEqual(['h1', 'daily']);
+  expect(files.h4).toBe(h4);
+  expect(files.h1.length).toBeGreaterThan(0);
+  expect(withDerivedTimeframes({ m5, h1: null }, { deriveMissing: false }).derived).toEqual([]);
+});
+
+describe('validateTimeframe', () => {
+  const m5 = waveCandles(2000);
+  const h1 = resampleCandles(m5, 'h1');
+
+  test('accepts a file that matches M5', () => {
+    const report = validateTimeframe(h1, m5, 'h1', { instrument: EURUSD });
+    expect(report.ok).toBe(true);
+    expect(report.matched).toBe(h1.length - 2);
+  });
+
+  test('reports price mismatches and missing bars', () => {
+    const edited = toCandles(h1).filter((_, i) => i !== 5).map((c, i) => (i === 10 ? { ...c, high: c.high + 0.001 } : c));
+    const report = validateTimeframe(toSeries(edited), m5, 'h1', { instrument: EURUSD });
+
+    expect(report).toMatchObject({ ok: false, missing: 1, priceMismatches: 1, extra: 0 });
+    expect(report.samples[0].issue).toBe('high differs from M5');
+  });
+
+  test('recognises a file written in another time zone', () => {
+    const shifted = { ...h1, time: h1.time.map(t => t + 2 * HOUR) };
+    const report = validateTimeframe(shifted, m5, 'h1', { instrument: EURUSD });
+
+    expect(report.shiftHours).toBe(2);
+    expect(describeValidation(report)).toMatch(/runs 2h ahead of M5/);
+  });
+});
@@ -0,0 +1,186 @@
+// Columnar candle storage. A series keeps one typed array per field, so a
+// multi-year M5 file costs a few bytes per value instead of one object per
+// bar, and posts to workers or IndexedDB without per-candle overhead:
+//
+//   { length, time, open, high, low, close, volume, spread[, filled] }
+//
+// `time` is the bar open in UTC epoch ms, a missing spread is NaN and the
+// optional `filled` (Uint8Array) marks bars added by forward-fill. All
+// columns are Float64Array otherwise.
+//
+// Tick data uses the same layout with quotes instead of prices:
+//
+//   { length, time, bid, ask }
+
+export const SERIES_COLUMNS = ['time', 'open', 'high', 'low', 'close', 'volume', 'spread'];
+
+const INITIAL_CAPACITY = 4096;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+export const TICK_COLUMNS = ['time', 'bid', 'ask'];
+
+export const isSeries = (value) => Boolean(value) && value.time instanceof Float64Array;
+
+export const isTickSeries = (value) => isSeries(value) && value.bid instanceof Float64Array;
+
+export const createSeries = (length = 0) => {
+  const series = { length };
+  SERIES_COLUMNS.forEach(column => { series[column] = new Float64Array(length); });
+  series.spread.fill(NaN);
+  return series;
+};
+
+// Appends bars one at a time, growing the columns by doubling. `finish()`
+// trims them to the bars pushed.
+export const createSeriesBuilder = (capacity = INITIAL_CAPACITY) => {
+  let series = createSeries(Math.max(1, capacity));
+  let length = 0;
+  let filled = null;
+
+  const grow = () => {
+    const next = createSeries(series.length * 2);
+    SERIES_COLUMNS.forEach(column => next[column].set(series[column]));
+    if (filled) {
+      const nextFilled = new Uint8Array(next.length);
+      nextFilled.set(filled);
+      filled = nextFilled;
+    }
+    series = next;
+  };
+
+  const push = (time, open, high, low, close, volume = 0, spread = NaN, isFilled = false) => {
+    if (length === series.length) grow();
+    series.time[length] = time;
+    series.open[length] = open;
+    series.high[length] = high;
+    series.low[length] = low;
+    series.close[length] = close;
+    series.volume[length] = volume;
+    series.spread[length] = spread;
+    if (isFilled) {
+      if (!filled) filled = new Uint8Array(series.length);
+      filled[length] = 1;
+    }
+    length++;
+  };
+
+  return {
+    get length() {
+      return length;
+    },
+    push,
+    // Copies bar `i` of `source`, keeping its forward-fill mark.
+    pushFrom: (source, i) => push(source.time[i], source.open[i], source.high[i], source.low[i], source.close[i],
+      source.volume[i], source.spread[i], Boolean(source.filled && source.filled[i])),
+    finish: () => {
+      const out = { length };
+      SERIES_COLUMNS.forEach(column => { out[column] = series[column].slice(0, length); });
+      if (filled) out.filled = filled.slice(0, length);
+      return out;
+    }
+  };
+};
+
+export const createTickSeries = (length = 0) => {
+  const ticks = { length };
+  TICK_COLUMNS.forEach(column => { ticks[column] = new Float64Array(length); });
+  return ticks;
+};
+
+// Appends ticks in file order, like createSeriesBuilder.
+export const createTickBuilder = (capacity = INITIAL_CAPACITY) => {
+  let ticks = createTickSeries(Math.max(1, capacity));
+  let length = 0;
+
+  return {
+    get length() {
+      return length;
+    },
+    push: (time, bid, ask) => {
+      if (length === ticks.length) {
+        const next = createTickSeries(ticks.length * 2);
+        TICK_COLUMNS.forEach(column => next[column].set(ticks[column]));
+        ticks = next;
+      }
+      ticks.time[length] = time;
+      ticks.bid[length] = bid;
+      ticks.ask[length] = ask;
+      length++;
+    },
+    finish: () => {
+      const out = { length };
+      TICK_COLUMNS.forEach(column => { out[column] = ticks[column].slice(0, length); });
+      return out;
+    }
+  };
+};
+
+// Series from candle objects ({ open, high, low, close, volume, spread,
+// timestamp }). A series is returned as is.
+export const toSeries = (candles) => {
+  if (isSeries(candles)) return candles;
+  const series = createSeries(candles.length);
+  candles.forEach((c, i) => {
+    series.time[i] = c.timestamp.getTime();
+    series.open[i] = c.open;
+    series.high[i] = c.high;
+    series.low[i] = c.low;
+    series.close[i] = c.close;
+    series.volume[i] = c.volume || 0;
+    series.spread[i] = Number.isFinite(c.spread) ? c.spread : NaN;
+  });
+  if (candles.some(c => c.filled)) series.filled = Uint8Array.from(candles, c => (c.filled ? 1 : 0));
+  return series;
+};
+
+// Bar `i` as a candle object, with the UTC date/time strings MT5 uses.
+export const candleAt = (series, i) => {
+  const timestamp = new Date(series.time[i]);
+  const candle = {
+    date: `${timestamp.getUTCFullYear()}.${pad(timestamp.getUTCMonth() + 1)}.${pad(timestamp.getUTCDate())}`,
+    time: `${pad(timestamp.getUTCHours())}:${pad(timestamp.getUTCMinutes())}`,
+    open: series.open[i],
+    high: series.high[i],
+    low: series.low[i],
+    close: series.close[i],
+    volume: series.volume[i],
+    spread: Number.isNaN(series.spread[i]) ? null : series.spread[i],
+    timestamp
+  };
+  if (series.filled && series.filled[i]) candle.filled = true;
+  return candle;
+};
+
+export const toCandles = (series) => Array.from({ length: series.length }, (_, i) => candleAt(series, i));
+
+// Bars [start, end) as views on the same buffers (no copy). Negative
+// indices count from the end, as with Array#slice.
+export const sliceSeries = (series, start = 0, end = series.length) => {
+  const from = start < 0 ? Math.max(0, series.length + start) : Math.min(start, series.length);
+  const to = end < 0 ? Math.max(0, series.length + end) : Math.min(end, series.length);
+  const length = Math.max(0, to - from);
+  const out = { length };
+  SERIES_COLUMNS.forEach(column => { out[column] = series[column].subarray(from, from + length); });
+  if (series.filled) out.filled = series.filled.subarray(from, from + length);
+  return out;
+};
+
+// New series of the bars at `indices`, in that order.
+export const selectBars = (series, indices) => {
+  const builder = createSeriesBuilder(indices.length);
+  indices.forEach(i => builder.pushFrom(series, i));
+  return builder.finish();
+};
+
+// Index of the first bar (or tick) at or after `time`.
+export const lowerBound = (series, time) => {
+  let lo = 0;
+  let hi = series.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (series.time[mid] < time) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+};
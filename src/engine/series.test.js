@@ -0,0 +1,49 @@
+import { createSeriesBuilder, toSeries, toCandles, candleAt, sliceSeries, selectBars, lowerBound } from './series.js';
+import { TIMEFRAME_MS } from './timeframes.js';
+import { START, makeCandle, waveCandles } from './__fixtures__/candles.js';
+
+const M5 = TIMEFRAME_MS.m5;
+
+test('converts candle objects to columns and back', () => {
+  const candles = [makeCandle(START, 1.1, 1.2, 1.0, 1.15), { ...makeCandle(START + M5, 1.15, 1.2, 1.1, 1.12), volume: 40, spread: 8 }];
+  const series = toSeries(candles);
+
+  expect(series.close).toBeInstanceOf(Float64Array);
+  expect(Array.from(series.time)).toEqual([START, START + M5]);
+  expect(series.spread[0]).toBeNaN();
+  expect(toCandles(series)).toEqual(candles);
+  expect(toSeries(series)).toBe(series);
+});
+
+test('the builder grows past its initial capacity and trims on finish', () => {
+  const builder = createSeriesBuilder(2);
+  for (let i = 0; i < 5; i++) builder.push(START + i * M5, 1, 1, 1, 1 + i, 0, NaN, i === 3);
+  const series = builder.finish();
+
+  expect(series).toHaveLength(5);
+  expect(series.close).toHaveLength(5);
+  expect(Array.from(series.close)).toEqual([1, 2, 3, 4, 5]);
+  expect(candleAt(series, 3).filled).toBe(true);
+  expect(candleAt(series, 4).filled).toBeUndefined();
+});
+
+test('slices are views and selections are copies', () => {
+  const series = waveCandles(10);
+  const last = sliceSeries(series, -3);
+
+  expect(last).toHaveLength(3);
+  expect(last.close.buffer).toBe(series.close.buffer);
+  expect(last.close[0]).toBe(series.close[7]);
+  expect(sliceSeries(series, 8, 20)).toHaveLength(2);
+
+  const picked = selectBars(series, [4, 1]);
+  expect(Array.from(picked.time)).toEqual([series.time[4], series.time[1]]);
+  expect(picked.close.buffer).not.toBe(series.close.buffer);
+});
+
+test('lowerBound finds the first bar at or after a time', () => {
+  const series = waveCandles(10);
+  expect(lowerBound(series, START)).toBe(0);
+  expect(lowerBound(series, START + 2 * M5 + 1)).toBe(3);
+  expect(lowerBound(series, START + 100 * M5)).toBe(10);
+});
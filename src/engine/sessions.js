@@ -0,0 +1,32 @@
+import { NEW_YORK, zonedParts } from './timezones.js';
+
+// ICT kill zones, in New York hours [start, end).
+export const KILL_ZONES = {
+  london: { label: 'London open', start: 2, end: 5 },
+  newYork: { label: 'New York open', start: 7, end: 10 }
+};
+
+// The forex day rolls over at 17:00 New York.
+export const TRADING_DAY_START_HOUR_NY = 17;
+
+const HOUR_MS = 60 * 60 * 1000;
+const pad = (n) => String(n).padStart(2, '0');
+
+export const inKillZone = (time) => {
+  const { hour } = zonedParts(time, NEW_YORK);
+  return Object.values(KILL_ZONES).some(zone => hour >= zone.start && hour < zone.end);
+};
+
+// 'YYYY.MM.DD' of the trading day `time` belongs to. Bars from 17:00 NY
+// onwards count towards the next day.
+export const tradingDayKey = (time) => {
+  const p = zonedParts(time + (24 - TRADING_DAY_START_HOUR_NY) * HOUR_MS, NEW_YORK);
+  return `${p.year}.${pad(p.month)}.${pad(p.day)}`;
+};
+
+// Forex (and CFD) markets close from Friday 17:00 to Sunday 17:00 New York.
+export const isWeekendClosed = (time) => {
+  const { weekday, hour } = zonedParts(time, NEW_YORK);
+  const open = TRADING_DAY_START_HOUR_NY;
+  return weekday === 6 || (weekday === 5 && hour >= open) || (weekday === 0 && hour < open);
+};
@@ -0,0 +1,78 @@
+import { INSTRUMENTS, DEFAULT_INSTRUMENT } from './instruments.js';
+import { DEFAULT_COSTS } from './costs.js';
+import { DEFAULT_SIZING } from './sizing.js';
+import { DEFAULT_EXPOSURE, DEFAULT_EXIT_RULES } from './simulator.js';
+import { DEFAULT_INTRABAR_POLICY } from './intrabar.js';
+import { DEFAULT_PARAMS } from './backtest.js';
+import { OPTIMIZATION_RANGES } from './optimizer.js';
+import { DEFAULT_RESAMPLE, SESSION_ANCHORS } from './resample.js';
+import { DEFAULT_BIAS, DAILY_BIAS_MODES } from './bias.js';
+import { DEFAULT_STRUCTURE, STRUCTURE_ENTRY_MODES, STRUCTURE_BREAKS, STRUCTURE_TIMEFRAMES } from './structure.js';
+import { DEFAULT_ORDER_BLOCKS, ORDER_BLOCK_DEFINITIONS } from './orderBlocks.js';
+import { DEFAULT_IMBALANCES, FVG_EXPIRY } from './imbalances.js';
+import { DEFAULT_LIQUIDITY } from './liquidity.js';
+import { DEFAULT_DEALING_RANGE, DEALING_RANGE_TIMEFRAMES } from './dealingRange.js';
+
+export const STRATEGIES = ['priceAction', 'combined'];
+
+// Turns a (partial) settings object, as stored in a JSON file, into strategy
+// params, an engine context and optimizer ranges. Every section is merged
+// over the same defaults the app starts with:
+// { instrument, strategy, intrabarPolicy, params, costs, sizing, exposure,
+//   exits, bias, structure, orderBlocks, imbalances, liquidity, dealingRange,
+//   resample, optimizationRanges }
+export const resolveSettings = (settings = {}, fallbackInstrument = DEFAULT_INSTRUMENT) => {
+  const symbol = settings.instrument || fallbackInstrument;
+  if (!INSTRUMENTS[symbol]) throw new Error(`Unknown instrument "${symbol}"`);
+
+  const strategy = settings.strategy || 'combined';
+  if (!STRATEGIES.includes(strategy)) throw new Error(`Unknown strategy "${strategy}"`);
+
+  const resample = { ...DEFAULT_RESAMPLE, ...settings.resample };
+  if (!SESSION_ANCHORS[resample.anchor]) throw new Error(`Unknown session anchor "${resample.anchor}"`);
+
+  const bias = { ...DEFAULT_BIAS, ...settings.bias };
+  if (!DAILY_BIAS_MODES[bias.mode]) throw new Error(`Unknown daily bias mode "${bias.mode}"`);
+
+  const structure = { ...DEFAULT_STRUCTURE, ...settings.structure };
+  if (!STRUCTURE_ENTRY_MODES[structure.entries]) throw new Error(`Unknown structure entry mode "${structure.entries}"`);
+  if (!STRUCTURE_BREAKS[structure.breakOn]) throw new Error(`Unknown structure break "${structure.breakOn}"`);
+  if (!STRUCTURE_TIMEFRAMES.includes(structure.timeframe)) throw new Error(`Unknown structure timeframe "${structure.timeframe}"`);
+
+  const orderBlocks = { ...DEFAULT_ORDER_BLOCKS, ...settings.orderBlocks };
+  if (!ORDER_BLOCK_DEFINITIONS[orderBlocks.definition]) {
+    throw new Error(`Unknown order block definition "${orderBlocks.definition}"`);
+  }
+
+  const imbalances = { ...DEFAULT_IMBALANCES, ...settings.imbalances };
+  if (!FVG_EXPIRY[imbalances.expireOn]) throw new Error(`Unknown FVG expiry "${imbalances.expireOn}"`);
+
+  const dealingRange = { ...DEFAULT_DEALING_RANGE, ...settings.dealingRange };
+  if (!DEALING_RANGE_TIMEFRAMES.includes(dealingRange.timeframe)) {
+    throw new Error(`Unknown dealing range timeframe "${dealingRange.timeframe}"`);
+  }
+  if (!(dealingRange.oteLow > 0 && dealingRange.oteLow < dealingRange.oteHigh && dealingRange.oteHigh < 1)) {
+    throw new Error(`Invalid OTE band ${dealingRange.oteLow}-${dealingRange.oteHigh}`);
+  }
+
+  return {
+    params: { ...DEFAULT_PARAMS, ...settings.params },
+    context: {
+      strategy,
+      instrument: INSTRUMENTS[symbol],
+      costs: { ...DEFAULT_COSTS, ...settings.costs },
+      sizing: { ...DEFAULT_SIZING, ...settings.sizing },
+      exposure: { ...DEFAULT_EXPOSURE, ...settings.exposure },
+      exits: { ...DEFAULT_EXIT_RULES, ...settings.exits },
+      bias,
+      structure,
+      orderBlocks,
+      imbalances,
+      liquidity: { ...DEFAULT_LIQUIDITY, ...settings.liquidity },
+      dealingRange,
+      intrabarPolicy: settings.intrabarPolicy || DEFAULT_INTRABAR_POLICY
+    },
+    resample,
+    ranges: { ...OPTIMIZATION_RANGES, ...settings.optimizationRanges }
+  };
+};
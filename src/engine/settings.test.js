@@ -0,0 +1,40 @@
+import { resolveSettings } from './settings.js';
+import { DEFAULT_PARAMS } from './backtest.js';
+import { DEFAULT_COSTS } from './costs.js';
+
+describe('resolveSettings', () => {
+  test('fills every section from the defaults', () => {
+    const { params, context } = resolveSettings({}, 'XAUUSD');
+    expect(params).toEqual(DEFAULT_PARAMS);
+    expect(context.costs).toEqual(DEFAULT_COSTS);
+    expect(context.instrument.symbol).toBe('XAUUSD');
+    expect(context.strategy).toBe('combined');
+  });
+
+  test('merges partial sections over the defaults', () => {
+    const { params, context, ranges } = resolveSettings({
+      instrument: 'GBPUSD',
+      params: { stopLossPips: 25 },
+      costs: { commissionPerLot: 0 },
+      optimizationRanges: { stopLossPips: [10] }
+    });
+    expect(params.stopLossPips).toBe(25);
+    expect(params.riskRewardRatio).toBe(DEFAULT_PARAMS.riskRewardRatio);
+    expect(context.costs).toEqual({ ...DEFAULT_COSTS, commissionPerLot: 0 });
+    expect(context.instrument.symbol).toBe('GBPUSD');
+    expect(ranges.stopLossPips).toEqual([10]);
+    expect(ranges.riskRewardRatio.length).toBeGreaterThan(1);
+  });
+
+  test('rejects unknown instruments, strategies, bias and structure modes', () => {
+    expect(() => resolveSettings({ instrument: 'FOO' })).toThrow('Unknown instrument');
+    expect(() => resolveSettings({ strategy: 'magic' })).toThrow('Unknown strategy');
+    expect(() => resolveSettings({ bias: { mode: 'strict' } })).toThrow('Unknown daily bias mode');
+    expect(() => resolveSettings({ structure: { entries: 'sweep' } })).toThrow('Unknown structure entry mode');
+    expect(() => resolveSettings({ structure: { timeframe: 'm15' } })).toThrow('Unknown structure timeframe');
+    expect(() => resolveSettings({ orderBlocks: { definition: 'smc' } })).toThrow('Unknown order block definition');
+    expect(() => resolveSettings({ imbalances: { expireOn: 'half' } })).toThrow('Unknown FVG expiry');
+    expect(() => resolveSettings({ dealingRange: { timeframe: 'w1' } })).toThrow('Unknown dealing range timeframe');
+    expect(() => resolveSettings({ dealingRange: { oteLow: 0.8 } })).toThrow('Invalid OTE band');
+  });
+});
@@ -0,0 +1,369 @@
+import { pipsToPrice, pipValuePerLot, notionalValue } from './instruments.js';
+import { createRandom, spreadAt, slippageFor, countRollovers, tradePnl } from './costs.js';
+import { positionSize } from './sizing.js';
+import { DEFAULT_INTRABAR_POLICY, levelsHit, resolveByPolicy, replayBar, quoteAt, afterFill } from './intrabar.js';
+import { TIMEFRAME_MS, nextDailyBoundary, nextWeeklyBoundary } from './timeframes.js';
+import { NEW_YORK } from './timezones.js';
+import { inKillZone, tradingDayKey } from './sessions.js';
+
+export const OPPOSITE_SIGNAL_MODES = {
+  ignore: 'Ignore signal',
+  close: 'Close position',
+  reverse: 'Reverse',
+  hedge: 'Hedge (hold both)'
+};
+
+export const DEFAULT_EXPOSURE = {
+  maxOpenPositions: 1,
+  onePerDirection: true,
+  oppositeSignal: 'ignore',
+  leverage: 100
+};
+
+// Exit reasons besides 'SL' and 'TP'.
+export const EXIT_REASONS = {
+  MaxHold: 'Max holding time',
+  Session: 'End of session',
+  Friday: 'Friday close',
+  End: 'End of data',
+  Opposite: 'Opposite signal',
+  Reverse: 'Reversed'
+};
+
+// Session and Friday hours are New York time.
+export const DEFAULT_EXIT_RULES = {
+  maxHoldingBars: 100,        // 0 disables
+  closeAtSessionEnd: false,
+  sessionEndHourNY: 16,
+  closeOnFriday: true,
+  fridayCloseHourNY: 16
+};
+
+// Mark-to-market PnL at a candle close. Longs exit on the bid (chart
+// price), shorts on the ask.
+const unrealizedPnl = (pos, close, spread, instrument) => {
+  const exit = pos.type === 'long' ? close : close + spread;
+  const move = pos.type === 'long' ? exit - pos.entryFill : pos.entryFill - exit;
+  return (move / instrument.pipSize) * pipValuePerLot(instrument, pos.entry) * pos.lots;
+};
+
+export const summarizeTrades = ({ trades, initialBalance, balance, maxDD, maxMarginUsed, maxConcurrent }) => {
+  const wins = trades.filter(t => t.outcome === 'win').length;
+  const losses = trades.filter(t => t.outcome === 'loss').length;
+  const winRate = (wins / trades.length) * 100;
+  const totalProfit = trades.filter(t => t.outcome === 'win').reduce((sum, t) => sum + t.pnl, 0);
+  const totalLoss = Math.abs(trades.filter(t => t.outcome === 'loss').reduce((sum, t) => sum + t.pnl, 0));
+  const profitFactor = totalLoss > 0 ? totalProfit / totalLoss : 0;
+  const netProfit = balance - initialBalance;
+  const returnPct = (netProfit / initialBalance) * 100;
+  const avgWin = wins > 0 ? totalProfit / wins : 0;
+  const avgLoss = losses > 0 ? totalLoss / losses : 0;
+  const expectancy = (wins / trades.length) * avgWin - (losses / trades.length) * avgLoss;
+  const grossProfit = trades.reduce((sum, t) => sum + t.grossPnl, 0);
+  const totalCommission = trades.reduce((sum, t) => sum + t.commission, 0);
+  const totalSwap = trades.reduce((sum, t) => sum + t.swap, 0);
+  const totalExecutionCost = trades.reduce((sum, t) => sum + t.executionCost, 0);
+  const ambiguousTrades = trades.filter(t => t.ambiguous).length;
+  const exitReasons = {};
+  trades.forEach(t => { exitReasons[t.reason] = (exitReasons[t.reason] || 0) + 1; });
+
+  return {
+    totalTrades: trades.length,
+    wins,
+    losses,
+    winRate: winRate.toFixed(2),
+    profitFactor: profitFactor.toFixed(2),
+    grossProfit: grossProfit.toFixed(2),
+    netProfit: netProfit.toFixed(2),
+    totalCosts: (grossProfit - netProfit).toFixed(2),
+    commission: totalCommission.toFixed(2),
+    swap: totalSwap.toFixed(2),
+    executionCost: totalExecutionCost.toFixed(2),
+    returnPct: returnPct.toFixed(2),
+    maxDrawdown: maxDD.toFixed(2),
+    maxMarginUsed: maxMarginUsed.toFixed(2),
+    maxConcurrent,
+    ambiguousTrades,
+    exitReasons,
+    initialBalance: initialBalance.toFixed(2),
+    finalBalance: balance.toFixed(2),
+    avgWin: avgWin.toFixed(2),
+    avgLoss: avgLoss.toFixed(2),
+    expectancy: expectancy.toFixed(2)
+  };
+};
+
+// Bar-by-bar event loop: on every candle the open positions are managed
+// first, then that candle's signals are considered for entry at its close,
+// then equity, drawdown and margin are marked to market.
+// `data` and `intrabar.bars`, an optional lower-timeframe series (M1), are
+// series (series.js); `intrabar.ticks` is an optional tick series. Open
+// positions are managed on the finest of them that covers a candle, with
+// market entries filled at the first tick after the signal candle closes
+// when ticks are loaded; `limit` signals fill at their price during the
+// signal candle, and the rest of that candle is managed too. Signals and
+// time-based exits stay on `data`. Bars are
+// addressed by index throughout, so no per-candle objects are created.
+export const simulateTrades = ({
+  data,
+  signals,
+  params,
+  instrument,
+  costs,
+  sizing,
+  exposure = DEFAULT_EXPOSURE,
+  exits = DEFAULT_EXIT_RULES,
+  barMs = TIMEFRAME_MS.m5,
+  intrabar = { policy: DEFAULT_INTRABAR_POLICY, bars: null, ticks: null }
+}) => {
+  const initialBalance = sizing.initialBalance;
+  const random = createRandom(costs.slippageSeed);
+  const slDistance = pipsToPrice(params.stopLossPips, instrument);
+  const tpDistance = pipsToPrice(params.stopLossPips * params.riskRewardRatio, instrument);
+  const trailDistance = pipsToPrice(params.trailingStopPips, instrument);
+  const marginFor = (lots, price) => notionalValue(lots, price, instrument) / exposure.leverage;
+
+  const { time, open: opens, close: closes } = data;
+
+  const signalsAt = new Map();
+  for (const signal of signals) {
+    if (!signalsAt.has(signal.index)) signalsAt.set(signal.index, []);
+    signalsAt.get(signal.index).push(signal);
+  }
+
+  const trades = [];
+  let open = [];
+  let balance = initialBalance;
+  let peak = initialBalance;
+  let maxDD = 0;
+  let maxMarginUsed = 0;
+  let maxConcurrent = 0;
+  let tradesThisDay = 0;
+  let lastDay = '';
+
+  // The outcome follows the net PnL, so a trailed or breakeven stop that
+  // closes in profit is a win.
+  const closePosition = (pos, j, exitLevel, exitFill, reason, ambiguity = {}, exitSpread = 0) => {
+    const exitTime = new Date(time[j]);
+    const { grossPnl, commission, swap, executionCost, pnl } = tradePnl({
+      type: pos.type,
+      signalPrice: pos.entry,
+      exitLevel,
+      exitSpread,
+      entryFill: pos.entryFill,
+      exitFill,
+      lots: pos.lots,
+      nights: countRollovers(pos.signal.timestamp, exitTime, costs),
+      instrument,
+      costs
+    });
+    balance += pnl;
+
+    trades.push({
+      timestamp: pos.signal.timestamp,
+      exitTime,
+      type: pos.type,
+      setup: pos.signal.setup,
+      entry: pos.entry,
+      entryFill: pos.entryFill,
+      exitPrice: exitLevel,
+      exitFill,
+      outcome: pnl > 0 ? 'win' : 'loss',
+      grossPnl,
+      commission,
+      swap,
+      executionCost,
+      lots: pos.lots,
+      riskAmount: pos.riskAmount,
+      pnl,
+      balance,
+      confluence: pos.signal.confluence || 0,
+      bodyPercent: pos.signal.bodyPercent,
+      reason,
+      ambiguous: Boolean(ambiguity.ambiguous),
+      resolvedBy: ambiguity.resolvedBy || null
+    });
+  };
+
+  const closeAtMarket = (pos, j, spread, reason, price = closes[j]) => {
+    const exitFill = pos.type === 'long' ? price : price + spread;
+    closePosition(pos, j, price, exitFill, reason);
+  };
+
+  // Between the Friday flat time and the Sunday re-open no new trades start.
+  const afterFridayClose = (time) => {
+    const lastClose = nextWeeklyBoundary(time - 7 * TIMEFRAME_MS.daily, 5, exits.fridayCloseHourNY, NEW_YORK);
+    return time - lastClose < 2 * TIMEFRAME_MS.daily;
+  };
+
+  // Session/Friday boundaries that force the position flat, or null.
+  const flatBoundaryReason = (pos, time) => {
+    if (pos.fridayCloseAt !== null && time >= pos.fridayCloseAt) return 'Friday';
+    if (pos.sessionEndAt !== null && time >= pos.sessionEndAt) return 'Session';
+    return null;
+  };
+
+  // Time-based exits. A boundary already passed when the candle opens (a gap
+  // over the weekend or missing bars) is filled at the open; otherwise the
+  // position is closed at the close of the candle that reaches it.
+  const applyTimeExits = (pos, j, spread, atOpen) => {
+    if (atOpen) {
+      const reason = flatBoundaryReason(pos, time[j]);
+      if (reason) closeAtMarket(pos, j, spread, reason, opens[j]);
+      return Boolean(reason);
+    }
+    const reason = flatBoundaryReason(pos, time[j] + barMs) ||
+      (exits.maxHoldingBars > 0 && j - pos.entryIndex >= exits.maxHoldingBars ? 'MaxHold' : null);
+    if (reason) closeAtMarket(pos, j, spread, reason);
+    return Boolean(reason);
+  };
+
+  // Returns true once the position has been closed on this candle. The
+  // stop that was in place when the candle opened is checked first; the
+  // trailing stop only ratchets on the close of a candle that survived.
+  // Candles covered by ticks or M1 are replayed on those instead, which
+  // also ratchets the trailing stop inside the candle. `ambiguous` always
+  // describes the candle itself. On the candle a limit entry fills on
+  // (`filled`) only the part after the fill is checked.
+  const managePosition = (pos, j, spread, filled = false) => {
+    const bar = filled ? afterFill(pos, data, j) : data;
+    const at = filled ? 0 : j;
+    const hit = levelsHit(pos, bar, at, spread);
+    const ambiguous = hit.sl && hit.tp;
+    const replayed = replayBar({
+      pos,
+      data,
+      index: j,
+      barMs,
+      policy: intrabar.policy,
+      bars: intrabar.bars,
+      ticks: intrabar.ticks,
+      trailDistance: params.useTrailingStop ? trailDistance : 0,
+      costs,
+      instrument,
+      filled
+    });
+
+    let exit = hit.sl ? 'SL' : hit.tp ? 'TP' : null;
+    let level = exit === 'SL' ? pos.sl : pos.tp;
+    let fill = level;
+    let resolvedBy = null;
+    if (replayed) {
+      ({ exit, level, fill } = replayed);
+      if (ambiguous) resolvedBy = replayed.resolvedBy;
+    } else if (ambiguous) {
+      exit = resolveByPolicy(pos, bar, at, spread, intrabar.policy);
+      level = fill = exit === 'SL' ? pos.sl : pos.tp;
+      resolvedBy = intrabar.policy;
+    }
+
+    const dir = pos.type === 'long' ? 1 : -1;
+    if (exit === 'SL') {
+      const slippage = slippageFor(costs, instrument, random);
+      closePosition(pos, j, level, fill - dir * slippage, 'SL', { ambiguous, resolvedBy }, spread);
+      return true;
+    }
+    if (exit === 'TP') {
+      closePosition(pos, j, level, fill, 'TP', { ambiguous, resolvedBy }, spread);
+      return true;
+    }
+
+    if (params.useTrailingStop && !replayed) {
+      const newSL = closes[j] - dir * trailDistance;
+      if (dir * (newSL - pos.sl) > 0) pos.sl = newSL;
+    }
+    return false;
+  };
+
+  const firstIndex = signals.reduce((min, s) => Math.min(min, s.index), data.length);
+
+  for (let j = firstIndex; j < data.length; j++) {
+    const spread = spreadAt(data.spread[j], costs, instrument);
+    const closeTime = time[j] + barMs;
+
+    open = open.filter(pos =>
+      !applyTimeExits(pos, j, spread, true) &&
+      !managePosition(pos, j, spread) &&
+      !applyTimeExits(pos, j, spread, false)
+    );
+
+    const day = tradingDayKey(time[j]);
+    if (day !== lastDay) {
+      tradesThisDay = 0;
+      lastDay = day;
+    }
+
+    for (const signal of signalsAt.get(j) || []) {
+      if (balance <= 0) break;
+      if (tradesThisDay >= params.maxTradesPerDay) break;
+      if (params.useKillZones && !inKillZone(time[j])) break;
+      if (exits.closeOnFriday && afterFridayClose(closeTime)) break;
+
+      const opposite = open.filter(p => p.type !== signal.type);
+      if (opposite.length > 0 && exposure.oppositeSignal !== 'hedge') {
+        if (exposure.oppositeSignal === 'ignore') continue;
+        const reason = exposure.oppositeSignal === 'reverse' ? 'Reverse' : 'Opposite';
+        opposite.forEach(pos => closeAtMarket(pos, j, spread, reason));
+        open = open.filter(p => p.type === signal.type);
+        if (exposure.oppositeSignal === 'close') continue;
+      }
+      if (exposure.onePerDirection && open.some(p => p.type === signal.type)) continue;
+      if (open.length >= exposure.maxOpenPositions) continue;
+
+      const entry = signal.price;
+      const { lots, riskAmount } = positionSize({
+        sizing,
+        balance,
+        slDistance,
+        price: entry,
+        instrument,
+        history: trades
+      });
+      if (lots <= 0) continue;
+
+      const equity = balance + open.reduce((sum, p) => sum + unrealizedPnl(p, closes[j], spread, instrument), 0);
+      const usedMargin = open.reduce((sum, p) => sum + marginFor(p.lots, p.entry), 0);
+      if (usedMargin + marginFor(lots, entry) > equity) continue;
+
+      const long = signal.type === 'long';
+      const quote = quoteAt(intrabar.ticks, closeTime, barMs);
+      const pos = {
+        sessionEndAt: exits.closeAtSessionEnd ? nextDailyBoundary(closeTime, exits.sessionEndHourNY, NEW_YORK) : null,
+        fridayCloseAt: exits.closeOnFriday ? nextWeeklyBoundary(closeTime, 5, exits.fridayCloseHourNY, NEW_YORK) : null,
+        signal,
+        type: signal.type,
+        entryIndex: j,
+        entry,
+        entryFill: quote && !signal.limit ? (long ? quote.ask : quote.bid) : long ? entry + spread : entry,
+        sl: long ? entry - slDistance : entry + slDistance,
+        tp: long ? entry + tpDistance : entry - tpDistance,
+        lots,
+        riskAmount
+      };
+      tradesThisDay++;
+      // Limit entries fill inside the candle, which may then reach SL or TP.
+      if (!signal.limit || !managePosition(pos, j, spread, true)) open.push(pos);
+    }
+
+    const equity = balance + open.reduce((sum, p) => sum + unrealizedPnl(p, closes[j], spread, instrument), 0);
+    const usedMargin = open.reduce((sum, p) => sum + marginFor(p.lots, p.entry), 0);
+    if (equity > peak) peak = equity;
+    const dd = peak > 0 ? ((peak - equity) / peak) * 100 : 0;
+    if (dd > maxDD) maxDD = dd;
+    if (usedMargin > maxMarginUsed) maxMarginUsed = usedMargin;
+    if (open.length > maxConcurrent) maxConcurrent = open.length;
+  }
+
+  if (data.length > 0) {
+    const last = data.length - 1;
+    const spread = spreadAt(data.spread[last], costs, instrument);
+    open.forEach(pos => closeAtMarket(pos, last, spread, 'End'));
+  }
+
+  if (trades.length === 0) return null;
+
+  return {
+    trades,
+    metrics: summarizeTrades({ trades, initialBalance, balance, maxDD, maxMarginUsed, maxConcurrent })
+  };
+};
@@ -0,0 +1,227 @@
+import { simulateTrades } from './simulator.js';
+import { TIMEFRAME_MS } from './timeframes.js';
+import { toSeries, toCandles, createTickBuilder } from './series.js';
+import { START, EURUSD, PARAMS, CONTEXT, makeCandle, flatCandles } from './__fixtures__/candles.js';
+
+const M5 = TIMEFRAME_MS.m5;
+const M1 = TIMEFRAME_MS.m1;
+
+const signal = (data, index, type = 'long') => ({
+  index,
+  type,
+  setup: 'momentum',
+  price: data.close[index],
+  timestamp: new Date(data.time[index]),
+  bodyPercent: 0.8
+});
+
+// Flat series at 1.1 with `candle` (open, high, low, close) placed at `at`.
+const withCandle = (at, [open, high, low, close], count = 20) => {
+  const candles = toCandles(flatCandles(count));
+  candles[at] = makeCandle(START + at * M5, open, high, low, close);
+  return toSeries(candles);
+};
+
+// Tick series from [time, bid, ask] quotes.
+const ticksFrom = (quotes) => {
+  const builder = createTickBuilder();
+  quotes.forEach(([time, bid, ask]) => builder.push(time, bid, ask));
+  return builder.finish();
+};
+
+const simulate = (data, signals, overrides = {}) => simulateTrades({
+  data,
+  signals,
+  params: PARAMS,
+  instrument: EURUSD,
+  costs: CONTEXT.costs,
+  sizing: CONTEXT.sizing,
+  exposure: CONTEXT.exposure,
+  exits: CONTEXT.exits,
+  barMs: M5,
+  intrabar: { policy: 'pessimistic', bars: null },
+  ...overrides
+});
+
+describe('simulateTrades', () => {
+  test('closes a long at take profit for RR x the stop in pips', () => {
+    const data = withCandle(8, [1.1, 1.1021, 1.0999, 1.102]);
+    const { trades, metrics } = simulate(data, [signal(data, 5)]);
+
+    expect(trades).toHaveLength(1);
+    expect(trades[0]).toMatchObject({ reason: 'TP', outcome: 'win', ambiguous: false });
+    expect(trades[0].exitPrice).toBeCloseTo(1.102, 10);
+    expect(trades[0].pnl).toBeCloseTo(2, 10);
+    expect(metrics.finalBalance).toBe('10002.00');
+  });
+
+  test('closes a short at stop loss', () => {
+    const data = withCandle(8, [1.1, 1.1012, 1.0999, 1.101]);
+    const { trades } = simulate(data, [signal(data, 5, 'short')]);
+
+    expect(trades[0]).toMatchObject({ reason: 'SL', outcome: 'loss' });
+    expect(trades[0].pnl).toBeCloseTo(-1, 10);
+  });
+
+  test('charges longs and shorts the same spread at their target', () => {
+    const costs = { ...CONTEXT.costs, spreadPips: 1 };
+    const long = withCandle(8, [1.1, 1.1021, 1.0999, 1.102]);
+    const short = withCandle(8, [1.1, 1.1001, 1.0978, 1.098]);
+    const [longTrade] = simulate(long, [signal(long, 5)], { costs }).trades;
+    const [shortTrade] = simulate(short, [signal(short, 5, 'short')], { costs }).trades;
+
+    expect(shortTrade).toMatchObject({ reason: 'TP', exitFill: 1.098 });
+    [longTrade, shortTrade].forEach(trade => {
+      expect(trade.executionCost).toBeCloseTo(0.1, 10);
+      expect(trade.grossPnl - trade.pnl).toBeCloseTo(0.1, 10);
+    });
+  });
+
+  describe('same-candle SL and TP', () => {
+    const data = withCandle(8, [1.1, 1.1025, 1.0985, 1.1]);
+
+    test('follows the configured policy and flags the trade', () => {
+      const pessimistic = simulate(data, [signal(data, 5)]).trades[0];
+      const optimistic = simulate(data, [signal(data, 5)], { intrabar: { policy: 'optimistic', bars: null } }).trades[0];
+
+      expect(pessimistic).toMatchObject({ reason: 'SL', ambiguous: true, resolvedBy: 'pessimistic' });
+      expect(optimistic).toMatchObject({ reason: 'TP', ambiguous: true, resolvedBy: 'optimistic' });
+    });
+
+    test('replays M1 bars when they cover the candle', () => {
+      const t = START + 8 * M5;
+      const m1 = toSeries([
+        makeCandle(t, 1.1, 1.1025, 1.0998, 1.102),
+        makeCandle(t + M1, 1.102, 1.102, 1.0985, 1.099)
+      ]);
+      const [trade] = simulate(data, [signal(data, 5)], { intrabar: { policy: 'pessimistic', bars: m1 } }).trades;
+
+      expect(trade).toMatchObject({ reason: 'TP', ambiguous: true, resolvedBy: 'm1' });
+    });
+  });
+
+  describe('tick replay', () => {
+    test('trails the stop tick by tick and fills stops at the triggering bid', () => {
+      const data = withCandle(8, [1.1001, 1.1015, 1.1001, 1.1009]);
+      const t = START + 8 * M5;
+      const ticks = ticksFrom([
+        [START + 6 * M5, 1.1, 1.10012],
+        [t, 1.1001, 1.1002],
+        [t + 1000, 1.1015, 1.1016],
+        [t + 2000, 1.1009, 1.101]
+      ]);
+      const params = { ...PARAMS, useTrailingStop: true, trailingStopPips: 5 };
+      const onBars = simulate(data, [signal(data, 5)], { params }).trades[0];
+      const [trade] = simulate(data, [signal(data, 5)], { params, intrabar: { policy: 'pessimistic', bars: null, ticks } }).trades;
+
+      expect(onBars.exitTime).toEqual(new Date(data.time[9]));
+      expect(trade).toMatchObject({ reason: 'SL', entryFill: 1.10012, ambiguous: false, resolvedBy: null });
+      expect(trade.exitTime).toEqual(new Date(t));
+      expect(trade.exitPrice).toBeCloseTo(1.101, 10);
+      expect(trade.exitFill).toBe(1.1009);
+    });
+
+    test('closes shorts on the ask', () => {
+      const data = flatCandles(20);
+      const ticks = ticksFrom([[START + 8 * M5, 1.1008, 1.1011]]);
+      const [trade] = simulate(data, [signal(data, 5, 'short')], { intrabar: { policy: 'pessimistic', bars: null, ticks } }).trades;
+
+      expect(trade).toMatchObject({ reason: 'SL', entryFill: 1.1, exitFill: 1.1011 });
+      expect(trade.exitPrice).toBeCloseTo(1.101, 10);
+    });
+  });
+
+  describe('limit entries', () => {
+    const limit = (data, index) => ({ ...signal(data, index), price: 1.1, limit: true });
+
+    test('are stopped out on the candle they fill on', () => {
+      const data = withCandle(5, [1.102, 1.1022, 1.0985, 1.099]);
+      const [trade] = simulate(data, [limit(data, 5)]).trades;
+
+      expect(trade).toMatchObject({ reason: 'SL', entry: 1.1, entryFill: 1.1, ambiguous: false });
+      expect(trade.exitTime).toEqual(new Date(data.time[5]));
+    });
+
+    test('ignore a target reached before the fill', () => {
+      const data = withCandle(5, [1.1025, 1.1025, 1.0995, 1.1002]);
+
+      expect(simulate(data, [limit(data, 5)]).trades[0].reason).toBe('End');
+    });
+
+    test('replay M1 from the bar that fills them', () => {
+      const data = withCandle(5, [1.1, 1.1025, 1.0985, 1.1]);
+      const t = START + 5 * M5;
+      const m1 = toSeries([
+        makeCandle(t, 1.1, 1.1025, 1.1005, 1.1015),
+        makeCandle(t + M1, 1.1015, 1.1016, 1.0998, 1.1),
+        makeCandle(t + 2 * M1, 1.1, 1.1, 1.0985, 1.0988)
+      ]);
+      const [trade] = simulate(data, [limit(data, 5)], { intrabar: { policy: 'optimistic', bars: m1 } }).trades;
+
+      expect(trade).toMatchObject({ reason: 'SL', resolvedBy: 'm1' });
+    });
+  });
+
+  test('counts a trailed stop closing in profit as a win', () => {
+    const candles = toCandles(flatCandles(20));
+    candles[6] = makeCandle(START + 6 * M5, 1.1, 1.1016, 1.1, 1.1015);
+    candles[7] = makeCandle(START + 7 * M5, 1.1015, 1.1015, 1.1003, 1.1005);
+    const data = toSeries(candles);
+    const params = { ...PARAMS, useTrailingStop: true, trailingStopPips: 10 };
+    const { trades, metrics } = simulate(data, [signal(data, 5)], { params });
+
+    expect(trades[0]).toMatchObject({ reason: 'SL', outcome: 'win' });
+    expect(trades[0].pnl).toBeCloseTo(0.5, 10);
+    expect(metrics).toMatchObject({ wins: 1, losses: 0, winRate: '100.00', avgLoss: '0.00' });
+  });
+
+  test('closes positions still open at the end of the data', () => {
+    const data = flatCandles(20);
+    const { trades, metrics } = simulate(data, [signal(data, 5)]);
+
+    expect(trades[0]).toMatchObject({ reason: 'End', exitPrice: 1.1 });
+    expect(metrics.exitReasons).toEqual({ End: 1 });
+  });
+
+  test('closes after the maximum holding period', () => {
+    const data = flatCandles(20);
+    const exits = { ...CONTEXT.exits, maxHoldingBars: 3 };
+    const [trade] = simulate(data, [signal(data, 5)], { exits }).trades;
+
+    expect(trade.reason).toBe('MaxHold');
+    expect(trade.exitTime).toEqual(new Date(data.time[8]));
+  });
+
+  test('applies the exposure limits', () => {
+    const data = flatCandles(20);
+    const signals = [signal(data, 5), signal(data, 6)];
+
+    expect(simulate(data, signals).trades).toHaveLength(1);
+
+    const exposure = { ...CONTEXT.exposure, maxOpenPositions: 2, onePerDirection: false };
+    expect(simulate(data, signals, { exposure }).trades).toHaveLength(2);
+  });
+
+  test('reverses into an opposite signal when configured', () => {
+    const data = flatCandles(20);
+    const exposure = { ...CONTEXT.exposure, oppositeSignal: 'reverse' };
+    const { trades } = simulate(data, [signal(data, 5), signal(data, 7, 'short')], { exposure });
+
+    expect(trades.map(t => [t.type, t.reason])).toEqual([['long', 'Reverse'], ['short', 'End']]);
+  });
+
+  test('keeps sampling in Kelly mode after a losing streak', () => {
+    const candles = toCandles(flatCandles(20));
+    [3, 6].forEach(at => { candles[at] = makeCandle(START + at * M5, 1.1, 1.1001, 1.0985, 1.1); });
+    candles[9] = makeCandle(START + 9 * M5, 1.1, 1.1025, 1.0999, 1.1);
+    const data = toSeries(candles);
+    const sizing = { ...CONTEXT.sizing, mode: 'kelly', kellyMinTrades: 2 };
+    const { trades } = simulate(data, [2, 5, 8, 11].map(i => signal(data, i)), { sizing });
+
+    expect(trades.map(t => [t.reason, t.lots])).toEqual([['SL', 1], ['SL', 0.99], ['TP', 0.01], ['End', 0.01]]);
+  });
+
+  test('returns null when nothing traded', () => {
+    expect(simulate(flatCandles(20), [])).toBeNull();
+  });
+});
@@ -0,0 +1,79 @@
+import { priceToPips, pipValuePerLot } from './instruments.js';
+
+export const SIZING_MODES = {
+  fixedLots: 'Fixed lots',
+  riskPercent: '% of equity',
+  fixedRisk: 'Fixed $ risk',
+  kelly: 'Fractional Kelly'
+};
+
+export const DEFAULT_SIZING = {
+  initialBalance: 10000,
+  mode: 'fixedLots',
+  lots: 0.01,
+  riskPercent: 1,
+  riskAmount: 100,
+  kellyFraction: 0.25,
+  kellyLookback: 50,
+  kellyMinTrades: 20,
+  kellyMaxPercent: 5,
+  minLots: 0.01,
+  maxLots: 100,
+  lotStep: 0.01
+};
+
+// Kelly fraction f* = W - (1 - W) / R from the R-multiples of the last
+// `lookback` closed trades. Returns null until enough trades exist.
+export const kellyFraction = (history, lookback, minTrades) => {
+  const recent = history.slice(-lookback).filter(t => t.riskAmount > 0);
+  if (recent.length < minTrades) return null;
+
+  const rs = recent.map(t => t.pnl / t.riskAmount);
+  const wins = rs.filter(r => r > 0);
+  const losses = rs.filter(r => r <= 0);
+  if (wins.length === 0) return 0;
+  if (losses.length === 0) return 1;
+
+  const winRate = wins.length / rs.length;
+  const avgWin = wins.reduce((sum, r) => sum + r, 0) / wins.length;
+  const avgLoss = Math.abs(losses.reduce((sum, r) => sum + r, 0) / losses.length);
+  if (avgLoss === 0) return 1;
+  return winRate - (1 - winRate) / (avgWin / avgLoss);
+};
+
+const roundLots = (lots, sizing) => {
+  const stepped = Math.floor(lots / sizing.lotStep + 1e-9) * sizing.lotStep;
+  return Math.min(sizing.maxLots, Math.max(sizing.minLots, Number(stepped.toFixed(8))));
+};
+
+// Lots and money at risk for a trade whose stop sits `slDistance` away from
+// `price`. `history` is the list of already closed trades (for Kelly).
+// While Kelly sees no edge (f* <= 0) trades still go on at `minLots`, so
+// the history keeps growing and can recover.
+export const positionSize = ({ sizing, balance, slDistance, price, instrument, history = [] }) => {
+  const riskPerLot = priceToPips(slDistance, instrument) * pipValuePerLot(instrument, price);
+
+  let lots;
+  if (sizing.mode === 'fixedLots' || !(riskPerLot > 0)) {
+    lots = sizing.lots;
+  } else {
+    let riskBudget;
+    if (sizing.mode === 'fixedRisk') {
+      riskBudget = sizing.riskAmount;
+    } else if (sizing.mode === 'kelly') {
+      const f = kellyFraction(history, sizing.kellyLookback, sizing.kellyMinTrades);
+      if (f !== null && f <= 0) return { lots: sizing.minLots, riskAmount: sizing.minLots * riskPerLot };
+      const pct = f === null
+        ? sizing.riskPercent
+        : Math.min(sizing.kellyMaxPercent, Math.max(0, f * sizing.kellyFraction * 100));
+      riskBudget = balance * pct / 100;
+    } else {
+      riskBudget = balance * sizing.riskPercent / 100;
+    }
+    if (riskBudget <= 0) return { lots: 0, riskAmount: 0 };
+    lots = riskBudget / riskPerLot;
+  }
+
+  lots = roundLots(lots, sizing);
+  return { lots, riskAmount: lots * riskPerLot };
+};
@@ -0,0 +1,58 @@
+import { DEFAULT_SIZING, kellyFraction, positionSize } from './sizing.js';
+import { pipsToPrice } from './instruments.js';
+import { EURUSD } from './__fixtures__/candles.js';
+
+const size = (sizing, history) => positionSize({
+  sizing: { ...DEFAULT_SIZING, ...sizing },
+  balance: 10000,
+  slDistance: pipsToPrice(10, EURUSD),
+  price: 1.1,
+  instrument: EURUSD,
+  history
+});
+
+// Alternating +2R / -1R trades: W = 0.5, R = 2, so f* = 0.25.
+const history = Array.from({ length: 20 }, (_, i) => ({ riskAmount: 100, pnl: i % 2 ? 200 : -100 }));
+
+describe('positionSize', () => {
+  test('uses the configured lots in fixed mode', () => {
+    expect(size({ mode: 'fixedLots', lots: 0.3 }).lots).toBe(0.3);
+  });
+
+  test('risks a percentage of the balance', () => {
+    const { lots, riskAmount } = size({ mode: 'riskPercent', riskPercent: 1 });
+    expect(lots).toBe(1);
+    expect(riskAmount).toBeCloseTo(100, 10);
+  });
+
+  test('risks a fixed amount', () => {
+    expect(size({ mode: 'fixedRisk', riskAmount: 50 }).lots).toBe(0.5);
+  });
+
+  test('rounds down to the lot step and clamps to the limits', () => {
+    expect(size({ mode: 'fixedRisk', riskAmount: 57.99 }).lots).toBe(0.57);
+    expect(size({ mode: 'fixedRisk', riskAmount: 0.01 }).lots).toBe(0.01);
+    expect(size({ mode: 'fixedRisk', riskAmount: 1e9 }).lots).toBe(100);
+  });
+
+  test('falls back to % risk until Kelly has enough history, then caps it', () => {
+    expect(size({ mode: 'kelly', riskPercent: 1 }, []).lots).toBe(1);
+    // 0.25 * 0.25 = 6.25% -> capped at 5%.
+    expect(size({ mode: 'kelly' }, history).lots).toBe(5);
+  });
+
+  test('keeps trading the minimum size while Kelly sees no edge', () => {
+    const losses = history.map(t => ({ ...t, pnl: -100 }));
+    const { lots, riskAmount } = size({ mode: 'kelly', minLots: 0.02 }, losses);
+
+    expect(lots).toBe(0.02);
+    expect(riskAmount).toBeCloseTo(2, 10);
+  });
+});
+
+describe('kellyFraction', () => {
+  test('computes W - (1 - W) / R over the lookback', () => {
+    expect(kellyFraction(history, 50, 20)).toBeCloseTo(0.25, 10);
+    expect(kellyFraction(history, 50, 21)).toBeNull();
+  });
+});
@@ -0,0 +1,156 @@
+import { cached } from './indicators.js';
+
+// Market structure on any timeframe: fractal swing highs/lows, and the
+// break of structure (BOS, a break in the direction of the trend) and
+// change of character (CHoCH, the first break against it) events they
+// produce. Events can add entry signals (M5) and score confluence
+// (combined strategy).
+
+export const STRUCTURE_ENTRY_MODES = {
+  off: 'No structure entries',
+  bos: 'BOS only',
+  choch: 'CHoCH only',
+  both: 'BOS and CHoCH'
+};
+
+export const STRUCTURE_BREAKS = {
+  close: 'Candle close beyond the swing',
+  wick: 'Wick beyond the swing'
+};
+
+export const STRUCTURE_TIMEFRAMES = ['m5', 'h1', 'h4', 'daily'];
+
+// swingStrength  candles on each side of a fractal swing high/low
+// breakOn        what breaks a swing (STRUCTURE_BREAKS)
+// entries        M5 events added as signals (STRUCTURE_ENTRY_MODES)
+// timeframe      timeframe whose latest event scores confluence
+// bosWeight      confluence added when that event is a BOS in the signal's direction
+// chochWeight    confluence added when it is a CHoCH in the signal's direction
+// penalty        confluence removed when it points against the signal
+export const DEFAULT_STRUCTURE = {
+  swingStrength: 2,
+  breakOn: 'close',
+  entries: 'off',
+  timeframe: 'h1',
+  bosWeight: 0,
+  chochWeight: 0,
+  penalty: 0
+};
+
+// Whether prices[j] is strictly above (side 'high') or below ('low') the
+// `strength` values on either side of it.
+export const isSwing = (prices, j, strength, side) => {
+  for (let k = j - strength; k <= j + strength; k++) {
+    if (k === j) continue;
+    if (side === 'high' ? prices[k] >= prices[j] : prices[k] <= prices[j]) return false;
+  }
+  return true;
+};
+
+// Swing points in bar order, { index, type: 'high'|'low', price,
+// confirmedIndex }. A swing is only known once `strength` more candles
+// have closed, at `confirmedIndex`.
+export const findSwings = (series, strength = DEFAULT_STRUCTURE.swingStrength) => {
+  const swings = [];
+  const { high, low } = series;
+  for (let i = strength; i < series.length - strength; i++) {
+    if (isSwing(high, i, strength, 'high')) swings.push({ index: i, type: 'high', price: high[i], confirmedIndex: i + strength });
+    if (isSwing(low, i, strength, 'low')) swings.push({ index: i, type: 'low', price: low[i], confirmedIndex: i + strength });
+  }
+  return swings;
+};
+
+// Walks `series` candle by candle against the latest confirmed swing high
+// and low. Breaking one emits an event and uses the swing up; the trend
+// is the direction of the last break. Returns
+// { swings, events, trend, lastEvent } with
+//   events     { index, type: 'BOS'|'CHoCH', direction: 'bullish'|'bearish',
+//                level, swingIndex, timestamp }, in bar order
+//   trend      Int8Array per bar: 1 bullish, -1 bearish, 0 before any break
+//   lastEvent  Int32Array per bar: the latest event by its close, -1 before
+// With `breakOn: 'wick'` an outside candle can break both swings; a
+// bullish one is taken to have made its low first, a bearish one its high.
+export const buildStructure = (series, { swingStrength = DEFAULT_STRUCTURE.swingStrength, breakOn = DEFAULT_STRUCTURE.breakOn } = {}) => {
+  const swings = findSwings(series, swingStrength);
+  const events = [];
+  const trend = new Int8Array(series.length);
+  const lastEvent = new Int32Array(series.length).fill(-1);
+  const { time, open, high, low, close } = series;
+  let next = 0;
+  let swingHigh = null;
+  let swingLow = null;
+  let state = 0;
+
+  const breakSwing = (i, swing, dir) => {
+    events.push({
+      index: i,
+      type: state === -dir ? 'CHoCH' : 'BOS',
+      direction: dir === 1 ? 'bullish' : 'bearish',
+      level: swing.price,
+      swingIndex: swing.index,
+      timestamp: new Date(time[i])
+    });
+    state = dir;
+  };
+  const breakHigh = (i) => {
+    breakSwing(i, swingHigh, 1);
+    swingHigh = null;
+  };
+  const breakLow = (i) => {
+    breakSwing(i, swingLow, -1);
+    swingLow = null;
+  };
+
+  for (let i = 0; i < series.length; i++) {
+    while (next < swings.length && swings[next].confirmedIndex <= i) {
+      const swing = swings[next++];
+      if (swing.type === 'high') swingHigh = swing;
+      else swingLow = swing;
+    }
+
+    const up = swingHigh !== null && (breakOn === 'wick' ? high[i] : close[i]) > swingHigh.price;
+    const down = swingLow !== null && (breakOn === 'wick' ? low[i] : close[i]) < swingLow.price;
+    const bullish = close[i] >= open[i];
+    if (down && bullish) breakLow(i);
+    if (up) breakHigh(i);
+    if (down && !bullish) breakLow(i);
+
+    trend[i] = state;
+    lastEvent[i] = events.length - 1;
+  }
+  return { swings, events, trend, lastEvent };
+};
+
+export const structureOf = (series, structure = DEFAULT_STRUCTURE) =>
+  cached(series, `structure:${structure.swingStrength}:${structure.breakOn}`, () => buildStructure(series, structure));
+
+// The events of `data` picked by `structure.entries`, as signals at the
+// close of the breaking candle.
+export const structureSignals = (data, structure = DEFAULT_STRUCTURE) => {
+  if (structure.entries === 'off') return [];
+  const { time, open, high, low, close } = data;
+  return structureOf(data, structure).events
+    .filter(event => structure.entries === 'both' || event.type.toLowerCase() === structure.entries)
+    .map(event => {
+      const i = event.index;
+      const range = high[i] - low[i];
+      return {
+        index: i,
+        type: event.direction === 'bullish' ? 'long' : 'short',
+        setup: event.type,
+        price: close[i],
+        timestamp: new Date(time[i]),
+        bodyPercent: ((range > 0 ? Math.abs(close[i] - open[i]) / range : 0) * 100).toFixed(1)
+      };
+    });
+};
+
+// Confluence from the latest structure event a signal can see (or null).
+export const structureScore = (signal, event, structure = DEFAULT_STRUCTURE) => {
+  if (!event) return 0;
+  if ((event.direction === 'bullish') !== (signal.type === 'long')) return -structure.penalty;
+  return event.type === 'CHoCH' ? structure.chochWeight : structure.bosWeight;
+};
+
+export const scoresStructure = (structure = DEFAULT_STRUCTURE) =>
+  structure.bosWeight !== 0 || structure.chochWeight !== 0 || structure.penalty !== 0;
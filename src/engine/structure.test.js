@@ -0,0 +1,109 @@
+import { findSwings, buildStructure, structureSignals, structureScore, DEFAULT_STRUCTURE } from './structure.js';
+import { calculateConfluence } from './detectors.js';
+import { generateSignals } from './backtest.js';
+import { toSeries, toCandles } from './series.js';
+import { EURUSD, PARAMS, CONTEXT, pipCandles, waveCandles } from './__fixtures__/candles.js';
+
+// Swing high at 2 (20) and low at 4 (2), both with strength 1. Candle 6
+// closes above 20, candle 8 below 2 after a new swing high at 6 (25), and
+// candle 9 only wicks above that.
+const data = pipCandles([
+  [0, 5, -5, 0],
+  [0, 10, -2, 8],
+  [8, 20, 5, 15],
+  [15, 18, 8, 10],
+  [10, 12, 2, 4],
+  [4, 14, 3, 13],
+  [13, 25, 12, 22],
+  [22, 24, 10, 12],
+  [12, 13, 0, 1],
+  [1, 30, -1, 20]
+]);
+
+test('findSwings labels fractal highs and lows once they are confirmed', () => {
+  expect(findSwings(data, 1).map(({ index, type, confirmedIndex }) => [index, type, confirmedIndex])).toEqual([
+    [2, 'high', 3],
+    [4, 'low', 5],
+    [6, 'high', 7]
+  ]);
+});
+
+describe('buildStructure', () => {
+  test('breaks with the trend are BOS, the first one against it a CHoCH', () => {
+    const { events, trend, lastEvent } = buildStructure(data, { swingStrength: 1, breakOn: 'close' });
+
+    expect(events.map(({ index, type, direction, swingIndex }) => [index, type, direction, swingIndex])).toEqual([
+      [6, 'BOS', 'bullish', 2],
+      [8, 'CHoCH', 'bearish', 4]
+    ]);
+    expect(events[0].level).toBeCloseTo(1.102, 10);
+    expect(Array.from(trend)).toEqual([0, 0, 0, 0, 0, 0, 1, 1, -1, -1]);
+    expect(Array.from(lastEvent)).toEqual([-1, -1, -1, -1, -1, -1, 0, 0, 1, 1]);
+  });
+
+  test('can count wicks beyond the swing as breaks', () => {
+    const { events } = buildStructure(data, { swingStrength: 1, breakOn: 'wick' });
+    expect(events.map(e => `${e.index} ${e.type} ${e.direction}`)).toEqual([
+      '6 BOS bullish',
+      '8 CHoCH bearish',
+      '9 CHoCH bullish'
+    ]);
+  });
+});
+
+test('structureSignals turns the chosen events into signals at the breaking close', () => {
+  const structure = { ...DEFAULT_STRUCTURE, swingStrength: 1 };
+
+  expect(structureSignals(data, structure)).toEqual([]);
+  expect(structureSignals(data, { ...structure, entries: 'choch' })).toEqual([
+    { index: 8, type: 'short', setup: 'CHoCH', price: data.close[8], timestamp: new Date(data.time[8]), bodyPercent: '84.6' }
+  ]);
+  expect(structureSignals(data, { ...structure, entries: 'both' }).map(s => s.type)).toEqual(['long', 'short']);
+});
+
+test('the latest event scores signals with it up and against it down', () => {
+  const structure = { ...DEFAULT_STRUCTURE, bosWeight: 1, chochWeight: 2, penalty: 0.5 };
+  const choch = { type: 'CHoCH', direction: 'bearish' };
+
+  expect(structureScore({ type: 'short' }, choch, structure)).toBe(2);
+  expect(structureScore({ type: 'long' }, choch, structure)).toBe(-0.5);
+  expect(structureScore({ type: 'long' }, { type: 'BOS', direction: 'bullish' }, structure)).toBe(1);
+  expect(structureScore({ type: 'long' }, null, structure)).toBe(0);
+  expect(calculateConfluence({ type: 'short', price: 1.1 }, { structure: choch }, EURUSD, undefined, structure)).toBe(2);
+});
+
+describe('generateSignals with market structure', () => {
+  // Neighbouring waveCandles share their highs and lows, so no strict
+  // fractal forms; uneven wicks break the ties.
+  const m5 = toSeries(toCandles(waveCandles(600)).map((c, i) => ({
+    ...c,
+    high: c.high + (i % 3) * 0.00005,
+    low: c.low - (i % 3) * 0.00005
+  })));
+  const files = { m5 };
+
+  test('adds BOS/CHoCH entries in bar order', () => {
+    const plain = generateSignals(files.m5, files, PARAMS, CONTEXT);
+    const signals = generateSignals(files.m5, files, PARAMS, { ...CONTEXT, structure: { ...DEFAULT_STRUCTURE, entries: 'both' } });
+    const added = signals.filter(s => s.setup === 'BOS' || s.setup === 'CHoCH');
+
+    expect(added.length).toBeGreaterThan(0);
+    expect(signals.length).toBeGreaterThanOrEqual(plain.length);
+    expect(signals.filter(s => !added.includes(s)).every(s => plain.some(p => p.index === s.index && p.type === s.type))).toBe(true);
+    expect(signals.every((s, i) => i === 0 || signals[i - 1].index <= s.index)).toBe(true);
+  });
+
+  test('scores the combined strategy by the latest event on the chosen timeframe', () => {
+    const structure = { ...DEFAULT_STRUCTURE, timeframe: 'm5', bosWeight: 1, chochWeight: 2, penalty: 0.5 };
+    const context = { ...CONTEXT, strategy: 'combined', structure };
+    const scored = generateSignals(files.m5, files, { ...PARAMS, minConfluence: -10 }, context);
+    const { events, lastEvent } = buildStructure(files.m5, structure);
+
+    expect(scored.length).toBeGreaterThan(0);
+    expect(new Set(scored.map(s => s.confluence))).toEqual(new Set([1, 2, -0.5]));
+    scored.forEach(s => {
+      const event = lastEvent[s.index] >= 0 ? events[lastEvent[s.index]] : null;
+      expect(s.confluence).toBe(structureScore(s, event, structure));
+    });
+  });
+});
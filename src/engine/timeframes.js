@@ -0,0 +1,35 @@
+import { wallTimeToUtc, zonedParts } from './timezones.js';
+
+export const TIMEFRAME_MS = {
+  m1: 60 * 1000,
+  m5: 5 * 60 * 1000,
+  h1: 60 * 60 * 1000,
+  h4: 4 * 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000
+};
+
+// Candle times are bar open times, so a bar is only known once its full
+// duration has elapsed.
+export const barCloseTime = (candles, index, barMs) => candles.time[index] + barMs;
+
+// `hour` and `weekday` below are wall-clock values in `timeZone` (see
+// timezones.js), so boundaries follow its DST changes.
+const boundaryOn = (p, daysAhead, hour, timeZone) => {
+  const d = new Date(Date.UTC(p.year, p.month - 1, p.day + daysAhead));
+  return wallTimeToUtc(d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate(), hour, 0, 0, timeZone);
+};
+
+// First time strictly after `time` that falls on `hour` (any weekday).
+export const nextDailyBoundary = (time, hour, timeZone = 'UTC') => {
+  const p = zonedParts(time, timeZone);
+  const today = boundaryOn(p, 0, hour, timeZone);
+  return today > time ? today : boundaryOn(p, 1, hour, timeZone);
+};
+
+// First time strictly after `time` that falls on `weekday` (0 = Sunday) at `hour`.
+export const nextWeeklyBoundary = (time, weekday, hour, timeZone = 'UTC') => {
+  const p = zonedParts(time, timeZone);
+  const ahead = (weekday - p.weekday + 7) % 7;
+  const boundary = boundaryOn(p, ahead, hour, timeZone);
+  return boundary > time ? boundary : boundaryOn(p, ahead + 7, hour, timeZone);
+};
@@ -0,0 +1,91 @@
+// Source time zones for uploaded data and the New York clock the strategy
+// runs on. Offsets come from Intl, so DST follows the IANA rules.
+
+export const NEW_YORK = 'America/New_York';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// `zone` is an IANA zone; `shiftHours` is added on top of it. Most MT4/MT5
+// brokers run their server clock at New York + 7h so the daily candle opens
+// at the 17:00 NY rollover (GMT+2 in winter, GMT+3 in summer, switching on
+// the US DST dates).
+export const TIMEZONE_PRESETS = {
+  UTC: { label: 'UTC / GMT', zone: 'UTC', shiftHours: 0 },
+  brokerNY: { label: 'Broker GMT+2/+3 (New York close, US DST)', zone: NEW_YORK, shiftHours: 7 },
+  brokerEU: { label: 'Broker GMT+2/+3 (EU DST)', zone: 'Europe/Athens', shiftHours: 0 },
+  fixedGMT2: { label: 'Fixed GMT+2', zone: 'UTC', shiftHours: 2 },
+  fixedGMT3: { label: 'Fixed GMT+3', zone: 'UTC', shiftHours: 3 },
+  newYork: { label: 'New York (ET)', zone: NEW_YORK, shiftHours: 0 },
+  london: { label: 'London (UK time)', zone: 'Europe/London', shiftHours: 0 }
+};
+
+export const DEFAULT_SOURCE_TIMEZONE = 'UTC';
+
+const formatters = new Map();
+const offsetCache = new Map();
+
+const formatterFor = (zone) => {
+  if (!formatters.has(zone)) {
+    formatters.set(zone, new Intl.DateTimeFormat('en-US', {
+      timeZone: zone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(zone);
+};
+
+// A preset key, or any IANA zone name. Throws a RangeError for unknown zones.
+export const resolveTimeZone = (key = DEFAULT_SOURCE_TIMEZONE) => {
+  if (TIMEZONE_PRESETS[key]) return TIMEZONE_PRESETS[key];
+  formatterFor(key);
+  return { label: key, zone: key, shiftHours: 0 };
+};
+
+// Offset of the IANA `zone` from UTC at the instant `utcMs`. Cached per
+// hour, since offsets only change on the hour.
+const ianaOffset = (utcMs, zone) => {
+  if (zone === 'UTC') return 0;
+  if (!offsetCache.has(zone)) offsetCache.set(zone, new Map());
+  const cache = offsetCache.get(zone);
+  const hour = Math.floor(utcMs / HOUR_MS);
+  if (!cache.has(hour)) {
+    const parts = {};
+    formatterFor(zone).formatToParts(new Date(hour * HOUR_MS)).forEach(p => { parts[p.type] = p.value; });
+    const wall = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+    cache.set(hour, wall - hour * HOUR_MS);
+  }
+  return cache.get(hour);
+};
+
+// Offset (ms) of the time zone `key` from UTC at `utcMs`.
+export const zoneOffset = (utcMs, key) => {
+  const { zone, shiftHours } = resolveTimeZone(key);
+  return ianaOffset(utcMs, zone) + shiftHours * HOUR_MS;
+};
+
+// UTC instant of a wall-clock time in `key`. The second pass settles times
+// close to a DST change; wall times skipped by a change move forward.
+export const wallTimeToUtc = (year, month, day, hour, minute, second, key) => {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  const guess = wall - zoneOffset(wall, key);
+  return wall - zoneOffset(guess, key);
+};
+
+// Wall-clock fields of `utcMs` in `key` (month 1-12, weekday 0 = Sunday).
+export const zonedParts = (utcMs, key) => {
+  const d = new Date(utcMs + zoneOffset(utcMs, key));
+  return {
+    year: d.getUTCFullYear(),
+    month: d.getUTCMonth() + 1,
+    day: d.getUTCDate(),
+    hour: d.getUTCHours(),
+    minute: d.getUTCMinutes(),
+    weekday: d.getUTCDay()
+  };
+};
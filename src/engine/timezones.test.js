@@ -0,0 +1,53 @@
+import { zoneOffset, wallTimeToUtc, zonedParts, resolveTimeZone, NEW_YORK } from './timezones.js';
+import { nextDailyBoundary, nextWeeklyBoundary } from './timeframes.js';
+import { inKillZone, tradingDayKey } from './sessions.js';
+
+const HOUR = 60 * 60 * 1000;
+const utc = (iso) => Date.parse(`${iso}Z`);
+
+describe('zoneOffset', () => {
+  test('follows US DST for New York-close brokers', () => {
+    expect(zoneOffset(utc('2024-01-15T12:00:00'), 'brokerNY')).toBe(2 * HOUR);
+    expect(zoneOffset(utc('2024-07-15T12:00:00'), 'brokerNY')).toBe(3 * HOUR);
+    // Between the US (10 March) and EU (31 March) switches the two differ.
+    expect(zoneOffset(utc('2024-03-20T12:00:00'), 'brokerNY')).toBe(3 * HOUR);
+    expect(zoneOffset(utc('2024-03-20T12:00:00'), 'brokerEU')).toBe(2 * HOUR);
+  });
+
+  test('supports fixed offsets and IANA names', () => {
+    expect(zoneOffset(utc('2024-07-15T12:00:00'), 'fixedGMT2')).toBe(2 * HOUR);
+    expect(zoneOffset(utc('2024-07-15T12:00:00'), 'Asia/Tokyo')).toBe(9 * HOUR);
+    expect(() => resolveTimeZone('Mars/Base')).toThrow(RangeError);
+  });
+});
+
+test('wallTimeToUtc and zonedParts round-trip across DST', () => {
+  const t = wallTimeToUtc(2024, 3, 10, 3, 30, 0, NEW_YORK);
+  expect(t).toBe(utc('2024-03-10T07:30:00'));
+  expect(zonedParts(t, NEW_YORK)).toMatchObject({ year: 2024, month: 3, day: 10, hour: 3, minute: 30, weekday: 0 });
+  // Broker midnight is 17:00 New York all year.
+  expect(wallTimeToUtc(2024, 7, 2, 0, 0, 0, 'brokerNY')).toBe(utc('2024-07-01T21:00:00'));
+  expect(wallTimeToUtc(2024, 1, 2, 0, 0, 0, 'brokerNY')).toBe(utc('2024-01-01T22:00:00'));
+});
+
+describe('New York boundaries', () => {
+  test('nextDailyBoundary and nextWeeklyBoundary keep the NY hour through DST', () => {
+    expect(nextDailyBoundary(utc('2024-01-15T12:00:00'), 17, NEW_YORK)).toBe(utc('2024-01-15T22:00:00'));
+    expect(nextDailyBoundary(utc('2024-07-15T12:00:00'), 17, NEW_YORK)).toBe(utc('2024-07-15T21:00:00'));
+    expect(nextWeeklyBoundary(utc('2024-03-06T12:00:00'), 5, 16, NEW_YORK)).toBe(utc('2024-03-08T21:00:00'));
+    expect(nextWeeklyBoundary(utc('2024-03-13T12:00:00'), 5, 16, NEW_YORK)).toBe(utc('2024-03-15T20:00:00'));
+  });
+
+  test('kill zones are in New York hours', () => {
+    expect(inKillZone(utc('2024-01-15T07:00:00'))).toBe(true);
+    expect(inKillZone(utc('2024-07-15T07:00:00'))).toBe(true);
+    expect(inKillZone(utc('2024-01-15T06:00:00'))).toBe(false);
+    expect(inKillZone(utc('2024-07-15T14:00:00'))).toBe(false);
+  });
+
+  test('the trading day rolls over at 17:00 New York', () => {
+    expect(tradingDayKey(utc('2024-01-05T21:55:00'))).toBe('2024.01.05');
+    expect(tradingDayKey(utc('2024-01-05T22:00:00'))).toBe('2024.01.06');
+    expect(tradingDayKey(utc('2024-07-05T21:00:00'))).toBe('2024.07.06');
+  });
+});
@@ -0,0 +1,25 @@
+import { barCloseTime } from './timeframes.js';
+
+// Walks forward from `fromIndex` until price trades through the far side of
+// the zone (mitigated) or closes beyond it (invalidated). The zone stays
+// usable until the close of that candle (`expiredIndex`).
+export const findZoneExpiry = (zone, data, fromIndex, barMs) => {
+  const bullish = zone.type === 'bullish';
+  const { high, low, close } = data;
+  for (let j = fromIndex; j < data.length; j++) {
+    const through = bullish ? low[j] < zone.bottom : high[j] > zone.top;
+    if (!through) continue;
+    const closedBeyond = bullish ? close[j] < zone.bottom : close[j] > zone.top;
+    return {
+      expiredAt: barCloseTime(data, j, barMs),
+      expiredIndex: j,
+      expiry: closedBeyond ? 'invalidated' : 'mitigated'
+    };
+  }
+  return { expiredAt: null, expiredIndex: null, expiry: null };
+};
+
+// A zone may only be used once the candle that confirmed it has closed, and
+// only until it has been mitigated or invalidated.
+export const isZoneActive = (zone, time) =>
+  zone.formedAt <= time && (zone.expiredAt === null || time < zone.expiredAt);
@@ -0,0 +1,126 @@
+// IndexedDB persistence for uploaded datasets and saved sessions.
+//
+// Stores:
+//   datasets  metadata only ({ id, symbol, timeframe, name, timeZone, from, to, bars, savedAt })
+//   candles   { id, candles } with the series (see engine/series.js), kept
+//             apart so listing datasets stays cheap
+//   sessions  { id, name, savedAt, datasetIds, state }
+//
+// The page autosaves to LAST_SESSION_ID and restores it on load.
+
+import { toSeries } from '../engine/series.js';
+
+const DB_NAME = 'ict-backtester';
+const DB_VERSION = 1;
+
+export const LAST_SESSION_ID = 'last';
+
+export const isStorageAvailable = () => typeof indexedDB !== 'undefined';
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!isStorageAvailable()) {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        ['datasets', 'candles', 'sessions'].forEach(store => {
+          if (!db.objectStoreNames.contains(store)) db.createObjectStore(store, { keyPath: 'id' });
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Runs `work(stores)` in one transaction over `storeNames` and resolves
+// with its result once the transaction has committed.
+export const withStores = async (storeNames, mode, work) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    const stores = Object.fromEntries(storeNames.map(name => [name, tx.objectStore(name)]));
+    let result;
+    Promise.resolve(work(stores)).then(value => { result = value; }, reject);
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+};
+
+// Metadata for a candle series. The id is derived from the content, so
+// importing the same file twice overwrites the stored copy.
+export const datasetRecord = (candles, { symbol, timeframe, name = '', timeZone = 'UTC' }) => {
+  const from = new Date(candles.time[0]);
+  const to = new Date(candles.time[candles.length - 1]);
+  return {
+    id: `${symbol}_${timeframe}_${from.toISOString()}_${to.toISOString()}_${candles.length}`,
+    symbol,
+    timeframe,
+    name,
+    timeZone,
+    from,
+    to,
+    bars: candles.length
+  };
+};
+
+export const saveDataset = async (candles, meta) => {
+  const record = { ...datasetRecord(candles, meta), savedAt: new Date() };
+  await withStores(['datasets', 'candles'], 'readwrite', ({ datasets, candles: store }) => {
+    datasets.put(record);
+    store.put({ id: record.id, candles });
+  });
+  return record;
+};
+
+export const listDatasets = async () => {
+  const records = await withStores(['datasets'], 'readonly', ({ datasets }) => requestToPromise(datasets.getAll()));
+  return records.sort((a, b) => a.symbol.localeCompare(b.symbol) || a.timeframe.localeCompare(b.timeframe) || b.savedAt - a.savedAt);
+};
+
+// Candle series of dataset `id`, or null when it has been deleted.
+// Datasets saved before the columnar layout hold candle objects and are
+// converted on load.
+export const loadDataset = async (id) => {
+  const record = await withStores(['candles'], 'readonly', ({ candles }) => requestToPromise(candles.get(id)));
+  return record ? toSeries(record.candles) : null;
+};
+
+export const deleteDataset = (id) => withStores(['datasets', 'candles'], 'readwrite', ({ datasets, candles }) => {
+  datasets.delete(id);
+  candles.delete(id);
+});
+
+export const saveSession = (id, { name = id, datasetIds = {}, state }) =>
+  withStores(['sessions'], 'readwrite', ({ sessions }) => {
+    sessions.put({ id, name, savedAt: new Date(), datasetIds, state });
+  });
+
+// Session summaries without their state, newest first.
+export const listSessions = async () => {
+  const records = await withStores(['sessions'], 'readonly', ({ sessions }) => requestToPromise(sessions.getAll()));
+  return records
+    .map(({ id, name, savedAt, datasetIds }) => ({ id, name, savedAt, datasetIds }))
+    .sort((a, b) => b.savedAt - a.savedAt);
+};
+
+export const loadSession = (id) =>
+  withStores(['sessions'], 'readonly', ({ sessions }) => requestToPromise(sessions.get(id)));
+
+export const deleteSession = (id) => withStores(['sessions'], 'readwrite', ({ sessions }) => {
+  sessions.delete(id);
+});
@@ -0,0 +1,150 @@
+import {
+  datasetRecord, saveDataset, listDatasets, loadDataset, saveSession, listSessions, loadSession, withStores
+} from './sessionStore.js';
+import { toCandles } from '../engine/series.js';
+import { candlesFromCloses } from '../engine/__fixtures__/candles.js';
+
+// Just enough IndexedDB for the store: requests succeed on a microtask and a
+// transaction commits its writes (or aborts with `abortNext`) on the next
+// macrotask.
+const createFakeIndexedDB = () => {
+  const data = {};
+  const fake = { data, abortNext: null };
+  const request = (run) => {
+    const req = {};
+    queueMicrotask(() => {
+      req.result = run();
+      if (req.onsuccess) req.onsuccess.call(req);
+    });
+    return req;
+  };
+  const db = {
+    objectStoreNames: { contains: (name) => name in data },
+    createObjectStore: (name) => { data[name] = new Map(); },
+    transaction: () => {
+      const writes = [];
+      const tx = { error: null };
+      tx.objectStore = (name) => ({
+        put: (value) => request(() => writes.push(() => data[name].set(value.id, value))),
+        delete: (id) => request(() => writes.push(() => data[name].delete(id))),
+        get: (id) => request(() => data[name].get(id)),
+        getAll: () => request(() => [...data[name].values()])
+      });
+      setTimeout(() => {
+        if (fake.abortNext !== null) {
+          tx.error = fake.abortNext || null;
+          fake.abortNext = null;
+          tx.onabort();
+          return;
+        }
+        writes.forEach(write => write());
+        tx.oncomplete();
+      }, 0);
+      return tx;
+    }
+  };
+  fake.open = () => {
+    const req = {};
+    setTimeout(() => {
+      req.result = db;
+      req.onupgradeneeded();
+      req.onsuccess();
+    }, 0);
+    return req;
+  };
+  return fake;
+};
+
+const fake = createFakeIndexedDB();
+const pause = () => new Promise(resolve => setTimeout(resolve, 5));
+
+beforeAll(() => {
+  global.indexedDB = fake;
+});
+
+afterAll(() => {
+  delete global.indexedDB;
+});
+
+beforeEach(() => {
+  Object.values(fake.data).forEach(store => store.clear());
+});
+
+describe('datasetRecord', () => {
+  test('derives the id from the symbol, timeframe, range and bar count', () => {
+    const candles = candlesFromCloses([1.1, 1.1005, 1.101]);
+    const record = datasetRecord(candles, { symbol: 'EURUSD', timeframe: 'm5', name: 'EURUSD_M5.csv' });
+
+    expect(record).toEqual({
+      id: 'EURUSD_m5_2024-01-01T00:00:00.000Z_2024-01-01T00:10:00.000Z_3',
+      symbol: 'EURUSD',
+      timeframe: 'm5',
+      name: 'EURUSD_M5.csv',
+      timeZone: 'UTC',
+      from: new Date('2024-01-01T00:00:00Z'),
+      to: new Date('2024-01-01T00:10:00Z'),
+      bars: 3
+    });
+    expect(datasetRecord(candlesFromCloses([1.2, 1.2, 1.2]), { symbol: 'EURUSD', timeframe: 'm5' }).id).toBe(record.id);
+  });
+});
+
+describe('datasets', () => {
+  test('are listed by symbol and timeframe, the newest copy first', async () => {
+    await saveDataset(candlesFromCloses([1.1, 1.1]), { symbol: 'EURUSD', timeframe: 'm5' });
+    await pause();
+    await saveDataset(candlesFromCloses([1.1, 1.1, 1.1]), { symbol: 'EURUSD', timeframe: 'm5' });
+    await saveDataset(candlesFromCloses([1.1]), { symbol: 'EURUSD', timeframe: 'h1' });
+    await saveDataset(candlesFromCloses([0.65]), { symbol: 'AUDUSD', timeframe: 'm5' });
+
+    expect((await listDatasets()).map(({ symbol, timeframe, bars }) => [symbol, timeframe, bars]))
+      .toEqual([['AUDUSD', 'm5', 1], ['EURUSD', 'h1', 1], ['EURUSD', 'm5', 3], ['EURUSD', 'm5', 2]]);
+  });
+
+  test('load as series, converting candle objects saved before the columnar layout', async () => {
+    const candles = candlesFromCloses([1.1, 1.1005]);
+    const { id } = await saveDataset(candles, { symbol: 'EURUSD', timeframe: 'm5' });
+    fake.data.candles.set('legacy', { id: 'legacy', candles: toCandles(candles) });
+
+    expect(Array.from((await loadDataset(id)).close)).toEqual([1.1, 1.1005]);
+    expect(Array.from((await loadDataset('legacy')).close)).toEqual([1.1, 1.1005]);
+    expect(await loadDataset('missing')).toBeNull();
+  });
+});
+
+describe('sessions', () => {
+  test('are listed newest first without their state', async () => {
+    await saveSession('a', { name: 'First', state: { strategy: 'combined' } });
+    await pause();
+    await saveSession('b', { name: 'Second', datasetIds: { m5: 'x' }, state: {} });
+
+    const sessions = await listSessions();
+    expect(sessions.map(({ id, name, datasetIds }) => ({ id, name, datasetIds })))
+      .toEqual([{ id: 'b', name: 'Second', datasetIds: { m5: 'x' } }, { id: 'a', name: 'First', datasetIds: {} }]);
+    expect(sessions[0].state).toBeUndefined();
+    expect((await loadSession('a')).state).toEqual({ strategy: 'combined' });
+  });
+});
+
+describe('withStores', () => {
+  test('resolves with the work\'s result once the transaction commits', async () => {
+    await saveSession('a', { state: {} });
+    const ids = await withStores(['sessions'], 'readonly', ({ sessions }) =>
+      new Promise(resolve => { sessions.getAll().onsuccess = function () { resolve(this.result.map(s => s.id)); }; }));
+
+    expect(ids).toEqual(['a']);
+  });
+
+  test('rejects and keeps nothing when the transaction aborts', async () => {
+    fake.abortNext = new Error('Quota exceeded');
+    await expect(saveSession('a', { state: {} })).rejects.toThrow('Quota exceeded');
+
+    fake.abortNext = undefined;
+    await expect(saveSession('a', { state: {} })).rejects.toThrow('Transaction aborted');
+    expect(await loadSession('a')).toBeUndefined();
+  });
+
+  test('rejects when the work fails', async () => {
+    await expect(withStores(['sessions'], 'readwrite', () => Promise.reject(new Error('bad state')))).rejects.toThrow('bad state');
+  });
+});
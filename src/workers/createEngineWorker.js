@@ -0,0 +1,3 @@
+// Kept in its own module: `import.meta.url` only resolves under webpack, so
+// anything that runs the engine outside the bundle must not import this file.
+export const createEngineWorker = () => new Worker(new URL('./engine.worker.js', import.meta.url));
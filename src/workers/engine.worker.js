@@ -0,0 +1,55 @@
+import { runBacktest } from '../engine/backtest.js';
+import { runCombos } from '../engine/optimizer.js';
+
+// Message protocol (main thread -> worker):
+//   { type: 'init', payload: { files, context } }     dataset shared by later jobs
+//   { type: 'backtest', id, payload: { params, isForward } }
+//   { type: 'optimize', id, payload: { combos } }
+//   { type: 'cancel', id }
+// Worker -> main thread:
+//   { type: 'result', id, result }
+//   { type: 'progress', id, done, total }
+//   { type: 'partial', id, results }
+//   { type: 'done', id, results, cancelled }
+//   { type: 'error', id, message }
+
+// eslint-disable-next-line no-restricted-globals
+const ctx = self;
+
+let dataset = null;
+const cancelled = new Set();
+
+const handlers = {
+  init: ({ payload }) => {
+    dataset = payload;
+  },
+
+  backtest: ({ id, payload }) => {
+    const result = runBacktest(dataset.files, payload.params, dataset.context, payload.isForward);
+    ctx.postMessage({ type: 'result', id, result });
+  },
+
+  optimize: async ({ id, payload }) => {
+    const results = await runCombos(dataset.files, dataset.context, payload.combos, {
+      onProgress: (done, total) => ctx.postMessage({ type: 'progress', id, done, total }),
+      onPartial: (batch) => ctx.postMessage({ type: 'partial', id, results: batch }),
+      isCancelled: () => cancelled.has(id)
+    });
+    ctx.postMessage({ type: 'done', id, results, cancelled: cancelled.has(id) });
+    cancelled.delete(id);
+  },
+
+  cancel: ({ id }) => {
+    cancelled.add(id);
+  }
+};
+
+ctx.onmessage = async ({ data: message }) => {
+  const handler = handlers[message.type];
+  if (!handler) return;
+  try {
+    await handler(message);
+  } catch (error) {
+    ctx.postMessage({ type: 'error', id: message.id, message: error.message });
+  }
+};
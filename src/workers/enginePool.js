@@ -0,0 +1,144 @@
+import { runBacktest } from '../engine/backtest.js';
+import { runCombos, rankResults } from '../engine/optimizer.js';
+import { createEngineWorker } from './createEngineWorker.js';
+
+const supportsWorkers = () => typeof Worker !== 'undefined';
+
+const defaultWorkerCount = () =>
+  (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 4;
+
+// Runs a single backtest (or forward test) on a throw-away worker so the
+// page stays responsive. Falls back to the main thread without Worker support.
+export const runBacktestInWorker = (files, params, context, isForward = false) => {
+  if (!supportsWorkers()) return Promise.resolve(runBacktest(files, params, context, isForward));
+
+  return new Promise((resolve, reject) => {
+    const worker = createEngineWorker();
+    worker.onmessage = ({ data: message }) => {
+      if (message.type === 'result') {
+        worker.terminate();
+        resolve(message.result);
+      } else if (message.type === 'error') {
+        worker.terminate();
+        reject(new Error(message.message));
+      }
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message));
+    };
+    worker.postMessage({ type: 'init', payload: { files, context } });
+    worker.postMessage({ type: 'backtest', id: 1, payload: { params, isForward } });
+  });
+};
+
+// Spreads `combos` across `workerCount` workers (interleaved, so neighbouring
+// and similarly expensive combos land on different workers).
+//
+// Returns { promise, cancel }. `promise` resolves to
+// { results, done, total, cancelled } with `results` ranked; `onPartial`
+// receives the running top list whenever a worker reports new passing combos.
+//
+// Each worker runs its share of combos in order, so the per-worker done
+// counts passed to `onProgress` are a checkpoint: starting again with
+// `resume: { doneByWorker, results }` and the same combos skips the work
+// already done.
+export const startOptimization = ({ files, context, combos, onProgress, onPartial, workerCount = defaultWorkerCount(), resume = null }) => {
+  const total = combos.length;
+  let passing = resume ? [...resume.results] : [];
+  let cancelled = false;
+
+  const addPartial = (batch) => {
+    passing = passing.concat(batch);
+    if (onPartial) onPartial(rankResults(passing));
+  };
+
+  if (!supportsWorkers()) {
+    // A checkpoint from n workers covers the first doneByWorker[w] combos of
+    // every n-th slice; without workers the rest runs in index order, which
+    // advances each share in order too, so the checkpoint keeps n shares.
+    const shares = resume ? resume.doneByWorker.length : 1;
+    const doneByShare = resume ? [...resume.doneByWorker] : [0];
+    const indices = combos.map((_, i) => i)
+      .filter(i => !resume || Math.floor(i / shares) >= resume.doneByWorker[i % shares]);
+    const skipped = total - indices.length;
+    let done = skipped;
+    const promise = runCombos(files, context, indices.map(i => combos[i]), {
+      onProgress: (completed) => {
+        for (let k = done - skipped; k < completed; k++) doneByShare[indices[k] % shares]++;
+        done = skipped + completed;
+        if (onProgress) onProgress(done, total, [...doneByShare]);
+      },
+      onPartial: addPartial,
+      isCancelled: () => cancelled
+    }).then(() => ({ results: rankResults(passing), done, total, cancelled }));
+    return { promise, cancel: () => { cancelled = true; } };
+  }
+
+  const count = resume ? resume.doneByWorker.length : Math.max(1, Math.min(workerCount, total));
+  const doneByWorker = resume ? [...resume.doneByWorker] : new Array(count).fill(0);
+  const skipped = [...doneByWorker];
+  const workers = [];
+  const finishers = [];
+  let stopped = false;
+
+  // Each worker's partial results are held until the progress message that
+  // counts their batch, so results and checkpoint always cover the same
+  // combos even when the pool stops between the two.
+  const held = new Array(count).fill(null).map(() => []);
+
+  // The first failure, or a cancel, ends every worker in the pool.
+  const stopAll = () => {
+    stopped = true;
+    workers.forEach(worker => worker.terminate());
+  };
+  const fail = (message) => {
+    stopAll();
+    return new Error(message);
+  };
+
+  const jobs = Array.from({ length: count }, (_, w) => new Promise((resolve, reject) => {
+    const worker = createEngineWorker();
+    workers.push(worker);
+    finishers.push(resolve);
+
+    worker.onmessage = ({ data: message }) => {
+      if (stopped) return;
+      if (message.type === 'progress') {
+        if (held[w].length > 0) addPartial(held[w]);
+        held[w] = [];
+        doneByWorker[w] = skipped[w] + message.done;
+        if (onProgress) onProgress(doneByWorker.reduce((sum, d) => sum + d, 0), total, [...doneByWorker]);
+      } else if (message.type === 'partial') {
+        held[w] = held[w].concat(message.results);
+      } else if (message.type === 'done') {
+        worker.terminate();
+        resolve();
+      } else if (message.type === 'error') {
+        reject(fail(message.message));
+      }
+    };
+    worker.onerror = (event) => {
+      if (!stopped) reject(fail(event.message));
+    };
+
+    worker.postMessage({ type: 'init', payload: { files, context } });
+    worker.postMessage({ type: 'optimize', id: w, payload: { combos: combos.filter((_, i) => i % count === w).slice(skipped[w]) } });
+  }));
+
+  const promise = Promise.all(jobs).then(() => ({
+    results: rankResults(passing),
+    done: doneByWorker.reduce((sum, d) => sum + d, 0),
+    total,
+    cancelled
+  }));
+
+  const cancel = () => {
+    if (stopped) return;
+    cancelled = true;
+    stopAll();
+    finishers.forEach(finish => finish());
+  };
+
+  return { promise, cancel };
+};
@@ -0,0 +1,113 @@
+import { startOptimization } from './enginePool.js';
+import { runCombos } from '../engine/optimizer.js';
+import { createEngineWorker } from './createEngineWorker.js';
+import { PARAMS, CONTEXT, waveCandles } from '../engine/__fixtures__/candles.js';
+
+// Worker creation relies on import.meta, which Jest cannot parse. jsdom has
+// no Worker either, so most tests cover the main-thread path; the pool
+// itself is driven through stand-in workers.
+jest.mock('./createEngineWorker.js', () => ({ createEngineWorker: jest.fn() }));
+
+describe('startOptimization', () => {
+  const files = { m5: waveCandles(1200) };
+  const combos = [5, 10, 15].flatMap(stopLossPips =>
+    [1.5, 2].map(riskRewardRatio => ({ ...PARAMS, stopLossPips, riskRewardRatio })));
+
+  test('reports a checkpoint with each progress update', async () => {
+    const checkpoints = [];
+    const run = startOptimization({
+      files,
+      context: CONTEXT,
+      combos,
+      onProgress: (done, total, doneByWorker) => checkpoints.push({ done, total, doneByWorker })
+    });
+    const { done, total } = await run.promise;
+
+    expect({ done, total }).toEqual({ done: 6, total: 6 });
+    expect(checkpoints[checkpoints.length - 1]).toEqual({ done: 6, total: 6, doneByWorker: [6] });
+  });
+
+  test('resuming from a checkpoint skips finished combos and ends with the same results', async () => {
+    const full = await startOptimization({ files, context: CONTEXT, combos }).promise;
+
+    // Two workers had finished combos 0 and 2, and combo 1.
+    const earlier = await runCombos(files, CONTEXT, combos.slice(0, 3));
+    const progress = [];
+    const resumed = await startOptimization({
+      files,
+      context: CONTEXT,
+      combos,
+      resume: { doneByWorker: [2, 1], results: earlier },
+      onProgress: (done, total, doneByWorker) => progress.push([done, doneByWorker])
+    }).promise;
+
+    expect(full.results.length).toBeGreaterThan(0);
+    expect(resumed.results).toEqual(full.results);
+    expect(resumed.done).toBe(6);
+    // Combos 3, 4 and 5 ran in one batch, advancing both shares.
+    expect(progress).toEqual([[6, [3, 3]]]);
+  });
+
+
+  describe('with workers', () => {
+    let workers;
+
+    beforeEach(() => {
+      workers = [];
+      global.Worker = class {};
+      createEngineWorker.mockImplementation(() => {
+        const worker = { postMessage: jest.fn(), terminate: jest.fn() };
+        workers.push(worker);
+        return worker;
+      });
+    });
+
+    afterEach(() => {
+      delete global.Worker;
+    });
+
+    const post = (w, message) => workers[w].onmessage({ data: message });
+
+    test('terminates every worker when one fails', async () => {
+      const onProgress = jest.fn();
+      const run = startOptimization({ files, context: CONTEXT, combos, onProgress, workerCount: 3 });
+      post(1, { type: 'error', message: 'out of memory' });
+      post(0, { type: 'progress', done: 1 });
+
+      await expect(run.promise).rejects.toThrow('out of memory');
+      workers.forEach(worker => expect(worker.terminate).toHaveBeenCalled());
+      expect(onProgress).not.toHaveBeenCalled();
+    });
+
+    test('terminates every worker on cancel and keeps the progress so far', async () => {
+      const run = startOptimization({ files, context: CONTEXT, combos, workerCount: 3 });
+      post(0, { type: 'progress', done: 1 });
+      run.cancel();
+
+      expect(await run.promise).toMatchObject({ done: 1, total: 6, cancelled: true });
+      workers.forEach(worker => expect(worker.terminate).toHaveBeenCalled());
+    });
+
+    test('counts results only with the progress of their batch, so resuming adds no duplicates', async () => {
+      const result = (i) => ({ params: combos[i], returnPct: String(10 - i) });
+      const first = startOptimization({ files, context: CONTEXT, combos, workerCount: 2 });
+      post(0, { type: 'partial', results: [result(0)] });
+      post(0, { type: 'progress', done: 1 });
+      post(0, { type: 'partial', results: [result(2)] });
+      first.cancel();
+      const stopped = await first.promise;
+
+      expect(stopped).toMatchObject({ results: [result(0)], done: 1 });
+
+      const resumed = startOptimization({ files, context: CONTEXT, combos, resume: { doneByWorker: [1, 0], results: stopped.results } });
+      expect(workers[2].postMessage).toHaveBeenLastCalledWith(expect.objectContaining({ payload: { combos: [combos[2], combos[4]] } }));
+      post(2, { type: 'partial', results: [result(2)] });
+      post(2, { type: 'progress', done: 2 });
+      post(2, { type: 'done' });
+      post(3, { type: 'progress', done: 3 });
+      post(3, { type: 'done' });
+
+      expect(await resumed.promise).toMatchObject({ results: [result(0), result(2)], done: 6 });
+    });
+  });
+});